@@ -0,0 +1,443 @@
+const dgram = require('dgram');
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { readAccJsonFile } = require('./accFiles');
+
+// Protocol version of ACC's UDP Broadcasting API
+const BROADCASTING_PROTOCOL_VERSION = 4;
+
+// Messages sent to the game
+const OUTBOUND = {
+  REGISTER_COMMAND_APPLICATION: 1,
+  UNREGISTER_COMMAND_APPLICATION: 9,
+  REQUEST_ENTRY_LIST: 10,
+  REQUEST_TRACK_DATA: 11
+};
+
+// Messages received from the game
+const INBOUND = {
+  REGISTRATION_RESULT: 1,
+  REALTIME_UPDATE: 2,
+  REALTIME_CAR_UPDATE: 3,
+  ENTRY_LIST: 4,
+  TRACK_DATA: 5,
+  ENTRY_LIST_CAR: 6,
+  BROADCASTING_EVENT: 7
+};
+
+const SESSION_TYPES = {
+  0: 'Practice',
+  4: 'Qualifying',
+  9: 'Superpole',
+  10: 'Race',
+  11: 'Hotlap',
+  12: 'Hotstint',
+  13: 'HotlapSuperpole',
+  14: 'Replay'
+};
+
+const SESSION_PHASES = ['None', 'Starting', 'PreFormation', 'FormationLap', 'PreSession', 'Session', 'SessionOver', 'PostSession', 'ResultUI'];
+
+const CAR_LOCATIONS = ['None', 'Track', 'Pitlane', 'PitEntry', 'PitExit'];
+
+const BROADCASTING_EVENT_TYPES = ['None', 'GreenFlag', 'SessionOver', 'PenaltyCommMsg', 'Accident', 'LapCompleted', 'BestSessionLap', 'BestPersonalLap'];
+
+const DRIVER_CATEGORIES = ['Bronze', 'Silver', 'Gold', 'Platinum'];
+
+const CUP_CATEGORIES = ['Overall', 'ProAm', 'Am', 'Silver', 'National'];
+
+// Lap and split times of int32 max mean "no time"
+const NO_TIME = 2147483647;
+
+// Function to create a little-endian reader over a received packet.
+// Reading past the end throws a RangeError, which the caller treats as a malformed packet.
+const createReader = (buffer) => {
+  let offset = 0;
+  const read = (size, method) => {
+    const value = buffer[method](offset);
+    offset += size;
+    return value;
+  };
+  return {
+    byte: () => read(1, 'readUInt8'),
+    uint16: () => read(2, 'readUInt16LE'),
+    int32: () => read(4, 'readInt32LE'),
+    float: () => read(4, 'readFloatLE'),
+    // Strings are a uint16 byte length followed by UTF-8 bytes
+    string: () => {
+      const length = read(2, 'readUInt16LE');
+      if (offset + length > buffer.length) {
+        throw new RangeError('String runs past the end of the packet');
+      }
+      const value = buffer.toString('utf8', offset, offset + length);
+      offset += length;
+      return value;
+    }
+  };
+};
+
+// Function to encode a protocol string
+const encodeString = (value) => {
+  const bytes = Buffer.from(String(value || ''), 'utf8');
+  const length = Buffer.alloc(2);
+  length.writeUInt16LE(bytes.length);
+  return Buffer.concat([length, bytes]);
+};
+
+// Function to encode an int32
+const encodeInt32 = (value) => {
+  const buffer = Buffer.alloc(4);
+  buffer.writeInt32LE(value);
+  return buffer;
+};
+
+// Function to build the registration request
+const buildRegisterRequest = ({ displayName, connectionPassword, updateInterval, commandPassword }) => {
+  return Buffer.concat([
+    Buffer.from([OUTBOUND.REGISTER_COMMAND_APPLICATION, BROADCASTING_PROTOCOL_VERSION]),
+    encodeString(displayName),
+    encodeString(connectionPassword),
+    encodeInt32(updateInterval),
+    encodeString(commandPassword)
+  ]);
+};
+
+// Function to build a request that only carries the connection ID
+const buildConnectionRequest = (type, connectionId) => {
+  return Buffer.concat([Buffer.from([type]), encodeInt32(connectionId)]);
+};
+
+// Function to read a lap
+const readLap = (reader) => {
+  const laptimeMs = reader.int32();
+  const carIndex = reader.uint16();
+  const driverIndex = reader.uint16();
+  const splitCount = reader.byte();
+  const splits = [];
+  for (let i = 0; i < splitCount; i++) {
+    const split = reader.int32();
+    splits.push(split === NO_TIME ? null : split);
+  }
+  // Laps always have three sectors, missing ones are null
+  while (splits.length < 3) {
+    splits.push(null);
+  }
+  const isInvalid = reader.byte() > 0;
+  const isValidForBest = reader.byte() > 0;
+  const isOutlap = reader.byte() > 0;
+  const isInlap = reader.byte() > 0;
+  return {
+    laptimeMs: laptimeMs === NO_TIME ? null : laptimeMs,
+    carIndex,
+    driverIndex,
+    splits,
+    isInvalid,
+    isValidForBest,
+    type: isOutlap ? 'Outlap' : isInlap ? 'Inlap' : 'Regular'
+  };
+};
+
+// Function to read the car and driver details of an entry list entry
+const readCarInfo = (reader, carIndex) => {
+  const car = {
+    carIndex,
+    carModelType: reader.byte(),
+    teamName: reader.string(),
+    raceNumber: reader.int32(),
+    cupCategory: CUP_CATEGORIES[reader.byte()] || 'Unknown',
+    currentDriverIndex: reader.byte(),
+    nationality: reader.uint16(),
+    drivers: []
+  };
+  const driverCount = reader.byte();
+  for (let i = 0; i < driverCount; i++) {
+    car.drivers.push({
+      firstName: reader.string(),
+      lastName: reader.string(),
+      shortName: reader.string(),
+      category: DRIVER_CATEGORIES[reader.byte()] || 'Unknown',
+      nationality: reader.uint16()
+    });
+  }
+  return car;
+};
+
+// Function to parse a packet received from the game into a message object.
+// Throws on packets that are cut short; unknown message types return null.
+const parseMessage = (buffer) => {
+  const reader = createReader(buffer);
+  const type = reader.byte();
+
+  switch (type) {
+    case INBOUND.REGISTRATION_RESULT: {
+      const connectionId = reader.int32();
+      const success = reader.byte() > 0;
+      const isReadonly = reader.byte() === 0;
+      const errorMessage = reader.string();
+      return { type: 'registration-result', connectionId, success, isReadonly, errorMessage };
+    }
+
+    case INBOUND.REALTIME_UPDATE: {
+      const update = {
+        type: 'realtime-update',
+        eventIndex: reader.uint16(),
+        sessionIndex: reader.uint16(),
+        sessionType: SESSION_TYPES[reader.byte()] || 'Unknown',
+        phase: SESSION_PHASES[reader.byte()] || 'Unknown',
+        sessionTimeMs: reader.float(),
+        sessionEndTimeMs: reader.float(),
+        focusedCarIndex: reader.int32(),
+        activeCameraSet: reader.string(),
+        activeCamera: reader.string(),
+        currentHudPage: reader.string(),
+        isReplayPlaying: reader.byte() > 0
+      };
+      if (update.isReplayPlaying) {
+        update.replaySessionTimeMs = reader.float();
+        update.replayRemainingTimeMs = reader.float();
+      }
+      update.timeOfDayMs = reader.float();
+      update.ambientTemp = reader.byte();
+      update.trackTemp = reader.byte();
+      update.clouds = reader.byte() / 10;
+      update.rainLevel = reader.byte() / 10;
+      update.wetness = reader.byte() / 10;
+      update.bestSessionLap = readLap(reader);
+      return update;
+    }
+
+    case INBOUND.REALTIME_CAR_UPDATE:
+      return {
+        type: 'realtime-car-update',
+        carIndex: reader.uint16(),
+        driverIndex: reader.uint16(),
+        driverCount: reader.byte(),
+        gear: reader.byte() - 2,
+        worldPosX: reader.float(),
+        worldPosY: reader.float(),
+        yaw: reader.float(),
+        carLocation: CAR_LOCATIONS[reader.byte()] || 'None',
+        kmh: reader.uint16(),
+        position: reader.uint16(),
+        cupPosition: reader.uint16(),
+        trackPosition: reader.uint16(),
+        splinePosition: reader.float(),
+        laps: reader.uint16(),
+        deltaMs: reader.int32(),
+        bestSessionLap: readLap(reader),
+        lastLap: readLap(reader),
+        currentLap: readLap(reader)
+      };
+
+    case INBOUND.ENTRY_LIST: {
+      const connectionId = reader.int32();
+      const count = reader.uint16();
+      const carIndexes = [];
+      for (let i = 0; i < count; i++) {
+        carIndexes.push(reader.uint16());
+      }
+      return { type: 'entry-list', connectionId, carIndexes };
+    }
+
+    case INBOUND.ENTRY_LIST_CAR: {
+      const carIndex = reader.uint16();
+      return { type: 'entry-list-car', car: readCarInfo(reader, carIndex) };
+    }
+
+    case INBOUND.TRACK_DATA: {
+      const track = {
+        type: 'track-data',
+        connectionId: reader.int32(),
+        trackName: reader.string(),
+        trackId: reader.int32(),
+        trackMeters: reader.int32(),
+        cameraSets: {},
+        hudPages: []
+      };
+      const cameraSetCount = reader.byte();
+      for (let i = 0; i < cameraSetCount; i++) {
+        const setName = reader.string();
+        const cameraCount = reader.byte();
+        track.cameraSets[setName] = [];
+        for (let j = 0; j < cameraCount; j++) {
+          track.cameraSets[setName].push(reader.string());
+        }
+      }
+      const hudPageCount = reader.byte();
+      for (let i = 0; i < hudPageCount; i++) {
+        track.hudPages.push(reader.string());
+      }
+      return track;
+    }
+
+    case INBOUND.BROADCASTING_EVENT:
+      return {
+        type: 'broadcasting-event',
+        eventType: BROADCASTING_EVENT_TYPES[reader.byte()] || 'None',
+        message: reader.string(),
+        timeMs: reader.int32(),
+        carIndex: reader.int32()
+      };
+
+    default:
+      return null;
+  }
+};
+
+// Function to read the broadcasting settings ACC writes to Config/broadcasting.json.
+// documentsPath is the ACC Documents folder.
+// Returns null when the file doesn't exist.
+const readBroadcastingSettings = (documentsPath) => {
+  const settingsPath = path.join(documentsPath, 'Config', 'broadcasting.json');
+  if (!fs.existsSync(settingsPath)) {
+    return null;
+  }
+  const data = readAccJsonFile(settingsPath);
+  return {
+    // ACC spells the key "updListenerPort"
+    port: Number(data.updListenerPort ?? data.udpListenerPort) || null,
+    connectionPassword: data.connectionPassword || '',
+    commandPassword: data.commandPassword || ''
+  };
+};
+
+// Function to create a client for ACC's UDP Broadcasting API.
+// The client registers with the game, asks for the entry list and track data and emits
+// 'message' for every parsed message, plus 'connected', 'disconnected' and 'error'.
+// While the game doesn't answer it keeps trying to register every retryInterval ms.
+const createBroadcastingClient = ({
+  host = '127.0.0.1',
+  port,
+  displayName = 'Attrition Desktop',
+  connectionPassword = '',
+  commandPassword = '',
+  updateInterval = 250,
+  retryInterval = 10000,
+  timeout = 10000
+}) => {
+  const client = new EventEmitter();
+  let socket = null;
+  let connectionId = null;
+  let lastMessageAt = 0;
+  let watchdogTimer = null;
+  let lastEntryListRequestAt = 0;
+  const knownCars = new Set();
+
+  const send = (buffer) => {
+    if (socket) {
+      socket.send(buffer, port, host, (error) => {
+        if (error) {
+          client.emit('error', error);
+        }
+      });
+    }
+  };
+
+  const register = () => {
+    console.log(`Registering with ACC broadcasting at ${host}:${port}`);
+    send(buildRegisterRequest({ displayName, connectionPassword, updateInterval, commandPassword }));
+  };
+
+  // The entry list is requested again when an unknown car shows up, at most once a second
+  const requestEntryList = () => {
+    if (connectionId === null || Date.now() - lastEntryListRequestAt < 1000) {
+      return;
+    }
+    lastEntryListRequestAt = Date.now();
+    send(buildConnectionRequest(OUTBOUND.REQUEST_ENTRY_LIST, connectionId));
+  };
+
+  const setDisconnected = (reason) => {
+    if (connectionId !== null) {
+      connectionId = null;
+      knownCars.clear();
+      client.emit('disconnected', reason);
+    }
+  };
+
+  const handlePacket = (buffer) => {
+    let message;
+    try {
+      message = parseMessage(buffer);
+    } catch (error) {
+      console.warn('Ignoring malformed ACC broadcasting packet:', error.message);
+      return;
+    }
+    if (!message) {
+      return;
+    }
+    lastMessageAt = Date.now();
+
+    if (message.type === 'registration-result') {
+      if (!message.success) {
+        client.emit('error', new Error(`ACC refused the connection: ${message.errorMessage || 'unknown reason'}`));
+        return;
+      }
+      connectionId = message.connectionId;
+      console.log('Connected to ACC broadcasting, connection ID:', connectionId, message.isReadonly ? '(read-only)' : '');
+      client.emit('connected', message);
+      requestEntryList();
+      send(buildConnectionRequest(OUTBOUND.REQUEST_TRACK_DATA, connectionId));
+    } else if (message.type === 'entry-list') {
+      knownCars.clear();
+      message.carIndexes.forEach(carIndex => knownCars.add(carIndex));
+    } else if (message.type === 'realtime-car-update' && !knownCars.has(message.carIndex)) {
+      requestEntryList();
+    }
+    client.emit('message', message);
+  };
+
+  // Register again when the game goes quiet, e.g. after it was restarted or a session changed servers
+  const checkConnection = () => {
+    if (connectionId === null || Date.now() - lastMessageAt > timeout) {
+      setDisconnected('timeout');
+      register();
+    }
+  };
+
+  client.connect = () => {
+    if (socket) {
+      return;
+    }
+    if (!port) {
+      throw new Error('No ACC broadcasting port configured');
+    }
+    socket = dgram.createSocket('udp4');
+    socket.on('message', handlePacket);
+    // Sending to a port nobody listens on reports an error on some platforms, the game just isn't running
+    socket.on('error', (error) => client.emit('error', error));
+    socket.bind(0, () => {
+      register();
+      watchdogTimer = setInterval(checkConnection, retryInterval);
+    });
+  };
+
+  client.disconnect = () => {
+    if (!socket) {
+      return;
+    }
+    clearInterval(watchdogTimer);
+    watchdogTimer = null;
+    if (connectionId !== null) {
+      const closingSocket = socket;
+      closingSocket.send(buildConnectionRequest(OUTBOUND.UNREGISTER_COMMAND_APPLICATION, connectionId), port, host, () => closingSocket.close());
+    } else {
+      socket.close();
+    }
+    socket = null;
+    setDisconnected('closed');
+  };
+
+  client.isConnected = () => connectionId !== null;
+
+  return client;
+};
+
+module.exports = {
+  INBOUND,
+  OUTBOUND,
+  parseMessage,
+  readBroadcastingSettings,
+  createBroadcastingClient
+};
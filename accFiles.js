@@ -0,0 +1,33 @@
+const fs = require('fs');
+
+// Function to decode a text file written by ACC or its dedicated server.
+// The game and server write UTF-16LE, often without a byte order mark, but files edited
+// by hand are frequently saved as UTF-8. Returns the text and how it was encoded.
+const decodeAccText = (buffer) => {
+  const hasUtf16Bom = buffer.length > 1 && buffer[0] === 0xff && buffer[1] === 0xfe;
+  const hasUtf8Bom = buffer.length > 2 && buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf;
+  // Without a BOM, ASCII text in UTF-16LE has a zero byte after its first character
+  const isUtf16 = hasUtf16Bom || (!hasUtf8Bom && buffer.length > 1 && buffer[1] === 0x00);
+  const text = buffer.toString(isUtf16 ? 'utf16le' : 'utf8').replace(/^\uFEFF/, '');
+  return {
+    text,
+    encoding: isUtf16 ? 'utf16le' : 'utf8',
+    bom: hasUtf16Bom || hasUtf8Bom
+  };
+};
+
+// Function to encode text the way an ACC file expects it, UTF-16LE with a BOM by default
+const encodeAccText = (text, { encoding = 'utf16le', bom = true } = {}) => {
+  return Buffer.from(`${bom ? '\uFEFF' : ''}${text}`, encoding);
+};
+
+// Function to read and parse a JSON file written by ACC or its dedicated server
+const readAccJsonFile = (filePath) => {
+  return JSON.parse(decodeAccText(fs.readFileSync(filePath)).text);
+};
+
+module.exports = {
+  decodeAccText,
+  encodeAccText,
+  readAccJsonFile
+};
@@ -0,0 +1,139 @@
+// Exit codes of the headless livery install, for scripts
+const EXIT_CODES = {
+  success: 0,
+  failed: 1,
+  usage: 2,
+  noDirectory: 3,
+  cancelled: 130
+};
+
+// Flags that take a value, and the option each one sets
+const VALUE_FLAGS = {
+  '--server': 'server',
+  '--profile': 'profile',
+  '--install-liveries': 'installLiveries',
+  '--target': 'target'
+};
+
+// Flags that are switched on by their presence
+const SWITCH_FLAGS = {
+  '--minimized': 'minimized',
+  '--reset-config': 'resetConfig',
+  '--verbose': 'verbose',
+  '--help': 'help'
+};
+
+const USAGE = `Usage: attrition-desktop [options]
+
+Options:
+  --server <url>             Use the profile of this Attrition server, creating one if needed
+  --profile <name>           Use this server profile
+  --minimized                Start in the tray without showing the main window
+  --reset-config             Delete the configuration and start the first-run setup
+  --install-liveries <id>    Install an event's liveries without opening a window, then exit
+  --target <dir>             Customs folder to install into, instead of the profile's
+  --verbose                  Log debug messages, and print the app's log while installing liveries
+  --help                     Show this help and exit
+
+--profile switches the active profile like the menus do. --server switches to the
+profile of that server, or creates a new profile for it, and never changes the URL
+of an existing profile. With --install-liveries both only apply to that install.
+
+Exit codes of --install-liveries: ${EXIT_CODES.success} installed, ${EXIT_CODES.failed} failed, ${EXIT_CODES.usage} invalid arguments,
+${EXIT_CODES.noDirectory} no Customs folder, ${EXIT_CODES.cancelled} cancelled.`;
+
+// Function to check a --server value, only http(s) servers are accepted
+const parseServerUrl = (value) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    throw new Error(`Invalid server URL: ${value}`);
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    throw new Error(`Unsupported server protocol: ${url.protocol}`);
+  }
+  return url.toString();
+};
+
+// Function to parse the app's flags from the command line, as "--flag value" or "--flag=value".
+// Anything else, such as Chromium switches, the script path in development or attrition:// links, is ignored.
+// Returns the options and the problems found; errors is empty when the command line can be used.
+const parseCommandLine = (argv) => {
+  const options = {
+    server: null,
+    profile: null,
+    minimized: false,
+    resetConfig: false,
+    installLiveries: null,
+    target: null,
+    verbose: false,
+    help: false
+  };
+  const errors = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = String(argv[i]);
+    const [flag, inlineValue] = arg.includes('=') ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)] : [arg, null];
+
+    if (SWITCH_FLAGS[flag]) {
+      options[SWITCH_FLAGS[flag]] = true;
+      continue;
+    }
+    if (!VALUE_FLAGS[flag]) {
+      continue;
+    }
+    let value = inlineValue;
+    if (value === null) {
+      const next = argv[i + 1];
+      if (next === undefined || String(next).startsWith('--')) {
+        errors.push(`${flag} needs a value`);
+        continue;
+      }
+      value = String(next);
+      i++;
+    }
+    options[VALUE_FLAGS[flag]] = value;
+  }
+
+  if (options.server !== null) {
+    try {
+      options.server = parseServerUrl(options.server);
+    } catch (error) {
+      errors.push(error.message);
+      options.server = null;
+    }
+  }
+  if (options.profile !== null && !options.profile.trim()) {
+    errors.push('--profile needs a profile name');
+  }
+  if (options.installLiveries !== null && !/^[A-Za-z0-9_-]{1,64}$/.test(options.installLiveries)) {
+    errors.push(`Invalid event ID: ${options.installLiveries}`);
+  }
+  if (options.target !== null && options.installLiveries === null) {
+    errors.push('--target can only be used with --install-liveries');
+  }
+
+  return { options, errors };
+};
+
+// Function to format an install progress update as a single line
+const formatProgressLine = (progress) => {
+  if (progress.phase === 'extract') {
+    return `Extracting ${progress.processedFiles}/${progress.totalFiles}${progress.currentFile ? ` ${progress.currentFile}` : ''}`;
+  }
+  const label = progress.phase === 'sync' ? 'Syncing' : 'Downloading';
+  const received = `${(progress.receivedBytes / 1024 / 1024).toFixed(1)} MB`;
+  if (!progress.totalBytes) {
+    return `${label} ${received}`;
+  }
+  const percent = Math.min(100, Math.round((progress.receivedBytes / progress.totalBytes) * 100));
+  return `${label} ${received} of ${(progress.totalBytes / 1024 / 1024).toFixed(1)} MB (${percent}%)`;
+};
+
+module.exports = {
+  EXIT_CODES,
+  USAGE,
+  parseCommandLine,
+  formatProgressLine
+};
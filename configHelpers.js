@@ -1,9 +1,13 @@
 const { app, dialog } = require('electron');
 const fs = require('fs');
 const path = require('path');
-const { pipeline } = require('stream');
-const { promisify } = require('util');
-const unzipper = require('unzipper');
+const {
+  DEFAULT_URL,
+  migrateConfig,
+  validateConfig,
+  createDefaultConfig
+} = require('./configSchema');
+const { findDocumentsFolderCandidates, getCandidateLabel } = require('./steamDiscovery');
 
 // Function to get the config file path
 const getConfigPath = () => {
@@ -11,44 +15,59 @@ const getConfigPath = () => {
   return path.join(userDataPath, 'config.json');
 };
 
-// Function to read saved URL
+// Function to read saved URL of the active profile
 const readSavedUrl = () => {
   try {
     const configPath = getConfigPath();
     if (fs.existsSync(configPath)) {
-      const config = fs.readFileSync(configPath, 'utf8');
-      const data = JSON.parse(config);
-      console.log('Read saved URL from config:', data.url);
-      return data.url || 'https://blancpaw-gt.uk';
+      const url = getActiveProfile().url;
+      console.log('Read saved URL from config:', url);
+      return url || DEFAULT_URL;
     }
   } catch (error) {
     console.error('Error reading config:', error);
   }
   console.log('Using default URL');
-  return 'https://blancpaw-gt.uk';
+  return DEFAULT_URL;
 };
 
-// Function to save URL
+// Function to save URL of the active profile
 const saveUrl = (url) => {
+  console.log('Saving URL to config:', url);
+  return updateActiveProfile({ url });
+};
+
+// Function to write a file atomically: write a temp file next to it, then rename it into place,
+// so a crash mid-write never leaves a half-written config behind
+const writeFileAtomic = (filePath, contents) => {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  const fd = fs.openSync(tempPath, 'w');
   try {
-    console.log('Saving URL to config:', url);
-    const configPath = getConfigPath();
-    const config = { url };
-    fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
-    console.log('URL saved successfully');
-    return true;
+    fs.writeSync(fd, contents);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  try {
+    fs.renameSync(tempPath, filePath);
   } catch (error) {
-    console.error('Error saving config:', error);
-    return false;
+    fs.rmSync(tempPath, { force: true });
+    throw error;
   }
 };
 
 // Function to save complete configuration
 const saveConfig = (config) => {
   try {
-    console.log('Saving complete config:', config);
+    console.debug('Saving complete config:', config);
+    const { config: migrated } = migrateConfig(config);
+    const { config: validated, problems } = validateConfig(migrated);
+    if (problems.length > 0) {
+      console.warn('Corrected invalid configuration before saving:', problems);
+    }
     const configPath = getConfigPath();
-    fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
+    fs.mkdirSync(path.dirname(configPath), { recursive: true });
+    writeFileAtomic(configPath, JSON.stringify(validated, null, 2));
     console.log('Configuration saved successfully');
     return true;
   } catch (error) {
@@ -57,42 +76,159 @@ const saveConfig = (config) => {
   }
 };
 
-// Function to read saved configuration
+// Function to move an unreadable config file aside so it can be inspected later
+const backupCorruptConfig = (configPath) => {
+  const backupPath = `${configPath}.corrupt-${Date.now()}`;
+  try {
+    fs.renameSync(configPath, backupPath);
+    console.error('Configuration file is corrupted, moved it to:', backupPath);
+  } catch (error) {
+    console.error('Error backing up corrupted config:', error);
+  }
+};
+
+// Function to read saved configuration. The file is migrated to the current version and
+// validated; missing or invalid settings fall back to their defaults.
 const readSavedConfig = () => {
+  const configPath = getConfigPath();
   try {
-    const configPath = getConfigPath();
     if (fs.existsSync(configPath)) {
-      const config = fs.readFileSync(configPath, 'utf8');
-      const data = JSON.parse(config);
-      console.log('Read saved configuration from config:', data);
-      return data;
+      const contents = fs.readFileSync(configPath, 'utf8');
+      let data;
+      try {
+        data = JSON.parse(contents);
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+          throw new Error('configuration is not an object');
+        }
+      } catch (parseError) {
+        console.error('Error parsing config:', parseError.message);
+        backupCorruptConfig(configPath);
+        return createDefaultConfig();
+      }
+
+      const { config: migrated, migrated: wasMigrated } = migrateConfig(data);
+      const { config, problems } = validateConfig(migrated);
+      if (problems.length > 0) {
+        console.warn('Configuration has invalid settings, using defaults for them:', problems);
+      }
+      if (wasMigrated || problems.length > 0) {
+        // Keep the previous file around before rewriting it in the current format
+        fs.copyFileSync(configPath, `${configPath}.bak`);
+        writeFileAtomic(configPath, JSON.stringify(config, null, 2));
+      }
+
+      console.debug('Read saved configuration from config:', config);
+      return config;
     }
   } catch (error) {
     console.error('Error reading config:', error);
   }
   console.log('Using default configuration');
-  return {};
+  return createDefaultConfig();
 };
 
-// Function to get configured livery directory
-const getConfiguredLiveryDirectory = () => {
+// Function to get server profiles
+const getProfiles = (config = readSavedConfig()) => {
+  return config.profiles;
+};
+
+// Function to get the active server profile
+const getActiveProfile = (config = readSavedConfig()) => {
+  const profiles = getProfiles(config);
+  return profiles.find(profile => profile.name === config.activeProfile) || profiles[0];
+};
+
+// Function to create a new server profile with its own session partition
+const createProfile = ({ name, url, liveryDirectory }) => {
+  const trimmedName = String(name || '').trim();
+  if (!trimmedName) {
+    throw new Error('Profile name is required');
+  }
+  if (trimmedName.length > 40) {
+    throw new Error('Profile name must be 40 characters or less');
+  }
+
   const config = readSavedConfig();
-  // Check for both liveryDirectory and documentsFolder (backward compatibility)
-  return config.liveryDirectory || config.documentsFolder || null;
+  if (config.profiles.some(profile => profile.name.toLowerCase() === trimmedName.toLowerCase())) {
+    throw new Error(`A profile named "${trimmedName}" already exists`);
+  }
+
+  // Persistent partitions keep each profile's cookies and logins on disk, separate from the others
+  const slug = trimmedName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  const profile = {
+    name: trimmedName,
+    url: url || DEFAULT_URL,
+    liveryDirectory: liveryDirectory || null,
+    serverConfigDirectory: null,
+    resultsDirectory: null,
+    partition: `persist:profile-${slug || 'server'}-${Date.now().toString(36)}`
+  };
+  config.profiles.push(profile);
+  if (!saveConfig(config)) {
+    throw new Error('Failed to save profile');
+  }
+  return profile;
 };
 
-// Function to save configured livery directory
-const saveConfiguredLiveryDirectory = (directory) => {
+// Function to update the active profile, e.g. its URL or livery directory
+const updateActiveProfile = (changes) => {
   try {
     const config = readSavedConfig();
-    config.liveryDirectory = directory;
+    Object.assign(getActiveProfile(config), changes);
     return saveConfig(config);
   } catch (error) {
-    console.error('Error saving livery directory config:', error);
+    console.error('Error updating active profile:', error);
     return false;
   }
 };
 
+// Function to switch the active profile
+const setActiveProfile = (name) => {
+  const config = readSavedConfig();
+  if (!getProfiles(config).some(profile => profile.name === name)) {
+    throw new Error(`Profile "${name}" does not exist`);
+  }
+  config.activeProfile = name;
+  return saveConfig(config);
+};
+
+// Function to delete a profile, switching to the first remaining one if it was active
+const deleteProfile = (name) => {
+  const config = readSavedConfig();
+  if (config.profiles.length <= 1) {
+    throw new Error('The last profile cannot be deleted');
+  }
+  const remaining = config.profiles.filter(profile => profile.name !== name);
+  if (remaining.length === config.profiles.length) {
+    throw new Error(`Profile "${name}" does not exist`);
+  }
+  config.profiles = remaining;
+  if (config.activeProfile === name) {
+    config.activeProfile = remaining[0].name;
+  }
+  return saveConfig(config);
+};
+
+// Function to get configured livery directory of the active profile
+const getConfiguredLiveryDirectory = () => {
+  return getActiveProfile().liveryDirectory || null;
+};
+
+// Function to save configured livery directory of the active profile
+const saveConfiguredLiveryDirectory = (directory) => {
+  return updateActiveProfile({ liveryDirectory: directory });
+};
+
+// Function to get the dedicated server cfg folder of the active profile
+const getConfiguredServerConfigDirectory = () => {
+  return getActiveProfile().serverConfigDirectory || null;
+};
+
+// Function to save the dedicated server cfg folder of the active profile
+const saveConfiguredServerConfigDirectory = (directory) => {
+  return updateActiveProfile({ serverConfigDirectory: directory });
+};
+
 // Function to get livery path with automatic detection
 const getAutoDetectDocumentsPath = () => {
   const homeDir = app.getPath('home');
@@ -102,7 +238,11 @@ const getAutoDetectDocumentsPath = () => {
     // Windows: Documents/Assetto Corsa Competizione
     return path.join(homeDir, 'Documents', 'Assetto Corsa Competizione');
   } else if (process.platform === 'linux') {
-    // Linux: Steam path
+    // Linux: best Proton prefix found across Steam libraries, or the default Steam path
+    const [bestCandidate] = findDocumentsFolderCandidates();
+    if (bestCandidate) {
+      return bestCandidate.documentsPath;
+    }
     return path.join(homeDir, '.steam', 'steam', 'steamapps', 'compatdata', '805550', 'pfx', 'drive_c', 'users', 'steamuser', 'Documents', 'Assetto Corsa Competizione');
   } else {
     // For other platforms (macOS), use Documents path
@@ -131,6 +271,38 @@ const selectDocumentsFolder = async () => {
   try {
     const homeDir = app.getPath('home');
     
+    // Offer the ACC Documents folders we could find before falling back to browsing
+    const candidates = findDocumentsFolderCandidates();
+    if (candidates.length > 0) {
+      const browseId = candidates.length;
+      const cancelId = candidates.length + 1;
+      const response = await dialog.showMessageBox({
+        type: 'question',
+        title: 'Select Assetto Corsa Competizione Documents Folder',
+        message: candidates.length === 1
+          ? 'Found an Assetto Corsa Competizione Documents folder. Do you want to use it?'
+          : 'Found several Assetto Corsa Competizione Documents folders. Which one do you want to use?',
+        detail: candidates.map((candidate, index) => `${index + 1}. ${candidate.documentsPath}`).join('\n'),
+        buttons: [
+          ...candidates.map((candidate, index) => `${index + 1}. ${getCandidateLabel(candidate)}`),
+          'Browse...',
+          'Cancel'
+        ],
+        defaultId: 0,
+        cancelId
+      });
+      
+      if (response.response === cancelId) {
+        return { canceled: true };
+      }
+      if (response.response !== browseId) {
+        return {
+          path: candidates[response.response].customsPath,
+          canceled: false
+        };
+      }
+    }
+    
     // Get auto-detected livery path or fallback to home directory
     const autoDetectPath = getAutoDetectDocumentsPath();
     const defaultPath = validateDirectory(autoDetectPath) ? autoDetectPath : homeDir;
@@ -195,13 +367,23 @@ const saveMinimizeToTrayPreference = (shouldMinimize) => {
 };
 
 module.exports = {
+  DEFAULT_URL,
   getConfigPath,
+  writeFileAtomic,
   readSavedUrl,
   saveUrl,
   saveConfig,
   readSavedConfig,
+  getProfiles,
+  getActiveProfile,
+  createProfile,
+  updateActiveProfile,
+  setActiveProfile,
+  deleteProfile,
   getConfiguredLiveryDirectory,
   saveConfiguredLiveryDirectory,
+  getConfiguredServerConfigDirectory,
+  saveConfiguredServerConfigDirectory,
   getAutoDetectDocumentsPath,
   validateDirectory,
   selectDocumentsFolder,
@@ -0,0 +1,240 @@
+const DEFAULT_URL = 'https://blancpaw-gt.uk';
+const DEFAULT_PROFILE_NAME = 'Default';
+
+// Bump this and add a migration below whenever the shape of config.json changes
+const CONFIG_VERSION = 2;
+
+// Function to create the default server profile
+const createDefaultProfile = () => ({
+  name: DEFAULT_PROFILE_NAME,
+  url: DEFAULT_URL,
+  liveryDirectory: null,
+  serverConfigDirectory: null,
+  resultsDirectory: null,
+  // null uses Electron's default session, where logins from before profiles existed live
+  partition: null
+});
+
+// Declared shape of a server profile
+const profileSchema = {
+  name: { type: 'string', required: true },
+  url: { type: 'string', required: true },
+  liveryDirectory: { type: 'string', nullable: true, default: null },
+  // accServer/cfg folder that generated dedicated server configs are written to
+  serverConfigDirectory: { type: 'string', nullable: true, default: null },
+  // accServer/results folder watched for result files to upload, null when not watching
+  resultsDirectory: { type: 'string', nullable: true, default: null },
+  partition: { type: 'string', nullable: true, default: null }
+};
+
+// Declared shape of the event reminder settings
+const notificationsSchema = {
+  enabled: { type: 'boolean', default: true },
+  // Minutes before each session
+  offsets: { type: 'array', itemType: 'number', default: () => [1440, 60, 15] },
+  // Remind when an upcoming event's liveries changed since they were installed
+  liveryChanges: { type: 'boolean', default: true }
+};
+
+// Declared shape of the ACC live timing settings. Port and passwords left null are read
+// from the game's Config/broadcasting.json.
+const liveTimingSchema = {
+  enabled: { type: 'boolean', default: false },
+  host: { type: 'string', default: '127.0.0.1' },
+  port: { type: 'number', nullable: true, default: null },
+  connectionPassword: { type: 'string', nullable: true, default: null },
+  commandPassword: { type: 'string', nullable: true, default: null },
+  updateInterval: { type: 'number', default: 250 },
+  relay: { type: 'boolean', default: false },
+  // null relays to /live-timing on the active profile's server
+  relayUrl: { type: 'string', nullable: true, default: null }
+};
+
+// Declared shape of config.json. Fields without a default are left out until the user sets them,
+// e.g. minimizeToTray, whose absence means the user hasn't been asked yet.
+const configSchema = {
+  version: { type: 'number', default: CONFIG_VERSION },
+  minimizeToTray: { type: 'boolean' },
+  activeProfile: { type: 'string', default: DEFAULT_PROFILE_NAME },
+  // Sites besides the configured servers that may open inside the app, e.g. *.example.com
+  navigationAllowlist: { type: 'array', itemType: 'string', default: () => [] },
+  // Release channel updates come from: 'stable' or 'beta', which also offers pre-releases
+  updateChannel: { type: 'string', default: 'stable' },
+  // Lowest level written to the log files: 'error', 'warn', 'info' or 'debug'
+  logLevel: { type: 'string', default: 'info' },
+  notifications: { type: 'object', properties: notificationsSchema },
+  liveTiming: { type: 'object', properties: liveTimingSchema },
+  profiles: { type: 'array', items: profileSchema, default: () => [createDefaultProfile()] }
+};
+
+// Migrations from each version to the next, indexed by the version they upgrade from.
+// Config files written before versioning are treated as version 0.
+const migrations = [
+  // 0 -> 1: documentsFolder was renamed to liveryDirectory
+  (config) => {
+    if (config.documentsFolder && !config.liveryDirectory) {
+      config.liveryDirectory = config.documentsFolder;
+    }
+    delete config.documentsFolder;
+    return config;
+  },
+  // 1 -> 2: the single top-level server became the first entry of a profile list
+  (config) => {
+    if (!Array.isArray(config.profiles) || config.profiles.length === 0) {
+      config.profiles = [{
+        ...createDefaultProfile(),
+        url: config.url || DEFAULT_URL,
+        liveryDirectory: config.liveryDirectory || null
+      }];
+      config.activeProfile = DEFAULT_PROFILE_NAME;
+    }
+    delete config.url;
+    delete config.liveryDirectory;
+    return config;
+  }
+];
+
+// Function to upgrade a config object to the current version
+const migrateConfig = (data) => {
+  let config = { ...data };
+  let version = Number.isInteger(config.version) ? config.version : 0;
+
+  if (version > CONFIG_VERSION) {
+    console.warn(`Config version ${version} is newer than this app supports (${CONFIG_VERSION}), reading it as-is`);
+    return { config, migrated: false };
+  }
+
+  const startVersion = version;
+  while (version < CONFIG_VERSION) {
+    console.log(`Migrating config from version ${version} to ${version + 1}`);
+    config = migrations[version](config);
+    version++;
+  }
+  // Keep the version at the top of the file
+  config = { version: CONFIG_VERSION, ...config };
+  return { config, migrated: version !== startVersion };
+};
+
+// Function to get the default value declared for a field
+const getDefault = (field) => {
+  return typeof field.default === 'function' ? field.default() : field.default;
+};
+
+// Function to check a value against a declared field type
+const matchesType = (field, value) => {
+  if (value === null) {
+    return Boolean(field.nullable);
+  }
+  if (field.type === 'array') {
+    return Array.isArray(value);
+  }
+  if (field.type === 'object') {
+    return typeof value === 'object' && !Array.isArray(value);
+  }
+  return typeof value === field.type;
+};
+
+// Function to validate an object against a schema. Invalid fields fall back to their default
+// (or are dropped), unknown fields are kept so newer settings survive a downgrade.
+// Returns null when a required field is missing or invalid.
+const validateObject = (data, schema, problems, prefix = '') => {
+  const result = { ...data };
+  let usable = true;
+
+  Object.entries(schema).forEach(([key, field]) => {
+    const value = data[key];
+
+    // Nested settings are checked field by field, so settings added later get their defaults
+    if (field.type === 'object' && field.properties) {
+      if (value !== undefined && !matchesType(field, value)) {
+        problems.push(`${prefix}${key} should be an object`);
+      }
+      const nested = value !== undefined && matchesType(field, value) ? value : {};
+      result[key] = validateObject(nested, field.properties, problems, `${prefix}${key}.`);
+      return;
+    }
+    if (value === undefined) {
+      if (field.required) {
+        problems.push(`${prefix}${key} is missing`);
+        usable = false;
+      } else if (field.default !== undefined) {
+        result[key] = getDefault(field);
+      }
+      return;
+    }
+
+    if (!matchesType(field, value)) {
+      problems.push(`${prefix}${key} should be ${field.nullable ? `a ${field.type} or null` : `a ${field.type}`}`);
+      if (field.required) {
+        usable = false;
+      } else if (field.default !== undefined) {
+        result[key] = getDefault(field);
+      } else {
+        delete result[key];
+      }
+      return;
+    }
+
+    if (field.type === 'array' && field.itemType) {
+      result[key] = value.filter((item, index) => {
+        if (typeof item !== field.itemType) {
+          problems.push(`${prefix}${key}[${index}] should be a ${field.itemType}`);
+          return false;
+        }
+        return true;
+      });
+    }
+
+    if (field.type === 'array' && field.items) {
+      result[key] = value
+        .map((item, index) => {
+          if (!item || typeof item !== 'object' || Array.isArray(item)) {
+            problems.push(`${prefix}${key}[${index}] should be an object`);
+            return null;
+          }
+          const validated = validateObject(item, field.items, problems, `${prefix}${key}[${index}].`);
+          if (!validated) {
+            problems.push(`${prefix}${key}[${index}] was removed`);
+          }
+          return validated;
+        })
+        .filter(Boolean);
+    }
+  });
+
+  return usable ? result : null;
+};
+
+// Function to validate a migrated config and fill in defaults.
+// Returns the usable config and a list of problems that were corrected.
+const validateConfig = (data) => {
+  const problems = [];
+  const config = validateObject(data, configSchema, problems);
+
+  if (config.profiles.length === 0) {
+    problems.push('no valid profiles, restoring the default profile');
+    config.profiles = [createDefaultProfile()];
+  }
+  if (!config.profiles.some(profile => profile.name === config.activeProfile)) {
+    if (data.activeProfile !== undefined) {
+      problems.push(`active profile "${config.activeProfile}" does not exist`);
+    }
+    config.activeProfile = config.profiles[0].name;
+  }
+
+  return { config, problems };
+};
+
+// Function to create a fresh config with every default filled in
+const createDefaultConfig = () => {
+  return validateConfig({ version: CONFIG_VERSION }).config;
+};
+
+module.exports = {
+  DEFAULT_URL,
+  DEFAULT_PROFILE_NAME,
+  CONFIG_VERSION,
+  migrateConfig,
+  validateConfig,
+  createDefaultConfig
+};
@@ -0,0 +1,180 @@
+const { net } = require('electron');
+const tls = require('tls');
+const { isIP } = require('net');
+
+// Chromium error codes, see net/base/net_error_list.h
+const ERR_ABORTED = -3;
+
+// Chromium error codes grouped by what the user can do about them
+const ERROR_CATEGORIES = {
+  offline: [-106, -21], // INTERNET_DISCONNECTED, NETWORK_CHANGED
+  dns: [-105, -137], // NAME_NOT_RESOLVED, NAME_RESOLUTION_FAILED
+  unreachable: [-7, -100, -101, -102, -104, -109, -118, -324], // TIMED_OUT, CONNECTION_*, ADDRESS_UNREACHABLE, EMPTY_RESPONSE
+  tls: [-107, -113, -150] // SSL_PROTOCOL_ERROR, SSL_VERSION_OR_CIPHER_MISMATCH, SSL_PINNED_KEY_NOT_IN_CERT_CHAIN
+};
+
+// Plain-language explanations shown on the error page
+const EXPLANATIONS = {
+  offline: {
+    title: 'You are offline',
+    explanation: 'This computer is not connected to the internet. Check your Wi-Fi or network cable, the page reloads by itself once the connection is back.'
+  },
+  dns: {
+    title: 'Server not found',
+    explanation: 'The server name could not be looked up. Either your internet connection is down or the Attrition URL in the settings is misspelled.'
+  },
+  unreachable: {
+    title: 'Server not reachable',
+    explanation: 'The server did not answer. It may be restarting or your connection may be unstable, the page reloads by itself once the server answers again.'
+  },
+  tls: {
+    title: 'Secure connection failed',
+    explanation: 'The server\'s certificate could not be verified, so the connection was stopped to protect your login. This usually means the server\'s certificate has expired or the URL is wrong. It can also mean something on your network is intercepting the connection.'
+  },
+  server: {
+    title: 'Server error',
+    explanation: 'The server is having problems right now. The page reloads by itself once the server works again.'
+  },
+  unknown: {
+    title: 'Page could not be loaded',
+    explanation: 'Something went wrong while loading the page. The page reloads by itself once the server can be reached.'
+  }
+};
+
+// Function to describe a failed load. errorCode is a Chromium error code,
+// or an HTTP status code of 500 and up when the server answered with an error.
+const describeLoadError = (errorCode, errorDescription) => {
+  let category = 'unknown';
+  if (errorCode >= 500) {
+    category = 'server';
+  } else if (errorCode <= -200 && errorCode > -300) {
+    // -2xx are certificate errors
+    category = 'tls';
+  } else {
+    category = Object.keys(ERROR_CATEGORIES).find(key => ERROR_CATEGORIES[key].includes(errorCode)) || category;
+  }
+  if (category !== 'offline' && !net.isOnline()) {
+    category = 'offline';
+  }
+  return {
+    category,
+    code: errorCode >= 500 ? `HTTP ${errorCode}` : `${errorDescription || 'ERR_FAILED'} (${errorCode})`,
+    ...EXPLANATIONS[category]
+  };
+};
+
+// Function to check whether a server answers without a server error.
+// Uses the given session so proxies and certificates are handled like in the window.
+const checkServerReachable = async (url, { fetchSession, timeout = 10000 } = {}) => {
+  if (!net.isOnline()) {
+    return false;
+  }
+  try {
+    const response = await (fetchSession || net).fetch(url, {
+      method: 'HEAD',
+      cache: 'no-store',
+      signal: AbortSignal.timeout(timeout)
+    });
+    return response.status < 500;
+  } catch (error) {
+    console.log('Server not reachable yet:', url, error.message);
+    return false;
+  }
+};
+
+// Function to find the error category of a failed net.fetch, whose errors only carry Chromium's error name
+const categorizeFetchError = (error) => {
+  const message = String(error && error.message);
+  if (/ERR_(CERT|SSL)_/.test(message)) {
+    return 'tls';
+  }
+  if (/ERR_INTERNET_DISCONNECTED|ERR_NETWORK_CHANGED/.test(message)) {
+    return 'offline';
+  }
+  if (/ERR_NAME_NOT_RESOLVED|ERR_NAME_RESOLUTION_FAILED/.test(message)) {
+    return 'dns';
+  }
+  return 'unreachable';
+};
+
+// Function to read the certificate a TLS server presents, to show whom it was issued to and until when.
+// Whether the certificate is trusted is left to Chromium, which uses the system's certificate store.
+const readServerCertificate = (hostname, port, { timeout = 10000 } = {}) => {
+  return new Promise((resolve, reject) => {
+    const socket = tls.connect({
+      host: hostname,
+      port,
+      servername: isIP(hostname) ? undefined : hostname,
+      rejectUnauthorized: false,
+      timeout
+    }, () => {
+      const certificate = socket.getPeerCertificate();
+      socket.end();
+      if (!certificate || !certificate.valid_to) {
+        reject(new Error('The server presented no certificate'));
+        return;
+      }
+      resolve({
+        subject: (certificate.subject && certificate.subject.CN) || null,
+        issuer: (certificate.issuer && (certificate.issuer.O || certificate.issuer.CN)) || null,
+        validTo: new Date(certificate.valid_to).toISOString(),
+        fingerprint: certificate.fingerprint256 || null
+      });
+    });
+    socket.on('timeout', () => socket.destroy(new Error('The TLS handshake timed out')));
+    socket.on('error', reject);
+  });
+};
+
+// Function to check a server URL before it is saved: whether it answers, and for https whether the
+// connection is trusted. Uses the given session so proxies and certificates are handled like in the window.
+// Returns { reachable, status, secure, certificate, category, error }; category and error are set when it fails.
+const checkServerUrl = async (url, { fetchSession, timeout = 10000 } = {}) => {
+  const result = { reachable: false, status: null, secure: false, certificate: null, category: null, error: null };
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return { ...result, category: 'unknown', error: 'Not a valid URL' };
+  }
+  if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+    return { ...result, category: 'unknown', error: 'Only http:// and https:// servers are supported' };
+  }
+  if (!net.isOnline()) {
+    return { ...result, category: 'offline', error: EXPLANATIONS.offline.title };
+  }
+  result.secure = parsed.protocol === 'https:';
+
+  try {
+    const response = await (fetchSession || net).fetch(parsed.toString(), {
+      method: 'HEAD',
+      cache: 'no-store',
+      signal: AbortSignal.timeout(timeout)
+    });
+    result.status = response.status;
+    result.reachable = response.status < 500;
+    if (!result.reachable) {
+      result.category = 'server';
+      result.error = `${EXPLANATIONS.server.title} (HTTP ${response.status})`;
+    }
+  } catch (error) {
+    result.category = error.name === 'TimeoutError' ? 'unreachable' : categorizeFetchError(error);
+    result.error = `${EXPLANATIONS[result.category].title} (${error.message})`;
+  }
+
+  if (result.secure && result.category !== 'dns' && result.category !== 'offline') {
+    try {
+      result.certificate = await readServerCertificate(parsed.hostname, Number(parsed.port) || 443, { timeout });
+    } catch (error) {
+      console.log('Could not read server certificate:', parsed.hostname, error.message);
+    }
+  }
+  return result;
+};
+
+module.exports = {
+  ERR_ABORTED,
+  describeLoadError,
+  checkServerReachable,
+  checkServerUrl
+};
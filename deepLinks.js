@@ -0,0 +1,69 @@
+// URL scheme registered for one-click links, e.g. attrition://install-liveries?server=...&event=123
+const PROTOCOL = 'attrition';
+
+// Function to find an attrition:// link among command line arguments
+const findDeepLinkInArgs = (argv) => {
+  return argv.find(arg => typeof arg === 'string' && arg.toLowerCase().startsWith(`${PROTOCOL}://`)) || null;
+};
+
+// Function to normalize a server parameter to its origin, only http(s) servers are accepted
+const parseServer = (server) => {
+  if (!server) {
+    return null;
+  }
+  let url;
+  try {
+    url = new URL(server);
+  } catch (error) {
+    throw new Error(`Invalid server in link: ${server}`);
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    throw new Error(`Unsupported server protocol in link: ${url.protocol}`);
+  }
+  return url.origin;
+};
+
+// Function to parse an attrition:// link into an action.
+// Supported links:
+//   attrition://install-liveries?server=<url>&event=<id>
+//   attrition://open?server=<url>&path=/events/123
+const parseDeepLink = (link) => {
+  let url;
+  try {
+    url = new URL(link);
+  } catch (error) {
+    throw new Error(`Invalid link: ${link}`);
+  }
+  if (url.protocol !== `${PROTOCOL}:`) {
+    throw new Error(`Not an ${PROTOCOL}:// link: ${link}`);
+  }
+
+  // The action is the host part, some platforms pass it as the path instead
+  const action = (url.hostname || url.pathname.replace(/^\/+/, '')).replace(/\/+$/, '').toLowerCase();
+  const server = parseServer(url.searchParams.get('server'));
+
+  if (action === 'install-liveries') {
+    const eventId = url.searchParams.get('event');
+    if (!eventId || !/^[A-Za-z0-9_-]{1,64}$/.test(eventId)) {
+      throw new Error('Link is missing a valid event ID');
+    }
+    return { action, server, eventId };
+  }
+
+  if (action === 'open') {
+    const targetPath = url.searchParams.get('path') || '/';
+    // Only paths on the server itself, never protocol-relative or absolute URLs
+    if (!targetPath.startsWith('/') || targetPath.startsWith('//') || targetPath.includes('\\')) {
+      throw new Error(`Invalid path in link: ${targetPath}`);
+    }
+    return { action, server, path: targetPath };
+  }
+
+  throw new Error(`Unknown link action: ${action || '(none)'}`);
+};
+
+module.exports = {
+  PROTOCOL,
+  findDeepLinkInArgs,
+  parseDeepLink
+};
@@ -0,0 +1,94 @@
+const { app } = require('electron');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getLogFiles, redact } = require('./logger');
+const { readSavedConfig, getActiveProfile } = require('./configHelpers');
+const { createZipArchive } = require('./liverySubmission');
+const { getSetupsDirectory } = require('./setupInstaller');
+const { getReplayDirectory } = require('./replayUploads');
+const { findDocumentsFolderCandidates, getCandidateLabel } = require('./steamDiscovery');
+
+// Function to describe the app, Electron and the operating system it runs on
+const collectSystemInfo = () => ({
+  app: {
+    name: app.getName(),
+    version: app.getVersion(),
+    packaged: app.isPackaged,
+    locale: app.getLocale(),
+    userData: app.getPath('userData')
+  },
+  versions: {
+    electron: process.versions.electron,
+    chrome: process.versions.chrome,
+    node: process.versions.node
+  },
+  os: {
+    platform: process.platform,
+    release: os.release(),
+    version: typeof os.version === 'function' ? os.version() : null,
+    arch: process.arch,
+    totalMemory: os.totalmem(),
+    freeMemory: os.freemem(),
+    uptime: os.uptime()
+  },
+  createdAt: new Date().toISOString()
+});
+
+// Function to describe a file or folder for the report, or null when it isn't configured
+const describePath = (targetPath) => {
+  return targetPath ? { path: targetPath, exists: fs.existsSync(targetPath) } : null;
+};
+
+// Function to resolve the ACC folders the active profile uses, and the ones found automatically
+const collectAccPaths = () => {
+  const profile = getActiveProfile();
+  const customsDir = profile.liveryDirectory || null;
+  const documentsDir = customsDir ? path.dirname(customsDir) : null;
+
+  let detected;
+  try {
+    detected = findDocumentsFolderCandidates().map(candidate => ({
+      customsPath: candidate.customsPath,
+      source: getCandidateLabel(candidate),
+      hasAcc: candidate.hasAcc
+    }));
+  } catch (error) {
+    detected = `Detection failed: ${error.message}`;
+  }
+
+  return {
+    profile: profile.name,
+    customs: describePath(customsDir),
+    cars: describePath(customsDir && path.join(customsDir, 'Cars')),
+    liveries: describePath(customsDir && path.join(customsDir, 'Liveries')),
+    documents: describePath(documentsDir),
+    setups: describePath(customsDir && getSetupsDirectory(customsDir)),
+    replays: describePath(customsDir && getReplayDirectory(customsDir)),
+    broadcastingConfig: describePath(documentsDir && path.join(documentsDir, 'Config', 'broadcasting.json')),
+    serverConfig: describePath(profile.serverConfigDirectory),
+    results: describePath(profile.resultsDirectory),
+    detected
+  };
+};
+
+// Function to build the diagnostics ZIP for bug reports: the log files, the configuration with
+// passwords and other secrets removed, app and system versions and the resolved ACC folders.
+const createDiagnosticsArchive = () => {
+  const toJson = (value) => Buffer.from(JSON.stringify(value, null, 2));
+  const entries = [
+    { path: 'system.json', data: toJson(collectSystemInfo()) },
+    { path: 'acc-paths.json', data: toJson(collectAccPaths()) },
+    { path: 'config.json', data: toJson(redact(readSavedConfig())) }
+  ];
+  getLogFiles().forEach(filePath => {
+    entries.push({ path: `logs/${path.basename(filePath)}`, data: fs.readFileSync(filePath) });
+  });
+  return createZipArchive(entries);
+};
+
+module.exports = {
+  collectSystemInfo,
+  collectAccPaths,
+  createDiagnosticsArchive
+};
@@ -0,0 +1,136 @@
+const { app } = require('electron');
+const fs = require('fs');
+const path = require('path');
+
+// Reminders for sessions that started longer ago than this are forgotten
+const SENT_RETENTION = 2 * 24 * 60 * 60 * 1000;
+
+// Function to get the path of the persisted reminder state
+const getReminderStatePath = () => {
+  return path.join(app.getPath('userData'), 'event-reminders.json');
+};
+
+// Function to create an empty reminder state.
+// events caches the last known events per profile so reminders survive a restart without a connection,
+// sent holds the reminders already shown, liveryChanges the remote manifests already reported.
+const createEmptyState = () => ({ events: {}, sent: {}, liveryChanges: {} });
+
+// Function to read the persisted reminder state
+const readReminderState = () => {
+  try {
+    const statePath = getReminderStatePath();
+    if (fs.existsSync(statePath)) {
+      const data = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+      if (data && typeof data === 'object' && !Array.isArray(data)) {
+        return { ...createEmptyState(), ...data };
+      }
+    }
+  } catch (error) {
+    console.error('Error reading reminder state:', error);
+  }
+  return createEmptyState();
+};
+
+// Function to persist the reminder state, forgetting reminders of sessions long past
+const writeReminderState = (state) => {
+  const cutoff = Date.now() - SENT_RETENTION;
+  const sent = Object.fromEntries(
+    Object.entries(state.sent).filter(([, reminder]) => new Date(reminder.startsAt).getTime() > cutoff)
+  );
+  try {
+    fs.writeFileSync(getReminderStatePath(), JSON.stringify({ ...state, sent }, null, 2));
+  } catch (error) {
+    console.error('Error writing reminder state:', error);
+  }
+};
+
+// Function to get the persisted form of an event, with dates as ISO strings
+const serializeEvent = (event) => ({
+  id: event.id,
+  name: event.name,
+  url: event.url,
+  sessions: event.sessions.map(session => ({ name: session.name, startsAt: session.startsAt.toISOString() }))
+});
+
+// Function to restore a persisted event, keeping only sessions still to come. Returns null when none are left.
+const reviveEvent = (event, now = new Date()) => {
+  const sessions = (event.sessions || [])
+    .map(session => ({ name: session.name, startsAt: new Date(session.startsAt) }))
+    .filter(session => session.startsAt > now)
+    .sort((a, b) => a.startsAt - b.startsAt);
+  if (sessions.length === 0) {
+    return null;
+  }
+  return { ...event, sessions, nextSession: sessions[0] };
+};
+
+// Function to get the key identifying one reminder of one session
+const getReminderKey = (event, session, offsetMinutes) => {
+  return `${event.id}|${session.name}|${session.startsAt.toISOString()}|${offsetMinutes}`;
+};
+
+// Function to work out which reminders are due. Offsets are minutes before each session.
+// When several reminders of a session are overdue, e.g. after the app was closed for a while,
+// only the one closest to the session is returned; the others are marked as sent with it.
+// Returns [{ event, session, offsetMinutes, keys }].
+const getDueReminders = (events, offsets, sent, now = new Date()) => {
+  const due = [];
+  events.forEach(event => {
+    event.sessions
+      .filter(session => session.startsAt > now)
+      .forEach(session => {
+        const overdue = offsets
+          .filter(offsetMinutes => session.startsAt.getTime() - offsetMinutes * 60000 <= now.getTime())
+          .filter(offsetMinutes => !sent[getReminderKey(event, session, offsetMinutes)]);
+        if (overdue.length === 0) {
+          return;
+        }
+        due.push({
+          event,
+          session,
+          offsetMinutes: Math.min(...overdue),
+          keys: overdue.map(offsetMinutes => getReminderKey(event, session, offsetMinutes))
+        });
+      });
+  });
+  return due;
+};
+
+// Function to parse reminder offsets like "24h, 1h, 15m" into minutes, largest first
+const parseReminderOffsets = (value) => {
+  const parts = Array.isArray(value) ? value : String(value || '').split(',');
+  const offsets = parts
+    .map(part => String(part).trim().toLowerCase())
+    .filter(Boolean)
+    .map(part => {
+      const match = part.match(/^(\d+(?:\.\d+)?)\s*(d|h|m|min)?$/);
+      if (!match) {
+        throw new Error(`Invalid reminder time: ${part}`);
+      }
+      const multiplier = { d: 1440, h: 60, m: 1, min: 1 }[match[2] || 'm'];
+      const minutes = Math.round(Number(match[1]) * multiplier);
+      if (minutes < 1 || minutes > 7 * 1440) {
+        throw new Error(`Reminder times must be between 1 minute and 7 days: ${part}`);
+      }
+      return minutes;
+    });
+  return [...new Set(offsets)].sort((a, b) => b - a);
+};
+
+// Function to format an offset in minutes, e.g. 1440 -> "24h", 15 -> "15m"
+const formatReminderOffset = (minutes) => {
+  if (minutes % 60 === 0) {
+    return `${minutes / 60}h`;
+  }
+  return `${minutes}m`;
+};
+
+module.exports = {
+  readReminderState,
+  writeReminderState,
+  serializeEvent,
+  reviveEvent,
+  getDueReminders,
+  parseReminderOffsets,
+  formatReminderOffset
+};
@@ -0,0 +1,82 @@
+const { app } = require('electron');
+const fs = require('fs');
+const path = require('path');
+
+// Flags the app is started with at login, so it waits in the tray instead of opening its window
+const LOGIN_ARGS = ['--minimized'];
+
+// Function to get the command that starts this app: the AppImage, the installed executable,
+// or in development Electron with the app's folder
+const getLaunchCommand = () => {
+  if (process.env.APPIMAGE) {
+    return { executable: process.env.APPIMAGE, args: LOGIN_ARGS };
+  }
+  if (process.defaultApp && process.argv.length >= 2) {
+    return { executable: process.execPath, args: [path.resolve(process.argv[1]), ...LOGIN_ARGS] };
+  }
+  return { executable: process.execPath, args: LOGIN_ARGS };
+};
+
+// Function to get the autostart entry used on Linux, see the XDG Autostart specification
+const getAutostartPath = () => {
+  const configHome = process.env.XDG_CONFIG_HOME || path.join(app.getPath('home'), '.config');
+  return path.join(configHome, 'autostart', 'attrition-desktop.desktop');
+};
+
+// Function to quote an argument for the Exec key of a desktop entry. The quoting rules escape
+// ", `, $ and \, then the key's string value escapes every \ again; % starts field codes and is doubled.
+const quoteExecArgument = (arg) => {
+  const quoted = `"${arg.replace(/(["`$\\])/g, '\\$1')}"`;
+  return quoted.replace(/\\/g, '\\\\').replace(/%/g, '%%');
+};
+
+// Function to check whether the app can start at login on this platform
+const isLaunchAtLoginSupported = () => {
+  return ['win32', 'darwin', 'linux'].includes(process.platform);
+};
+
+// Function to check whether the app starts at login
+const getLaunchAtLogin = () => {
+  if (process.platform === 'linux') {
+    return fs.existsSync(getAutostartPath());
+  }
+  if (!isLaunchAtLoginSupported()) {
+    return false;
+  }
+  // Windows only reports the entry when asked with the same path and arguments it was registered with
+  const { executable, args } = getLaunchCommand();
+  return app.getLoginItemSettings({ path: executable, args }).openAtLogin;
+};
+
+// Function to start the app at login, or stop doing so
+const setLaunchAtLogin = (enabled) => {
+  const { executable, args } = getLaunchCommand();
+  if (process.platform === 'linux') {
+    const autostartPath = getAutostartPath();
+    if (!enabled) {
+      fs.rmSync(autostartPath, { force: true });
+      return;
+    }
+    fs.mkdirSync(path.dirname(autostartPath), { recursive: true });
+    fs.writeFileSync(autostartPath, [
+      '[Desktop Entry]',
+      'Type=Application',
+      'Name=Attrition Desktop',
+      `Exec=${[executable, ...args].map(quoteExecArgument).join(' ')}`,
+      'Terminal=false',
+      'X-GNOME-Autostart-enabled=true',
+      ''
+    ].join('\n'));
+    return;
+  }
+  if (!isLaunchAtLoginSupported()) {
+    throw new Error('Starting at login is not supported on this platform');
+  }
+  app.setLoginItemSettings({ openAtLogin: enabled, path: executable, args });
+};
+
+module.exports = {
+  isLaunchAtLoginSupported,
+  getLaunchAtLogin,
+  setLaunchAtLogin
+};
@@ -0,0 +1,161 @@
+// Number of broadcasting events kept for the page, e.g. incidents of the current session
+const MAX_RECENT_EVENTS = 100;
+
+// Broadcasting events that count as incidents
+const INCIDENT_TYPES = ['Accident', 'PenaltyCommMsg'];
+
+// Function to create empty live timing state
+const createLiveTimingState = () => ({
+  connected: false,
+  readonly: false,
+  session: null,
+  track: null,
+  cars: new Map(),
+  recentEvents: []
+});
+
+// Function to get the driver currently in a car
+const getCurrentDriver = (car) => {
+  if (!car || !car.info) {
+    return null;
+  }
+  return car.info.drivers[car.driverIndex ?? car.info.currentDriverIndex] || car.info.drivers[0] || null;
+};
+
+// Function to describe a car for events and standings
+const describeCar = (car) => {
+  const driver = getCurrentDriver(car);
+  return {
+    carIndex: car.carIndex,
+    raceNumber: car.info ? car.info.raceNumber : null,
+    teamName: car.info ? car.info.teamName : null,
+    carModelType: car.info ? car.info.carModelType : null,
+    cupCategory: car.info ? car.info.cupCategory : null,
+    driver: driver ? { firstName: driver.firstName, lastName: driver.lastName, shortName: driver.shortName } : null
+  };
+};
+
+// Function to get a car's state, creating it on first sight
+const getCar = (state, carIndex) => {
+  if (!state.cars.has(carIndex)) {
+    state.cars.set(carIndex, { carIndex, info: null, update: null });
+  }
+  return state.cars.get(carIndex);
+};
+
+// Function to apply a parsed broadcasting message to the live timing state.
+// Returns a page event for broadcasting events (incidents, laps, flags), otherwise null.
+const applyMessage = (state, message) => {
+  switch (message.type) {
+    case 'registration-result':
+      state.connected = message.success;
+      state.readonly = message.isReadonly;
+      return null;
+
+    case 'realtime-update': {
+      // A new session starts with a clean slate of events
+      if (state.session && state.session.sessionIndex !== message.sessionIndex) {
+        state.recentEvents = [];
+      }
+      const { type, focusedCarIndex, activeCameraSet, activeCamera, currentHudPage, ...session } = message;
+      state.session = session;
+      return null;
+    }
+
+    case 'realtime-car-update': {
+      const car = getCar(state, message.carIndex);
+      const { type, ...update } = message;
+      car.update = update;
+      car.driverIndex = message.driverIndex;
+      return null;
+    }
+
+    case 'entry-list': {
+      // Cars that left the server are dropped, the details of the others arrive as entry-list-car
+      const carIndexes = new Set(message.carIndexes);
+      [...state.cars.keys()].filter(carIndex => !carIndexes.has(carIndex)).forEach(carIndex => state.cars.delete(carIndex));
+      message.carIndexes.forEach(carIndex => getCar(state, carIndex));
+      return null;
+    }
+
+    case 'entry-list-car':
+      getCar(state, message.car.carIndex).info = message.car;
+      return null;
+
+    case 'track-data':
+      state.track = { name: message.trackName, id: message.trackId, meters: message.trackMeters };
+      return null;
+
+    case 'broadcasting-event': {
+      const car = state.cars.get(message.carIndex);
+      const event = {
+        type: message.eventType,
+        message: message.message,
+        timeMs: message.timeMs,
+        isIncident: INCIDENT_TYPES.includes(message.eventType),
+        sessionType: state.session ? state.session.sessionType : null,
+        car: car ? describeCar(car) : null,
+        receivedAt: new Date().toISOString()
+      };
+      state.recentEvents = [...state.recentEvents, event].slice(-MAX_RECENT_EVENTS);
+      return event;
+    }
+
+    default:
+      return null;
+  }
+};
+
+// Function to get the live timing snapshot sent to the page and relayed to the server
+const getLiveTimingSnapshot = (state) => {
+  const standings = [...state.cars.values()]
+    .filter(car => car.update)
+    .sort((a, b) => a.update.position - b.update.position)
+    .map(car => ({
+      position: car.update.position,
+      cupPosition: car.update.cupPosition,
+      ...describeCar(car),
+      laps: car.update.laps,
+      location: car.update.carLocation,
+      kmh: car.update.kmh,
+      splinePosition: car.update.splinePosition,
+      deltaMs: car.update.deltaMs,
+      bestLapMs: car.update.bestSessionLap.laptimeMs,
+      lastLapMs: car.update.lastLap.laptimeMs,
+      lastLapInvalid: car.update.lastLap.isInvalid,
+      currentLapMs: car.update.currentLap.laptimeMs
+    }));
+
+  return {
+    connected: state.connected,
+    session: state.session,
+    track: state.track,
+    standings,
+    incidents: state.recentEvents.filter(event => event.isIncident)
+  };
+};
+
+// Function to send live timing data to a server endpoint.
+// payload is { type: 'snapshot', snapshot } or { type: 'event', event }.
+const relayLiveTiming = async (relayUrl, payload, { cookieString = '' } = {}) => {
+  const response = await fetch(relayUrl, {
+    method: 'POST',
+    headers: {
+      'User-Agent': 'Attrition Desktop App/1.0',
+      'Content-Type': 'application/json',
+      ...(cookieString ? { 'Cookie': cookieString } : {})
+    },
+    body: JSON.stringify({ ...payload, sentAt: new Date().toISOString() }),
+    signal: AbortSignal.timeout(5000)
+  });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  }
+};
+
+module.exports = {
+  createLiveTimingState,
+  applyMessage,
+  getLiveTimingSnapshot,
+  relayLiveTiming
+};
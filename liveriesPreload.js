@@ -0,0 +1,52 @@
+// Preload script for the liveries window, which runs with context isolation and without Node.
+// The window shows text from car files in the Customs folder, so it only gets the requests it uses;
+// the main process additionally checks that every request comes from the liveries window.
+const { contextBridge, ipcRenderer } = require('electron');
+
+// Function to validate a car file or livery folder name
+const checkName = (name, label) => {
+  if (typeof name !== 'string' || name.length === 0 || name.length > 255) {
+    throw new TypeError(`${label} must be a non-empty string`);
+  }
+  return name;
+};
+
+// Function to validate the car file or livery folder a request is about
+const checkTarget = (target) => {
+  if (target && target.carFile !== undefined) {
+    return { carFile: checkName(target.carFile, 'carFile') };
+  }
+  return { folderName: checkName(target && target.folderName, 'folderName') };
+};
+
+// Function to validate an event id
+const checkEventId = (eventId) => {
+  if ((typeof eventId !== 'string' && typeof eventId !== 'number') || String(eventId).length === 0) {
+    throw new TypeError('eventId must be a string or number');
+  }
+  return eventId;
+};
+
+// Function to validate a callback
+const checkCallback = (callback) => {
+  if (typeof callback !== 'function') {
+    throw new TypeError('callback must be a function');
+  }
+  return callback;
+};
+
+contextBridge.exposeInMainWorld('liveries', {
+  getLocalLiveries: () => ipcRenderer.invoke('get-local-liveries'),
+  getLiveryThumbnail: (folderName) => ipcRenderer.invoke('get-livery-thumbnail', checkName(folderName, 'folderName')),
+  deleteLocalLivery: (target) => ipcRenderer.invoke('delete-local-livery', checkTarget(target)),
+  revealLocalLivery: (target) => ipcRenderer.invoke('reveal-local-livery', checkTarget(target)),
+  reinstallEventLiveries: (eventId) => ipcRenderer.invoke('reinstall-event-liveries', checkEventId(eventId)),
+  selectLiveryDirectory: () => ipcRenderer.invoke('select-livery-directory'),
+  // Returns a function that unsubscribes
+  onLiveriesChanged: (callback) => {
+    checkCallback(callback);
+    const listener = () => callback();
+    ipcRenderer.on('liveries-changed', listener);
+    return () => ipcRenderer.removeListener('liveries-changed', listener);
+  }
+});
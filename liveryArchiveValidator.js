@@ -0,0 +1,139 @@
+// Limits applied to every livery archive before anything is written
+const DEFAULT_LIMITS = {
+  maxEntries: 5000,
+  maxTotalSize: 2 * 1024 * 1024 * 1024 // 2 GB uncompressed
+};
+
+// File types ACC reads from a livery folder
+const ALLOWED_LIVERY_EXTENSIONS = ['.png', '.dds', '.json'];
+
+// Unix file type bits stored in the upper half of a ZIP entry's external attributes
+const S_IFMT = 0o170000;
+const S_IFLNK = 0o120000;
+
+// Function to check if a ZIP entry is a symbolic link
+const isSymlink = (entry) => {
+  const mode = (entry.externalFileAttributes >>> 16) & S_IFMT;
+  return mode === S_IFLNK;
+};
+
+// Function to check an entry path against the ACC Customs layout.
+// Returns the normalized path, or throws with the reason it was rejected.
+const normalizeEntryPath = (rawPath, isDirectory) => {
+  if (rawPath.includes('\0')) {
+    throw new Error('path contains a null byte');
+  }
+
+  const slashed = rawPath.replace(/\\/g, '/');
+  if (slashed.startsWith('/') || /^[A-Za-z]:/.test(slashed)) {
+    throw new Error('absolute paths are not allowed');
+  }
+
+  const segments = slashed.split('/').filter(segment => segment !== '' && segment !== '.');
+  if (segments.includes('..')) {
+    throw new Error('path escapes the target directory');
+  }
+  if (segments.length === 0) {
+    throw new Error('empty path');
+  }
+
+  // Windows treats these folder names case-insensitively, Proton prefixes on Linux do not
+  const topLevel = segments[0].toLowerCase();
+  if (topLevel === 'cars') {
+    segments[0] = 'Cars';
+    if (isDirectory) {
+      if (segments.length > 1) {
+        throw new Error('Cars may only contain car .json files');
+      }
+    } else if (segments.length !== 2 || !segments[1].toLowerCase().endsWith('.json')) {
+      throw new Error('Cars may only contain car .json files');
+    }
+  } else if (topLevel === 'liveries') {
+    segments[0] = 'Liveries';
+    if (!isDirectory) {
+      if (segments.length < 3) {
+        throw new Error('livery files must be inside a Liveries/<name>/ folder');
+      }
+      const fileName = segments[segments.length - 1].toLowerCase();
+      if (!ALLOWED_LIVERY_EXTENSIONS.some(extension => fileName.endsWith(extension))) {
+        throw new Error(`only ${ALLOWED_LIVERY_EXTENSIONS.join(', ')} files are allowed in liveries`);
+      }
+    }
+  } else {
+    throw new Error('not part of the ACC Customs layout (Cars/*.json, Liveries/<name>/...)');
+  }
+
+  return segments.join('/');
+};
+
+// Function to validate every entry of a livery archive before extraction
+const validateLiveryArchive = (entries, limits = {}) => {
+  const { maxEntries, maxTotalSize } = { ...DEFAULT_LIMITS, ...limits };
+  const report = {
+    accepted: [],
+    rejected: [],
+    errors: []
+  };
+
+  if (entries.length > maxEntries) {
+    report.errors.push(`Archive contains ${entries.length} entries, the limit is ${maxEntries}`);
+  }
+
+  const totalSize = entries.reduce((sum, entry) => sum + (entry.uncompressedSize || 0), 0);
+  if (totalSize > maxTotalSize) {
+    report.errors.push(`Archive unpacks to ${formatBytes(totalSize)}, the limit is ${formatBytes(maxTotalSize)}`);
+  }
+
+  const seenPaths = new Set();
+  entries.forEach(entry => {
+    const isDirectory = entry.type === 'Directory';
+    try {
+      if (isSymlink(entry)) {
+        throw new Error('symbolic links are not allowed');
+      }
+      const normalizedPath = normalizeEntryPath(entry.path, isDirectory);
+      if (isDirectory) {
+        // Folders are created as needed while writing files
+        return;
+      }
+      if (seenPaths.has(normalizedPath.toLowerCase())) {
+        throw new Error('duplicate entry');
+      }
+      seenPaths.add(normalizedPath.toLowerCase());
+      report.accepted.push({ entry, path: normalizedPath });
+    } catch (error) {
+      report.rejected.push({ path: entry.path, reason: error.message });
+    }
+  });
+
+  return report;
+};
+
+// Function to format a byte count for reports
+const formatBytes = (bytes) => {
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+};
+
+// Function to turn a validation report into text that can be shown to the user
+const formatValidationReport = (report) => {
+  const lines = [];
+  report.errors.forEach(error => lines.push(`Archive rejected: ${error}`));
+  if (report.rejected.length > 0) {
+    lines.push(`Skipped ${report.rejected.length} entries:`);
+    report.rejected.forEach(({ path, reason }) => lines.push(`  ${path}: ${reason}`));
+  }
+  return lines.join('\n');
+};
+
+module.exports = {
+  DEFAULT_LIMITS,
+  validateLiveryArchive,
+  formatValidationReport
+};
@@ -0,0 +1,292 @@
+const fs = require('fs');
+const path = require('path');
+const { listLocalCars } = require('./liverySubmission');
+
+// ACC's carModelType IDs
+const CAR_MODELS = {
+  0: 'Porsche 991 GT3 R',
+  1: 'Mercedes-AMG GT3',
+  2: 'Ferrari 488 GT3',
+  3: 'Audi R8 LMS',
+  4: 'Lamborghini Huracán GT3',
+  5: 'McLaren 650S GT3',
+  6: 'Nissan GT-R Nismo GT3 2018',
+  7: 'BMW M6 GT3',
+  8: 'Bentley Continental GT3 2018',
+  9: 'Porsche 991 II GT3 Cup',
+  10: 'Nissan GT-R Nismo GT3 2015',
+  11: 'Bentley Continental GT3 2015',
+  12: 'Aston Martin V12 Vantage GT3',
+  13: 'Reiter Engineering R-EX GT3',
+  14: 'Emil Frey Jaguar G3',
+  15: 'Lexus RC F GT3',
+  16: 'Lamborghini Huracán GT3 Evo',
+  17: 'Honda NSX GT3',
+  18: 'Lamborghini Huracán Super Trofeo',
+  19: 'Audi R8 LMS Evo',
+  20: 'Aston Martin V8 Vantage GT3',
+  21: 'Honda NSX GT3 Evo',
+  22: 'McLaren 720S GT3',
+  23: 'Porsche 991 II GT3 R',
+  24: 'Ferrari 488 GT3 Evo',
+  25: 'Mercedes-AMG GT3 2020',
+  26: 'Ferrari 488 Challenge Evo',
+  27: 'BMW M2 CS Racing',
+  28: 'Porsche 992 GT3 Cup',
+  29: 'Lamborghini Huracán Super Trofeo Evo 2',
+  30: 'BMW M4 GT3',
+  31: 'Audi R8 LMS GT3 Evo II',
+  32: 'Ferrari 296 GT3',
+  33: 'Lamborghini Huracán GT3 Evo 2',
+  34: 'Porsche 992 GT3 R',
+  35: 'McLaren 720S GT3 Evo',
+  36: 'Ford Mustang GT3',
+  50: 'Alpine A110 GT4',
+  51: 'Aston Martin V8 Vantage GT4',
+  52: 'Audi R8 LMS GT4',
+  53: 'BMW M4 GT4',
+  55: 'Chevrolet Camaro GT4',
+  56: 'Ginetta G55 GT4',
+  57: 'KTM X-Bow GT4',
+  58: 'Maserati MC GT4',
+  59: 'McLaren 570S GT4',
+  60: 'Mercedes-AMG GT4',
+  61: 'Porsche 718 Cayman GT4 Clubsport',
+  80: 'Audi R8 LMS GT2',
+  82: 'KTM X-Bow GT2',
+  83: 'Maserati MC20 GT2',
+  84: 'Mercedes-AMG GT2',
+  85: 'Porsche 911 GT2 RS Clubsport Evo',
+  86: 'Porsche 935'
+};
+
+// Livery files shown as a thumbnail, in order of preference. The DDS files are the ones ACC generates from the PNGs.
+const THUMBNAIL_SOURCES = ['decals.png', 'sponsors.png', 'decals_1.dds', 'decals_0.dds', 'sponsors_1.dds', 'sponsors_0.dds'];
+
+// Largest DDS mipmap decoded for a thumbnail, larger ones would take too long in the main process
+const MAX_DDS_PREVIEW_SIZE = 1024;
+
+// Function to get the name of an ACC car model
+const getCarModelName = (carModelType) => {
+  if (carModelType === null || carModelType === undefined) {
+    return 'Unknown car';
+  }
+  return CAR_MODELS[carModelType] || `Unknown car (${carModelType})`;
+};
+
+// Function to check a livery folder name coming from a renderer, it must name a folder directly inside Liveries
+const checkLiveryFolderName = (folderName) => {
+  if (typeof folderName !== 'string' || !/^[^\\/:*?"<>|\0]{1,200}$/.test(folderName) || folderName === '.' || folderName === '..') {
+    throw new Error('Invalid livery folder name');
+  }
+  return folderName;
+};
+
+// Function to map each Customs file installed by an event to that event, for events installed into customsDir
+const getInstalledBy = (customsDir, manifests) => {
+  const installedBy = new Map();
+  manifests
+    .filter(manifest => manifest.targetDirectory && path.resolve(manifest.targetDirectory) === path.resolve(customsDir))
+    .sort((a, b) => new Date(a.installedAt) - new Date(b.installedAt))
+    .forEach(manifest => {
+      // Later installs of the same file win
+      manifest.files.forEach(file => installedBy.set(file.path.toLowerCase(), {
+        eventId: String(manifest.eventId),
+        sourceUrl: manifest.sourceUrl,
+        installedAt: manifest.installedAt
+      }));
+    });
+  return installedBy;
+};
+
+// Function to find the file a livery folder's thumbnail is made from, or null when it has none
+const findThumbnailSource = (customsDir, folderName) => {
+  const folderPath = path.join(customsDir, 'Liveries', checkLiveryFolderName(folderName));
+  if (!fs.existsSync(folderPath)) {
+    return null;
+  }
+  const files = fs.readdirSync(folderPath);
+  for (const source of THUMBNAIL_SOURCES) {
+    const match = files.find(fileName => fileName.toLowerCase() === source);
+    if (match) {
+      return path.join(folderPath, match);
+    }
+  }
+  return null;
+};
+
+// Function to list what is in a Customs folder: every car with its livery and the event that installed it,
+// and livery folders no car uses. Cars pointing at a missing livery folder are flagged with missingFolder.
+const scanCustomsFolder = (customsDir, manifests) => {
+  const installedBy = getInstalledBy(customsDir, manifests);
+  const liveriesDir = path.join(customsDir, 'Liveries');
+  const folders = fs.existsSync(liveriesDir)
+    ? fs.readdirSync(liveriesDir, { withFileTypes: true }).filter(entry => entry.isDirectory()).map(entry => entry.name)
+    : [];
+
+  // Windows (and Proton) match folder names case-insensitively, so a car's livery may differ in case from its folder
+  const folderNames = new Set(folders.map(folderName => folderName.toLowerCase()));
+  const cars = listLocalCars(customsDir).map(car => ({
+    ...car,
+    carModel: car.error ? null : getCarModelName(car.carModelType),
+    missingFolder: Boolean(car.customSkinName) && !folderNames.has(car.customSkinName.toLowerCase()),
+    installedBy: installedBy.get(`cars/${car.carFile}`.toLowerCase()) || null
+  }));
+
+  const usedFolders = new Set(cars.filter(car => car.customSkinName).map(car => car.customSkinName.toLowerCase()));
+  const orphanedFolders = folders
+    .filter(folderName => !usedFolders.has(folderName.toLowerCase()))
+    .map(folderName => ({
+      folderName,
+      installedBy: [...installedBy.entries()]
+        .find(([filePath]) => filePath.startsWith(`liveries/${folderName.toLowerCase()}/`))?.[1] || null
+    }))
+    .sort((a, b) => a.folderName.localeCompare(b.folderName));
+
+  return { cars, orphanedFolders };
+};
+
+// Function to get the paths removed when a car is deleted: its car file, and its livery folder
+// unless another car uses the same livery
+const getCarPaths = (customsDir, carFile, cars) => {
+  const car = cars.find(candidate => candidate.carFile === carFile);
+  if (!car) {
+    throw new Error(`${carFile} was not found in Customs/Cars`);
+  }
+  const paths = [path.join(customsDir, 'Cars', carFile)];
+  if (car.customSkinName && !car.missingFolder) {
+    const sharedWith = cars.filter(candidate => candidate !== car &&
+      (candidate.customSkinName || '').toLowerCase() === car.customSkinName.toLowerCase());
+    if (sharedWith.length === 0) {
+      paths.push(path.join(customsDir, 'Liveries', checkLiveryFolderName(car.customSkinName)));
+    }
+  }
+  return paths;
+};
+
+// Function to expand a 5:6:5 color to 8-bit red, green and blue
+const expandColor = (color) => [
+  Math.round(((color >> 11) & 0x1f) * 255 / 31),
+  Math.round(((color >> 5) & 0x3f) * 255 / 63),
+  Math.round((color & 0x1f) * 255 / 31)
+];
+
+// Function to decode the color half of a DXT block into 16 RGBA pixels
+const decodeColorBlock = (block, offset, hasAlphaBlock) => {
+  const color0 = block.readUInt16LE(offset);
+  const color1 = block.readUInt16LE(offset + 2);
+  const c0 = expandColor(color0);
+  const c1 = expandColor(color1);
+  const palette = [[...c0, 255], [...c1, 255]];
+  if (color0 > color1 || hasAlphaBlock) {
+    palette.push([0, 1, 2].map(i => Math.round((2 * c0[i] + c1[i]) / 3)).concat(255));
+    palette.push([0, 1, 2].map(i => Math.round((c0[i] + 2 * c1[i]) / 3)).concat(255));
+  } else {
+    palette.push([0, 1, 2].map(i => Math.round((c0[i] + c1[i]) / 2)).concat(255));
+    palette.push([0, 0, 0, 0]);
+  }
+  const indices = block.readUInt32LE(offset + 4);
+  return Array.from({ length: 16 }, (value, pixel) => palette[(indices >>> (pixel * 2)) & 3]);
+};
+
+// Function to decode the alpha half of a DXT5 block into 16 alpha values
+const decodeDxt5Alpha = (block, offset) => {
+  const alpha0 = block[offset];
+  const alpha1 = block[offset + 1];
+  const alphas = [alpha0, alpha1];
+  if (alpha0 > alpha1) {
+    for (let i = 1; i < 7; i++) {
+      alphas.push(Math.round(((7 - i) * alpha0 + i * alpha1) / 7));
+    }
+  } else {
+    for (let i = 1; i < 5; i++) {
+      alphas.push(Math.round(((5 - i) * alpha0 + i * alpha1) / 5));
+    }
+    alphas.push(0, 255);
+  }
+  // 48 bits of 3-bit indices, read as two 24-bit halves to stay within 32-bit integers
+  const low = block[offset + 2] | (block[offset + 3] << 8) | (block[offset + 4] << 16);
+  const high = block[offset + 5] | (block[offset + 6] << 8) | (block[offset + 7] << 16);
+  return Array.from({ length: 16 }, (value, pixel) => alphas[pixel < 8 ? (low >> (pixel * 3)) & 7 : (high >> ((pixel - 8) * 3)) & 7]);
+};
+
+// Function to decode the alpha half of a DXT3 block into 16 alpha values
+const decodeDxt3Alpha = (block, offset) => {
+  return Array.from({ length: 16 }, (value, pixel) => ((block[offset + (pixel >> 1)] >> ((pixel & 1) * 4)) & 0xf) * 17);
+};
+
+// Function to read a small mipmap of a DXT1/3/5 compressed DDS file as BGRA pixels.
+// Returns { width, height, data } or null for formats it can't decode, such as BC7.
+const readDdsPreview = (filePath, maxSize = 256) => {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const header = Buffer.alloc(128);
+    fs.readSync(fd, header, 0, header.length, 0);
+    if (header.toString('ascii', 0, 4) !== 'DDS ') {
+      return null;
+    }
+    const height = header.readUInt32LE(12);
+    const width = header.readUInt32LE(16);
+    const mipMapCount = Math.max(header.readUInt32LE(28), 1);
+    const fourCC = header.toString('ascii', 84, 88);
+    const blockSize = { DXT1: 8, DXT3: 16, DXT5: 16 }[fourCC];
+    if (!blockSize) {
+      return null;
+    }
+
+    // Skip to the first mipmap small enough for a thumbnail, or the smallest one there is
+    let offset = 128;
+    let level = 0;
+    let levelWidth = width;
+    let levelHeight = height;
+    const levelBytes = (w, h) => Math.max(1, Math.ceil(w / 4)) * Math.max(1, Math.ceil(h / 4)) * blockSize;
+    while (level < mipMapCount - 1 && Math.max(levelWidth, levelHeight) > maxSize) {
+      offset += levelBytes(levelWidth, levelHeight);
+      levelWidth = Math.max(1, levelWidth >> 1);
+      levelHeight = Math.max(1, levelHeight >> 1);
+      level++;
+    }
+    if (Math.max(levelWidth, levelHeight) > MAX_DDS_PREVIEW_SIZE) {
+      return null;
+    }
+
+    const blocks = Buffer.alloc(levelBytes(levelWidth, levelHeight));
+    fs.readSync(fd, blocks, 0, blocks.length, offset);
+    const data = Buffer.alloc(levelWidth * levelHeight * 4);
+    const blocksWide = Math.max(1, Math.ceil(levelWidth / 4));
+    for (let blockIndex = 0; blockIndex * blockSize < blocks.length; blockIndex++) {
+      const blockOffset = blockIndex * blockSize;
+      const colorOffset = blockSize === 16 ? blockOffset + 8 : blockOffset;
+      const colors = decodeColorBlock(blocks, colorOffset, blockSize === 16);
+      const alphas = fourCC === 'DXT5' ? decodeDxt5Alpha(blocks, blockOffset)
+        : fourCC === 'DXT3' ? decodeDxt3Alpha(blocks, blockOffset) : null;
+      const blockX = (blockIndex % blocksWide) * 4;
+      const blockY = Math.floor(blockIndex / blocksWide) * 4;
+      for (let pixel = 0; pixel < 16; pixel++) {
+        const x = blockX + (pixel & 3);
+        const y = blockY + (pixel >> 2);
+        if (x >= levelWidth || y >= levelHeight) {
+          continue;
+        }
+        const [red, green, blue, alpha] = colors[pixel];
+        const target = (y * levelWidth + x) * 4;
+        data[target] = blue;
+        data[target + 1] = green;
+        data[target + 2] = red;
+        data[target + 3] = alphas ? alphas[pixel] : alpha;
+      }
+    }
+    return { width: levelWidth, height: levelHeight, data };
+  } finally {
+    fs.closeSync(fd);
+  }
+};
+
+module.exports = {
+  getCarModelName,
+  checkLiveryFolderName,
+  findThumbnailSource,
+  scanCustomsFolder,
+  getCarPaths,
+  readDdsPreview
+};
@@ -0,0 +1,198 @@
+const fs = require('fs');
+
+// Abort a download when no data has arrived for this long
+const IDLE_TIMEOUT_MS = 60000;
+
+// Minimum time between two progress reports
+const PROGRESS_INTERVAL_MS = 250;
+
+// Function to create the error used when the user cancels a download
+const createCancelledError = () => {
+  const error = new Error('Livery download cancelled');
+  error.cancelled = true;
+  return error;
+};
+
+// Function to remove a partially written file
+const removePartialFile = (filePath) => {
+  try {
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  } catch (error) {
+    console.error('Error cleaning up partial download:', error);
+  }
+};
+
+// Function to wait before the next attempt unless the download gets cancelled
+const waitForRetry = (delay, signal) => {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, delay);
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(createCancelledError());
+      }, { once: true });
+    }
+  });
+};
+
+// Download a file with retry logic, progress reporting and cancellation.
+// onProgress receives { phase, receivedBytes, totalBytes, percent, bytesPerSecond, etaSeconds }.
+// A download that grows past maxBytes is stopped, whatever the server declared.
+const downloadFileWithRetry = async (url, destPath, { cookieString = '', signal, onProgress, maxRetries = 3, maxBytes = Infinity } = {}) => {
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    // Aborted when the user cancels or when the connection stalls
+    const attemptController = new AbortController();
+    let idleTimer = null;
+    const resetIdleTimer = () => {
+      clearTimeout(idleTimer);
+      idleTimer = setTimeout(() => attemptController.abort(new Error('Download stalled, no data received for 60 seconds')), IDLE_TIMEOUT_MS);
+    };
+    const onCancel = () => attemptController.abort(createCancelledError());
+
+    try {
+      if (signal && signal.aborted) {
+        throw createCancelledError();
+      }
+      if (signal) {
+        signal.addEventListener('abort', onCancel, { once: true });
+      }
+
+      console.log(`Attempt ${attempt} to download from: ${url}`);
+      resetIdleTimer();
+
+      // Create fetch options with proper headers
+      const fetchOptions = {
+        method: 'GET',
+        headers: {
+          'User-Agent': 'Attrition Desktop App/1.0',
+          'Accept': '*/*',
+          // Include session cookies if we have them
+          ...(cookieString && cookieString.length > 0 ? { 'Cookie': cookieString } : {}),
+        },
+        signal: attemptController.signal
+      };
+
+      const response = await fetch(url, fetchOptions);
+
+      // Handle HTTP errors
+      if (!response.ok) {
+        if (response.status === 401 || response.status === 403) {
+          throw new Error(`Authentication required: ${response.status} ${response.statusText}. Please ensure you're logged into the web application.`);
+        }
+        if (response.status === 404) {
+          throw new Error(`File not found: ${response.status} ${response.statusText}`);
+        }
+        throw new Error(`Failed to download: ${response.status} ${response.statusText}`);
+      }
+
+      // Check content type
+      const contentType = response.headers.get('content-type') || '';
+      const contentLength = response.headers.get('content-length');
+
+      // If we're getting HTML content instead of ZIP, it's likely an auth error page
+      if (contentType.includes('text/html') && contentLength && parseInt(contentLength) > 1000) {
+        console.log(`Warning: Received HTML content instead of ZIP file. Content-Type: ${contentType}, Length: ${contentLength}`);
+
+        const text = await response.text();
+        if (text.includes('redirect') || text.includes('login') || text.includes('401') || text.includes('403') || text.includes('Unauthorized')) {
+          throw new Error(`Authentication required or access denied. Received HTML page instead of ZIP file. Please ensure you're logged into the web application.`);
+        } else if (text.includes('<html') && text.includes('<title>') && text.includes('Home')) {
+          // This looks like a homepage redirect
+          throw new Error(`Failed to download ZIP: Server returned homepage instead of livery archive. This typically means you need to be logged into the web application.`);
+        } else {
+          throw new Error(`Failed to download ZIP: Received HTML content instead of ZIP file. Status: ${response.status}`);
+        }
+      }
+
+      // Stream the response to file
+      const totalBytes = contentLength ? parseInt(contentLength) : null;
+      const startedAt = Date.now();
+      let receivedBytes = 0;
+      let lastReportAt = 0;
+
+      const reportProgress = (force) => {
+        const now = Date.now();
+        if (!onProgress || (!force && now - lastReportAt < PROGRESS_INTERVAL_MS)) {
+          return;
+        }
+        lastReportAt = now;
+        const elapsedSeconds = Math.max((now - startedAt) / 1000, 0.001);
+        const bytesPerSecond = Math.round(receivedBytes / elapsedSeconds);
+        onProgress({
+          phase: 'download',
+          receivedBytes,
+          totalBytes,
+          percent: totalBytes ? Math.min(100, Math.round((receivedBytes / totalBytes) * 100)) : null,
+          bytesPerSecond,
+          etaSeconds: totalBytes && bytesPerSecond > 0 ? Math.round((totalBytes - receivedBytes) / bytesPerSecond) : null
+        });
+      };
+
+      const writer = fs.createWriteStream(destPath);
+      const reader = response.body.getReader();
+
+      // Read and write in chunks
+      const pump = async () => {
+        try {
+          while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            resetIdleTimer();
+            receivedBytes += value.length;
+            if (receivedBytes > maxBytes) {
+              throw new Error(`Download is larger than the expected ${maxBytes} bytes`);
+            }
+            reportProgress(false);
+
+            if (!writer.write(value)) {
+              // Pause reading if the stream is full
+              await new Promise(resolve => writer.once('drain', resolve));
+            }
+          }
+        } finally {
+          await new Promise(resolve => writer.end(resolve));
+        }
+      };
+
+      await pump();
+      reportProgress(true);
+
+      return destPath;
+
+    } catch (error) {
+      removePartialFile(destPath);
+
+      // A cancelled download is never retried
+      const abortReason = attemptController.signal.aborted ? attemptController.signal.reason : null;
+      if ((signal && signal.aborted) || (abortReason && abortReason.cancelled)) {
+        throw createCancelledError();
+      }
+
+      const message = abortReason instanceof Error ? abortReason.message : error.message;
+      console.error(`Attempt ${attempt} failed:`, message);
+
+      // If this was the last attempt, rethrow the error
+      if (attempt === maxRetries) {
+        throw new Error(`Failed to download after ${maxRetries} attempts: ${message}`);
+      }
+
+      // Wait before retrying (exponential backoff)
+      const delay = Math.pow(2, attempt) * 1000; // 1s, 2s, 4s
+      console.log(`Waiting ${delay}ms before retry...`);
+      await waitForRetry(delay, signal);
+    } finally {
+      clearTimeout(idleTimer);
+      if (signal) {
+        signal.removeEventListener('abort', onCancel);
+      }
+    }
+  }
+};
+
+module.exports = {
+  createCancelledError,
+  downloadFileWithRetry
+};
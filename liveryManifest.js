@@ -0,0 +1,399 @@
+const { app } = require('electron');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const unzipper = require('unzipper');
+const { validateLiveryArchive, formatValidationReport } = require('./liveryArchiveValidator');
+const { createCancelledError } = require('./liveryDownloader');
+
+// Function to get the directory that holds one manifest per installed event
+const getManifestDirectory = () => {
+  return path.join(app.getPath('userData'), 'livery-manifests');
+};
+
+// Function to get the directory that holds the files replaced by the last install
+const getBackupDirectory = () => {
+  return path.join(app.getPath('userData'), 'livery-backup');
+};
+
+// Function to get the manifest path for an event
+const getManifestPath = (eventId) => {
+  const safeId = String(eventId).replace(/[^A-Za-z0-9_-]/g, '_');
+  return path.join(getManifestDirectory(), `event_${safeId}.json`);
+};
+
+// Function to resolve a manifest-relative path inside the target directory
+const resolveInside = (targetDirectory, relativePath) => {
+  const root = path.resolve(targetDirectory);
+  const resolved = path.resolve(root, relativePath);
+  if (resolved !== root && !resolved.startsWith(root + path.sep)) {
+    throw new Error(`Refusing to touch path outside of ${root}: ${relativePath}`);
+  }
+  return resolved;
+};
+
+// Function to calculate the SHA-256 hash of a file
+const hashFile = (filePath) => {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    const stream = fs.createReadStream(filePath);
+    stream.on('data', chunk => hash.update(chunk));
+    stream.on('error', reject);
+    stream.on('end', () => resolve(hash.digest('hex')));
+  });
+};
+
+// Function to read the manifest of an installed event
+const readManifest = (eventId) => {
+  try {
+    const manifestPath = getManifestPath(eventId);
+    if (fs.existsSync(manifestPath)) {
+      return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    }
+  } catch (error) {
+    console.error('Error reading livery manifest:', error);
+  }
+  return null;
+};
+
+// Function to read every stored manifest
+const readAllManifests = () => {
+  const manifestDir = getManifestDirectory();
+  if (!fs.existsSync(manifestDir)) {
+    return [];
+  }
+
+  return fs.readdirSync(manifestDir)
+    .filter(fileName => fileName.endsWith('.json'))
+    .map(fileName => {
+      try {
+        return JSON.parse(fs.readFileSync(path.join(manifestDir, fileName), 'utf8'));
+      } catch (error) {
+        console.error('Error reading livery manifest:', fileName, error);
+        return null;
+      }
+    })
+    .filter(Boolean);
+};
+
+// Function to write the manifest of an installed event
+const writeManifest = (manifest) => {
+  fs.mkdirSync(getManifestDirectory(), { recursive: true });
+  fs.writeFileSync(getManifestPath(manifest.eventId), JSON.stringify(manifest, null, 2));
+};
+
+// Function to delete the manifest of an event
+const deleteManifest = (eventId) => {
+  const manifestPath = getManifestPath(eventId);
+  if (fs.existsSync(manifestPath)) {
+    fs.unlinkSync(manifestPath);
+  }
+};
+
+// Function to list installed events, newest install first
+const listInstalledEvents = () => {
+  return readAllManifests()
+    .map(manifest => ({
+      eventId: manifest.eventId,
+      sourceUrl: manifest.sourceUrl,
+      installedAt: manifest.installedAt,
+      targetDirectory: manifest.targetDirectory,
+      fileCount: manifest.files.length
+    }))
+    .sort((a, b) => new Date(b.installedAt) - new Date(a.installedAt));
+};
+
+// Function to collect the files other events installed into the same directory
+const getPathsClaimedByOtherEvents = (eventId, targetDirectory) => {
+  const claimed = new Set();
+  readAllManifests()
+    .filter(manifest => String(manifest.eventId) !== String(eventId))
+    .filter(manifest => path.resolve(manifest.targetDirectory) === path.resolve(targetDirectory))
+    .forEach(manifest => manifest.files.forEach(file => claimed.add(file.path)));
+  return claimed;
+};
+
+// Function to remove directories left empty after deleting files, keeping top-level
+// folders such as Cars and Liveries in place
+const removeEmptyDirectories = (targetDirectory, relativePaths) => {
+  const root = path.resolve(targetDirectory);
+  const directories = new Set();
+  relativePaths.forEach(relativePath => {
+    let dir = path.dirname(resolveInside(root, relativePath));
+    while (dir.startsWith(root + path.sep) && path.dirname(dir) !== root) {
+      directories.add(dir);
+      dir = path.dirname(dir);
+    }
+  });
+
+  // Deepest directories first so parents can be removed once emptied
+  Array.from(directories)
+    .sort((a, b) => b.length - a.length)
+    .forEach(dir => {
+      try {
+        if (fs.existsSync(dir) && fs.readdirSync(dir).length === 0) {
+          fs.rmdirSync(dir);
+        }
+      } catch (error) {
+        console.warn('Could not remove empty directory:', dir, error.message);
+      }
+    });
+};
+
+// Function to back up the files an install is about to overwrite
+const backupExistingFiles = (eventId, targetDirectory, relativePaths) => {
+  const backupDir = getBackupDirectory();
+  fs.rmSync(backupDir, { recursive: true, force: true });
+  fs.mkdirSync(path.join(backupDir, 'files'), { recursive: true });
+
+  const files = relativePaths.map(relativePath => {
+    const sourcePath = resolveInside(targetDirectory, relativePath);
+    const existed = fs.existsSync(sourcePath);
+    if (existed) {
+      const backupPath = resolveInside(path.join(backupDir, 'files'), relativePath);
+      fs.mkdirSync(path.dirname(backupPath), { recursive: true });
+      fs.copyFileSync(sourcePath, backupPath);
+    }
+    return { path: relativePath, existed };
+  });
+
+  const backup = {
+    eventId,
+    targetDirectory,
+    createdAt: new Date().toISOString(),
+    previousManifest: readManifest(eventId),
+    files
+  };
+  fs.writeFileSync(path.join(backupDir, 'backup.json'), JSON.stringify(backup, null, 2));
+  console.log(`Backed up ${files.filter(file => file.existed).length} existing files before install`);
+  return backup;
+};
+
+// Function to read the backup taken before the last install
+const readLastBackup = () => {
+  try {
+    const backupFile = path.join(getBackupDirectory(), 'backup.json');
+    if (fs.existsSync(backupFile)) {
+      return JSON.parse(fs.readFileSync(backupFile, 'utf8'));
+    }
+  } catch (error) {
+    console.error('Error reading livery backup:', error);
+  }
+  return null;
+};
+
+// Function to write a single archive entry to disk while hashing it.
+// The declared size is enforced so an archive can't lie its way past the size limit.
+const writeEntry = (entry, destPath, signal) => {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    let size = 0;
+    const source = entry.stream();
+    const output = fs.createWriteStream(destPath);
+
+    const fail = (error) => {
+      source.unpipe(output);
+      source.destroy();
+      output.destroy();
+      reject(error);
+    };
+    const onAbort = () => fail(createCancelledError());
+
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+    source.on('data', chunk => {
+      hash.update(chunk);
+      size += chunk.length;
+      if (size > entry.uncompressedSize) {
+        fail(new Error(`${entry.path} is larger than the size declared in the archive`));
+      }
+    });
+    source.on('error', reject);
+    output.on('error', reject);
+    output.on('close', () => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+    });
+    output.on('finish', () => resolve({ size, sha256: hash.digest('hex') }));
+    source.pipe(output);
+  });
+};
+
+// Function to prepare a destination path so that writing to it can't leave the target directory
+// through a symlink that already exists on disk
+const prepareDestination = (targetDirectory, relativePath) => {
+  const destPath = resolveInside(targetDirectory, relativePath);
+  fs.mkdirSync(path.dirname(destPath), { recursive: true });
+
+  const realRoot = fs.realpathSync(targetDirectory);
+  const realParent = fs.realpathSync(path.dirname(destPath));
+  if (realParent !== realRoot && !realParent.startsWith(realRoot + path.sep)) {
+    throw new Error(`Refusing to write through a symlinked folder: ${relativePath}`);
+  }
+  if (fs.existsSync(destPath) && fs.lstatSync(destPath).isSymbolicLink()) {
+    fs.unlinkSync(destPath);
+  }
+  return destPath;
+};
+
+// Function to extract a livery archive and record what was installed.
+// Every entry is validated first; rejected entries are reported and never written.
+// If extraction fails or is cancelled, the files written so far are rolled back.
+const installLiveryArchive = async (zipPath, targetDirectory, { eventId, sourceUrl, signal, onProgress }) => {
+  const archive = await unzipper.Open.file(zipPath);
+  const validation = validateLiveryArchive(archive.files);
+
+  if (validation.errors.length > 0) {
+    throw new Error(formatValidationReport(validation));
+  }
+  if (validation.accepted.length === 0) {
+    throw new Error(`Archive contains no liveries to install.\n${formatValidationReport(validation)}`.trim());
+  }
+  if (validation.rejected.length > 0) {
+    console.warn(formatValidationReport(validation));
+  }
+  if (signal && signal.aborted) {
+    throw createCancelledError();
+  }
+
+  const relativePaths = validation.accepted.map(accepted => accepted.path);
+  backupExistingFiles(eventId, targetDirectory, relativePaths);
+
+  const files = [];
+  const totalFiles = validation.accepted.length;
+  try {
+    for (const { entry, path: relativePath } of validation.accepted) {
+      if (onProgress) {
+        onProgress({ phase: 'extract', processedFiles: files.length, totalFiles, currentFile: relativePath });
+      }
+      if (signal && signal.aborted) {
+        throw createCancelledError();
+      }
+      const destPath = prepareDestination(targetDirectory, relativePath);
+      const { size, sha256 } = await writeEntry(entry, destPath, signal);
+      files.push({ path: relativePath, size, sha256 });
+    }
+  } catch (error) {
+    console.error('Livery extraction interrupted, restoring previous files:', error.message);
+    rollbackLastInstall();
+    throw error;
+  }
+
+  if (onProgress) {
+    onProgress({ phase: 'extract', processedFiles: totalFiles, totalFiles, currentFile: null });
+  }
+
+  const manifest = {
+    eventId,
+    sourceUrl,
+    installedAt: new Date().toISOString(),
+    targetDirectory,
+    files
+  };
+  writeManifest(manifest);
+  console.log(`Wrote livery manifest for event ${eventId} with ${files.length} files`);
+  return {
+    manifest,
+    rejected: validation.rejected,
+    report: formatValidationReport(validation)
+  };
+};
+
+// Function to remove every file an event installed
+const uninstallEvent = async (eventId) => {
+  const manifest = readManifest(eventId);
+  if (!manifest) {
+    throw new Error(`No liveries installed for event ${eventId}`);
+  }
+
+  const claimed = getPathsClaimedByOtherEvents(eventId, manifest.targetDirectory);
+  const removed = [];
+  const kept = [];
+
+  for (const file of manifest.files) {
+    const filePath = resolveInside(manifest.targetDirectory, file.path);
+    if (claimed.has(file.path)) {
+      // Another event installed the same file, leave it in place
+      kept.push(file.path);
+      continue;
+    }
+    if (!fs.existsSync(filePath)) {
+      continue;
+    }
+    if (await hashFile(filePath) !== file.sha256) {
+      // The file changed since we installed it, don't throw away the user's edits
+      kept.push(file.path);
+      continue;
+    }
+    fs.unlinkSync(filePath);
+    removed.push(file.path);
+  }
+
+  removeEmptyDirectories(manifest.targetDirectory, removed);
+  deleteManifest(eventId);
+
+  // The last backup no longer matches what is on disk once its event is gone
+  const backup = readLastBackup();
+  if (backup && String(backup.eventId) === String(eventId)) {
+    fs.rmSync(getBackupDirectory(), { recursive: true, force: true });
+  }
+
+  console.log(`Uninstalled event ${eventId}: removed ${removed.length} files, kept ${kept.length}`);
+  return { eventId, removed, kept };
+};
+
+// Function to restore the files that were in place before the last install
+const rollbackLastInstall = () => {
+  const backup = readLastBackup();
+  if (!backup) {
+    throw new Error('There is no livery install to roll back');
+  }
+
+  const backupFilesDir = path.join(getBackupDirectory(), 'files');
+  const restored = [];
+  const removed = [];
+
+  backup.files.forEach(file => {
+    const filePath = resolveInside(backup.targetDirectory, file.path);
+    if (file.existed) {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.copyFileSync(resolveInside(backupFilesDir, file.path), filePath);
+      restored.push(file.path);
+    } else if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+      removed.push(file.path);
+    }
+  });
+
+  removeEmptyDirectories(backup.targetDirectory, removed);
+
+  if (backup.previousManifest) {
+    writeManifest(backup.previousManifest);
+  } else {
+    deleteManifest(backup.eventId);
+  }
+
+  fs.rmSync(getBackupDirectory(), { recursive: true, force: true });
+  console.log(`Rolled back install of event ${backup.eventId}: restored ${restored.length} files, removed ${removed.length}`);
+  return { eventId: backup.eventId, restored, removed };
+};
+
+module.exports = {
+  getManifestDirectory,
+  getManifestPath,
+  hashFile,
+  resolveInside,
+  readManifest,
+  readAllManifests,
+  writeManifest,
+  listInstalledEvents,
+  getPathsClaimedByOtherEvents,
+  removeEmptyDirectories,
+  backupExistingFiles,
+  prepareDestination,
+  installLiveryArchive,
+  uninstallEvent,
+  rollbackLastInstall
+};
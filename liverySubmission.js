@@ -0,0 +1,279 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { decodeAccText } = require('./accFiles');
+const { validateLiveryArchive } = require('./liveryArchiveValidator');
+
+// Largest livery package the app submits
+const MAX_SUBMISSION_SIZE = 100 * 1024 * 1024;
+
+// Texture sizes ACC renders without rescaling, PNGs are converted to DDS by the game
+const PNG_TEXTURE_SIZES = [2048, 4096];
+const MAX_DDS_TEXTURE_SIZE = 4096;
+
+// Livery textures ACC reads, at least one of them must be present
+const LIVERY_TEXTURES = ['decals.png', 'sponsors.png', 'decals_0.dds', 'sponsors_0.dds'];
+
+// Function to check a car file name coming from a renderer, it must name a file directly inside Cars
+const checkCarFileName = (carFile) => {
+  if (typeof carFile !== 'string' || !/^[^\\/:*?"<>|\0]{1,200}\.json$/i.test(carFile) || carFile.startsWith('.')) {
+    throw new Error('Invalid car file name');
+  }
+  return carFile;
+};
+
+// Function to read a car file from Customs/Cars
+const readCarFile = (customsDir, carFile) => {
+  const data = JSON.parse(decodeAccText(fs.readFileSync(path.join(customsDir, 'Cars', checkCarFileName(carFile)))).text);
+  return {
+    carFile,
+    customSkinName: typeof data.customSkinName === 'string' ? data.customSkinName : '',
+    carModelType: Number.isInteger(data.carModelType) ? data.carModelType : null,
+    raceNumber: Number.isInteger(data.raceNumber) ? data.raceNumber : null,
+    teamName: typeof data.teamName === 'string' ? data.teamName : '',
+    displayName: typeof data.displayName === 'string' ? data.displayName : ''
+  };
+};
+
+// Function to list the cars in a Customs folder, with the livery each one uses.
+// Car files that can't be read are listed with an error instead of being left out.
+const listLocalCars = (customsDir) => {
+  const carsDir = path.join(customsDir, 'Cars');
+  if (!fs.existsSync(carsDir)) {
+    return [];
+  }
+  return fs.readdirSync(carsDir, { withFileTypes: true })
+    .filter(entry => entry.isFile() && entry.name.toLowerCase().endsWith('.json'))
+    .map(entry => {
+      try {
+        const car = readCarFile(customsDir, entry.name);
+        return {
+          ...car,
+          hasLiveryFolder: Boolean(car.customSkinName) && fs.existsSync(path.join(customsDir, 'Liveries', car.customSkinName))
+        };
+      } catch (error) {
+        return { carFile: entry.name, error: `Unreadable car file: ${error.message}` };
+      }
+    })
+    .sort((a, b) => a.carFile.localeCompare(b.carFile));
+};
+
+// Function to read the width and height of a PNG or DDS texture from its header.
+// Returns null when the file isn't a texture of either kind.
+const readTextureSize = (filePath) => {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const header = Buffer.alloc(24);
+    fs.readSync(fd, header, 0, header.length, 0);
+    if (header.readUInt32BE(0) === 0x89504e47 && header.toString('ascii', 12, 16) === 'IHDR') {
+      return { width: header.readUInt32BE(16), height: header.readUInt32BE(20) };
+    }
+    if (header.toString('ascii', 0, 4) === 'DDS ') {
+      return { width: header.readUInt32LE(16), height: header.readUInt32LE(12) };
+    }
+    return null;
+  } finally {
+    fs.closeSync(fd);
+  }
+};
+
+// Function to check a texture's size, returns the problem or null
+const checkTextureSize = (relativePath, filePath) => {
+  const size = readTextureSize(filePath);
+  if (!size) {
+    return `${relativePath} is not a valid ${path.extname(filePath).slice(1).toUpperCase()} file`;
+  }
+  const { width, height } = size;
+  if (filePath.toLowerCase().endsWith('.png')) {
+    if (width !== height || !PNG_TEXTURE_SIZES.includes(width)) {
+      return `${relativePath} is ${width}x${height}, it must be ${PNG_TEXTURE_SIZES.map(value => `${value}x${value}`).join(' or ')}`;
+    }
+  } else if (width !== height || width > MAX_DDS_TEXTURE_SIZE || (width & (width - 1)) !== 0) {
+    return `${relativePath} is ${width}x${height}, it must be square with a power of two size up to ${MAX_DDS_TEXTURE_SIZE}`;
+  }
+  return null;
+};
+
+// Function to list the files of a livery folder, relative to the Customs folder
+const listLiveryFiles = (customsDir, liveryName) => {
+  const files = [];
+  const walk = (relativeDir) => {
+    fs.readdirSync(path.join(customsDir, relativeDir), { withFileTypes: true }).forEach(entry => {
+      const relativePath = `${relativeDir}/${entry.name}`;
+      if (entry.isDirectory()) {
+        walk(relativePath);
+      } else if (entry.isFile()) {
+        files.push(relativePath);
+      }
+    });
+  };
+  walk(`Liveries/${liveryName}`);
+  return files;
+};
+
+// Function to check that a car and its livery are complete before submitting them.
+// Returns the car, the files to package and the problems found; the livery can be submitted when errors is empty.
+const validateLiverySubmission = (customsDir, carFile) => {
+  const errors = [];
+  const warnings = [];
+  let car;
+  try {
+    car = readCarFile(customsDir, carFile);
+  } catch (error) {
+    return { car: null, files: [], errors: [`Cannot read ${carFile}: ${error.message}`], warnings };
+  }
+  if (car.carModelType === null) {
+    errors.push(`${carFile} has no car model`);
+  }
+
+  const candidates = [`Cars/${carFile}`];
+  if (!car.customSkinName) {
+    warnings.push('The car has no custom livery, only its paint and number are submitted');
+  } else if (/[\\/]/.test(car.customSkinName) || car.customSkinName === '.' || car.customSkinName === '..') {
+    errors.push(`The livery name "${car.customSkinName}" is not a folder name`);
+  } else if (!fs.existsSync(path.join(customsDir, 'Liveries', car.customSkinName))) {
+    errors.push(`The livery folder Liveries/${car.customSkinName} does not exist`);
+  } else {
+    const liveryFiles = listLiveryFiles(customsDir, car.customSkinName);
+    const fileNames = liveryFiles.map(relativePath => path.posix.basename(relativePath).toLowerCase());
+    if (!LIVERY_TEXTURES.some(texture => fileNames.includes(texture))) {
+      errors.push(`Liveries/${car.customSkinName} has none of ${LIVERY_TEXTURES.join(', ')}`);
+    }
+    candidates.push(...liveryFiles);
+  }
+
+  // The same rules apply to submitted liveries as to the ones the app installs
+  const validation = validateLiveryArchive(candidates.map(relativePath => ({
+    path: relativePath,
+    type: 'File',
+    uncompressedSize: fs.statSync(path.join(customsDir, relativePath)).size
+  })), { maxTotalSize: MAX_SUBMISSION_SIZE });
+  errors.push(...validation.errors);
+  validation.rejected.forEach(({ path: relativePath, reason }) => warnings.push(`${relativePath} is left out: ${reason}`));
+
+  const files = validation.accepted.map(({ path: relativePath }) => relativePath);
+  files
+    .filter(relativePath => /\.(png|dds)$/i.test(relativePath))
+    .forEach(relativePath => {
+      const problem = checkTextureSize(relativePath, path.join(customsDir, relativePath));
+      if (problem) {
+        errors.push(problem);
+      }
+    });
+
+  return { car, files, errors, warnings };
+};
+
+// Function to convert a date to the DOS time and date fields of a ZIP entry
+const toDosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+// Function to build a ZIP archive in memory from [{ path, data }].
+// Textures are already compressed, so only text files such as JSON and logs are deflated.
+const createZipArchive = (entries) => {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+  const { time, date } = toDosDateTime(new Date());
+
+  entries.forEach(entry => {
+    const name = Buffer.from(entry.path, 'utf8');
+    const deflate = /\.(json|log|txt)$/i.test(entry.path);
+    const compressed = deflate ? zlib.deflateRawSync(entry.data) : entry.data;
+    const crc = zlib.crc32(entry.data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x0800, 6); // UTF-8 names
+    local.writeUInt16LE(deflate ? 8 : 0, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(entry.data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(deflate ? 8 : 0, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(entry.data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, name, compressed);
+    centralParts.push(central, name);
+    offset += local.length + name.length + compressed.length;
+  });
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...localParts, centralDirectory, end]);
+};
+
+// Function to package validated livery files from a Customs folder into a ZIP archive
+const packageLivery = (customsDir, files) => {
+  return createZipArchive(files.map(relativePath => ({
+    path: relativePath,
+    data: fs.readFileSync(path.join(customsDir, relativePath))
+  })));
+};
+
+// Function to upload a packaged livery to an event with the user's session cookies
+const uploadLivery = async (baseUrl, eventId, car, archive, { cookieString = '', signal } = {}) => {
+  const form = new FormData();
+  form.append('carModelType', String(car.carModelType));
+  if (car.raceNumber !== null) {
+    form.append('raceNumber', String(car.raceNumber));
+  }
+  form.append('teamName', car.teamName);
+  form.append('customSkinName', car.customSkinName);
+  form.append('livery', new Blob([archive], { type: 'application/zip' }), `${car.customSkinName || path.basename(car.carFile, '.json')}.zip`);
+
+  const response = await fetch(`${baseUrl}/events/${encodeURIComponent(eventId)}/liveries`, {
+    method: 'POST',
+    headers: {
+      'User-Agent': 'Attrition Desktop App/1.0',
+      ...(cookieString ? { 'Cookie': cookieString } : {})
+    },
+    body: form,
+    signal
+  });
+
+  if (response.status === 401 || response.status === 403) {
+    throw new Error('Sign in and register for the event to submit a livery');
+  }
+  if (response.status === 413) {
+    throw new Error('The livery is larger than the server accepts');
+  }
+  if (!response.ok) {
+    // The server explains rejected liveries in a JSON message when it can
+    const body = await response.json().catch(() => null);
+    throw new Error(body && body.message ? body.message : `HTTP ${response.status}: ${response.statusText}`);
+  }
+  return response.json().catch(() => ({}));
+};
+
+module.exports = {
+  checkCarFileName,
+  listLocalCars,
+  validateLiverySubmission,
+  createZipArchive,
+  packageLivery,
+  uploadLivery
+};
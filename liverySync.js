@@ -0,0 +1,238 @@
+const { app } = require('electron');
+const fs = require('fs');
+const path = require('path');
+const { validateLiveryArchive, formatValidationReport } = require('./liveryArchiveValidator');
+const { downloadFileWithRetry, createCancelledError } = require('./liveryDownloader');
+const {
+  hashFile,
+  readManifest,
+  writeManifest,
+  backupExistingFiles,
+  prepareDestination,
+  resolveInside,
+  removeEmptyDirectories,
+  getPathsClaimedByOtherEvents,
+  rollbackLastInstall
+} = require('./liveryManifest');
+
+// Function to build the URL of the file manifest an event offers for incremental sync
+const getRemoteManifestUrl = (baseUrl, eventId) => {
+  return `${baseUrl}/events/${eventId}/liveries/manifest`;
+};
+
+// Function to build the download URL of a single livery file
+const getRemoteFileUrl = (baseUrl, eventId, relativePath) => {
+  const encodedPath = relativePath.split('/').map(encodeURIComponent).join('/');
+  return `${baseUrl}/events/${eventId}/liveries/files/${encodedPath}`;
+};
+
+// Function to fetch the file manifest of an event.
+// Returns null when the server doesn't offer one, so callers can fall back to the ZIP download.
+const fetchRemoteManifest = async (baseUrl, eventId, { cookieString = '', signal } = {}) => {
+  const manifestUrl = getRemoteManifestUrl(baseUrl, eventId);
+  console.log('Checking for livery manifest at:', manifestUrl);
+
+  try {
+    const response = await fetch(manifestUrl, {
+      method: 'GET',
+      headers: {
+        'User-Agent': 'Attrition Desktop App/1.0',
+        'Accept': 'application/json',
+        ...(cookieString && cookieString.length > 0 ? { 'Cookie': cookieString } : {}),
+      },
+      signal: signal ? AbortSignal.any([signal, AbortSignal.timeout(30000)]) : AbortSignal.timeout(30000)
+    });
+
+    if (!response.ok) {
+      console.log(`No livery manifest available: ${response.status} ${response.statusText}`);
+      return null;
+    }
+
+    const contentType = response.headers.get('content-type') || '';
+    if (!contentType.includes('application/json')) {
+      console.log('Livery manifest response is not JSON, content type:', contentType);
+      return null;
+    }
+
+    const data = await response.json();
+    if (!data || !Array.isArray(data.files)) {
+      console.log('Livery manifest has no file list');
+      return null;
+    }
+    return data;
+  } catch (error) {
+    if (signal && signal.aborted) {
+      throw createCancelledError();
+    }
+    console.warn('Failed to fetch livery manifest:', error.message);
+    return null;
+  }
+};
+
+// Function to work out which files differ between the remote manifest and the disk
+const compareWithDisk = async (targetDirectory, remoteFiles) => {
+  const changed = [];
+  const unchanged = [];
+
+  for (const file of remoteFiles) {
+    const filePath = resolveInside(targetDirectory, file.path);
+    if (fs.existsSync(filePath)) {
+      const stats = fs.statSync(filePath);
+      // Only hash when the size matches, a different size is always a change
+      if (stats.size === file.size && await hashFile(filePath) === file.sha256) {
+        unchanged.push(file);
+        continue;
+      }
+    }
+    changed.push(file);
+  }
+
+  return { changed, unchanged };
+};
+
+// Function to bring an event's liveries on disk in line with the server's file manifest.
+// Only changed files are downloaded; with removeStale, files the event no longer includes are deleted.
+const syncEventLiveries = async ({ baseUrl, eventId, targetDirectory, remoteManifest, cookieString, removeStale = false, signal, onProgress }) => {
+  // Every file needs its exact size and checksum, the download of each is held to both
+  const unverifiable = remoteManifest.files.filter(file =>
+    !Number.isSafeInteger(file.size) || file.size < 0 || !/^[0-9a-f]{64}$/i.test(String(file.sha256 || '')));
+  if (unverifiable.length > 0) {
+    throw new Error(`Livery manifest lists files without a valid size or sha256: ${unverifiable.slice(0, 5).map(file => String(file.path)).join(', ')}`);
+  }
+
+  // Run the remote paths through the same checks as archive entries
+  const validation = validateLiveryArchive(remoteManifest.files.map(file => ({
+    path: String(file.path),
+    type: 'File',
+    uncompressedSize: file.size,
+    externalFileAttributes: 0
+  })));
+
+  if (validation.errors.length > 0) {
+    throw new Error(formatValidationReport(validation));
+  }
+  if (validation.rejected.length > 0) {
+    console.warn(formatValidationReport(validation));
+  }
+
+  const remoteFiles = validation.accepted.map(({ entry, path: relativePath }) => {
+    const remoteFile = remoteManifest.files.find(file => String(file.path) === entry.path);
+    return {
+      path: relativePath,
+      size: remoteFile.size,
+      sha256: remoteFile.sha256.toLowerCase()
+    };
+  });
+
+  const { changed, unchanged } = await compareWithDisk(targetDirectory, remoteFiles);
+
+  // Files this event installed before that the server no longer lists
+  let stale = [];
+  if (removeStale) {
+    const previousManifest = readManifest(eventId);
+    const remotePaths = new Set(remoteFiles.map(file => file.path));
+    const claimed = getPathsClaimedByOtherEvents(eventId, targetDirectory);
+    stale = previousManifest && path.resolve(previousManifest.targetDirectory) === path.resolve(targetDirectory)
+      ? previousManifest.files
+        .map(file => file.path)
+        .filter(filePath => !remotePaths.has(filePath) && !claimed.has(filePath))
+        .filter(filePath => fs.existsSync(resolveInside(targetDirectory, filePath)))
+      : [];
+  }
+
+  console.log(`Livery sync for event ${eventId}: ${changed.length} changed, ${unchanged.length} unchanged, ${stale.length} stale`);
+
+  // Keep the backup of the last real install when there is nothing to change
+  if (changed.length > 0 || stale.length > 0) {
+    backupExistingFiles(eventId, targetDirectory, [...changed.map(file => file.path), ...stale]);
+  }
+
+  const totalBytes = changed.reduce((sum, file) => sum + file.size, 0);
+  let completedBytes = 0;
+  const tempPath = path.join(app.getPath('temp'), `liveries_event_${String(eventId).replace(/[^A-Za-z0-9_-]/g, '_')}.part`);
+
+  try {
+    for (let i = 0; i < changed.length; i++) {
+      const file = changed[i];
+      const reportFileProgress = (receivedBytes) => {
+        if (onProgress) {
+          onProgress({
+            phase: 'sync',
+            processedFiles: i,
+            totalFiles: changed.length,
+            currentFile: file.path,
+            receivedBytes: completedBytes + receivedBytes,
+            totalBytes
+          });
+        }
+      };
+
+      reportFileProgress(0);
+      await downloadFileWithRetry(getRemoteFileUrl(baseUrl, eventId, file.path), tempPath, {
+        cookieString,
+        signal,
+        maxBytes: file.size,
+        onProgress: (progress) => reportFileProgress(progress.receivedBytes)
+      });
+
+      // The size limits checked before the sync are only as good as the sizes the manifest declares
+      const downloadedSize = fs.statSync(tempPath).size;
+      if (downloadedSize !== file.size) {
+        throw new Error(`Size mismatch for ${file.path}: expected ${file.size} bytes, received ${downloadedSize}`);
+      }
+      if (await hashFile(tempPath) !== file.sha256) {
+        throw new Error(`Checksum mismatch for ${file.path}`);
+      }
+
+      const destPath = prepareDestination(targetDirectory, file.path);
+      fs.copyFileSync(tempPath, destPath);
+      fs.unlinkSync(tempPath);
+      completedBytes += file.size;
+    }
+
+    stale.forEach(filePath => fs.unlinkSync(resolveInside(targetDirectory, filePath)));
+    removeEmptyDirectories(targetDirectory, stale);
+  } catch (error) {
+    console.error('Livery sync interrupted, restoring previous files:', error.message);
+    if (fs.existsSync(tempPath)) {
+      fs.unlinkSync(tempPath);
+    }
+    rollbackLastInstall();
+    throw error;
+  }
+
+  if (onProgress) {
+    onProgress({ phase: 'sync', processedFiles: changed.length, totalFiles: changed.length, currentFile: null, receivedBytes: totalBytes, totalBytes });
+  }
+
+  const manifest = {
+    eventId,
+    sourceUrl: getRemoteManifestUrl(baseUrl, eventId),
+    installedAt: new Date().toISOString(),
+    targetDirectory,
+    files: remoteFiles
+  };
+  writeManifest(manifest);
+
+  return {
+    manifest,
+    downloaded: changed.map(file => file.path),
+    removed: stale,
+    rejected: validation.rejected,
+    report: formatValidationReport(validation)
+  };
+};
+
+// Function to check whether a remote manifest lists files the last install didn't put on disk,
+// e.g. a driver uploaded a new livery since then
+const hasRemoteChanges = (localManifest, remoteManifest) => {
+  const getKey = file => `${String(file.path).replace(/\\/g, '/').toLowerCase()}:${String(file.sha256 || '').toLowerCase()}`;
+  const installedFiles = new Set(localManifest.files.map(getKey));
+  return remoteManifest.files.some(file => !installedFiles.has(getKey(file)));
+};
+
+module.exports = {
+  fetchRemoteManifest,
+  syncEventLiveries,
+  hasRemoteChanges
+};
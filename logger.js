@@ -0,0 +1,155 @@
+const { app } = require('electron');
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+
+// Log levels from most to least important. A level includes every level above it.
+const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+
+// The log is rotated when it grows past this size, keeping this many files in total
+const MAX_LOG_SIZE = 5 * 1024 * 1024;
+const MAX_LOG_FILES = 5;
+
+// Object keys whose values never reach a log file
+const SECRET_KEY_PATTERN = /password|cookie|token|secret|authorization|apikey/i;
+
+// Secrets inside text: cookie and authorization headers, password fields and secrets in query strings
+const SECRET_TEXT_PATTERNS = [
+  /((?:set-)?cookie["']?\s*[:=]\s*["']?)[^"'\n]+/gi,
+  /(authorization["']?\s*[:=]\s*["']?)[^"'\n]+/gi,
+  /(password["']?\s*[:=]\s*["']?)[^"',\s}]+/gi,
+  /([?&](?:token|key|password|secret)=)[^&\s"']+/gi
+];
+
+// Console methods and the level they log at
+const CONSOLE_LEVELS = { error: 'error', warn: 'warn', log: 'info', info: 'info', debug: 'debug' };
+
+let fileLevel = 'info';
+let consoleLevel = 'debug';
+let logSize = null;
+const originalConsole = {};
+
+// Function to get the folder the log files are written to
+const getLogDirectory = () => {
+  return path.join(app.getPath('userData'), 'logs');
+};
+
+// Function to get the current log file
+const getLogPath = () => {
+  return path.join(getLogDirectory(), 'main.log');
+};
+
+// Function to list the log files, newest first
+const getLogFiles = () => {
+  const files = [getLogPath()];
+  for (let i = 1; i < MAX_LOG_FILES; i++) {
+    files.push(path.join(getLogDirectory(), `main.${i}.log`));
+  }
+  return files.filter(filePath => fs.existsSync(filePath));
+};
+
+// Function to check whether a message of a level passes a level threshold
+const isEnabled = (level, threshold) => {
+  return LOG_LEVELS.indexOf(level) <= LOG_LEVELS.indexOf(threshold);
+};
+
+// Function to remove secrets from a piece of text
+const redactText = (text) => {
+  return SECRET_TEXT_PATTERNS.reduce((result, pattern) => result.replace(pattern, '$1[redacted]'), text);
+};
+
+// Function to copy a value with the secrets in it replaced, for logs and diagnostics.
+// Objects are copied key by key, errors and other values are turned into text first.
+const redact = (value, seen = new WeakSet()) => {
+  if (typeof value === 'string') {
+    return redactText(value);
+  }
+  if (value instanceof Error) {
+    return redactText(value.stack || value.message);
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  if (seen.has(value)) {
+    return '[circular]';
+  }
+  seen.add(value);
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, seen));
+  }
+  if (Object.getPrototypeOf(value) !== Object.prototype && Object.getPrototypeOf(value) !== null) {
+    return redactText(util.inspect(value, { depth: 2 }));
+  }
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    SECRET_KEY_PATTERN.test(key) && item !== null && item !== '' ? '[redacted]' : redact(item, seen)
+  ]));
+};
+
+// Function to move main.log to main.1.log, main.1.log to main.2.log and so on, dropping the oldest
+const rotateLogs = () => {
+  const directory = getLogDirectory();
+  fs.rmSync(path.join(directory, `main.${MAX_LOG_FILES - 1}.log`), { force: true });
+  for (let i = MAX_LOG_FILES - 2; i >= 1; i--) {
+    const source = path.join(directory, `main.${i}.log`);
+    if (fs.existsSync(source)) {
+      fs.renameSync(source, path.join(directory, `main.${i + 1}.log`));
+    }
+  }
+  fs.renameSync(getLogPath(), path.join(directory, 'main.1.log'));
+  logSize = 0;
+};
+
+// Function to append an entry to the log file as a line of JSON
+const writeEntry = (level, args) => {
+  const message = util.format(...args.map(arg => redact(arg)));
+  const line = `${JSON.stringify({ time: new Date().toISOString(), level, pid: process.pid, message })}\n`;
+  try {
+    if (logSize === null) {
+      fs.mkdirSync(getLogDirectory(), { recursive: true });
+      logSize = fs.existsSync(getLogPath()) ? fs.statSync(getLogPath()).size : 0;
+    }
+    if (logSize + line.length > MAX_LOG_SIZE && logSize > 0) {
+      rotateLogs();
+    }
+    fs.appendFileSync(getLogPath(), line);
+    logSize += Buffer.byteLength(line);
+  } catch (error) {
+    // Logging must never take the app down, the console still gets the message
+    originalConsole.error('Cannot write log file:', error.message);
+  }
+};
+
+// Function to set the lowest level written to the log file
+const setLogLevel = (level) => {
+  fileLevel = LOG_LEVELS.includes(level) ? level : 'info';
+};
+
+// Function to start writing everything logged through console.* to the log file.
+// The console keeps printing messages down to consoleLevel, e.g. only errors for a headless install.
+const initLogging = ({ level = 'info', console: consoleThreshold = 'debug' } = {}) => {
+  setLogLevel(level);
+  consoleLevel = LOG_LEVELS.includes(consoleThreshold) ? consoleThreshold : 'debug';
+  Object.entries(CONSOLE_LEVELS).forEach(([method, methodLevel]) => {
+    if (!originalConsole[method]) {
+      originalConsole[method] = console[method].bind(console);
+    }
+    console[method] = (...args) => {
+      if (isEnabled(methodLevel, consoleLevel)) {
+        originalConsole[method](...args);
+      }
+      if (isEnabled(methodLevel, fileLevel)) {
+        writeEntry(methodLevel, args);
+      }
+    };
+  });
+};
+
+module.exports = {
+  LOG_LEVELS,
+  getLogDirectory,
+  getLogFiles,
+  redact,
+  setLogLevel,
+  initLogging
+};
@@ -1,7 +1,7 @@
-const { app, BrowserWindow, ipcMain, dialog, session, Menu, Tray, nativeImage } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog, session, Menu, Tray, nativeImage, powerMonitor, Notification, shell } = require('electron');
 const path = require('path');
 const fs = require('fs');
-const unzipper = require('unzipper');
+const { pathToFileURL } = require('url');
 
 // Handle creating/removing shortcuts on Windows when installing/uninstalling.
 if (require('electron-squirrel-startup')) {
@@ -9,26 +9,218 @@ if (require('electron-squirrel-startup')) {
   app.quit();
 }
 
+// Command line flags, see commandLine.js for the list
+const { EXIT_CODES, USAGE, parseCommandLine, formatProgressLine } = require('./commandLine');
+const { options: commandLine, errors: commandLineErrors } = parseCommandLine(process.argv.slice(1));
+const exitsAfterUsage = commandLine.help || commandLineErrors.length > 0;
+if (exitsAfterUsage) {
+  commandLineErrors.forEach(error => process.stderr.write(`${error}\n`));
+  process.stdout.write(`${USAGE}\n`);
+  app.exit(commandLineErrors.length > 0 ? EXIT_CODES.usage : EXIT_CODES.success);
+}
+
+// Everything logged from here on also goes to the log files, --verbose includes debug messages.
+// --install-liveries runs without windows and prints its own progress, the app's log would drown it out.
+const { LOG_LEVELS, initLogging, setLogLevel, getLogDirectory } = require('./logger');
+const isHeadlessInstall = commandLine.installLiveries !== null;
+initLogging({
+  level: commandLine.verbose ? 'debug' : 'info',
+  console: isHeadlessInstall && !commandLine.verbose ? 'error' : 'debug'
+});
+
+// Allow a single running instance; later launches forward their attrition:// link to it.
+// A headless install runs alongside an open app instead, so scripts get its result.
+// The rest of startup checks gotSingleInstanceLock, app.exit does not stop this script.
+const gotSingleInstanceLock = isHeadlessInstall || app.requestSingleInstanceLock();
+if (!gotSingleInstanceLock) {
+  console.log('Another instance is already running, quitting');
+  app.exit(0);
+}
+
 // Import config helpers
 const {
   getConfigPath,
+  writeFileAtomic,
   readSavedUrl,
   saveUrl,
   saveConfig,
   readSavedConfig,
   getConfiguredLiveryDirectory,
+  getConfiguredServerConfigDirectory,
+  saveConfiguredServerConfigDirectory,
   validateDirectory,
   selectDocumentsFolder,
-  saveMinimizeToTrayPreference
+  saveMinimizeToTrayPreference,
+  getProfiles,
+  getActiveProfile,
+  createProfile,
+  updateActiveProfile,
+  setActiveProfile,
+  deleteProfile
 } = require('./configHelpers');
+if (!commandLine.verbose) {
+  setLogLevel(readSavedConfig().logLevel);
+}
+
+// Import livery manifest helpers
+const {
+  installLiveryArchive,
+  readManifest,
+  readAllManifests,
+  listInstalledEvents,
+  uninstallEvent,
+  rollbackLastInstall
+} = require('./liveryManifest');
+const { downloadFileWithRetry } = require('./liveryDownloader');
+const { fetchRemoteManifest, syncEventLiveries, hasRemoteChanges } = require('./liverySync');
+const { findDocumentsFolderCandidates, getCandidateLabel } = require('./steamDiscovery');
+const { PROTOCOL, findDeepLinkInArgs, parseDeepLink } = require('./deepLinks');
+const { normalizeAllowlist, attachNavigationPolicy } = require('./navigationPolicy');
+const { ERR_ABORTED, describeLoadError, checkServerReachable, checkServerUrl } = require('./connectivity');
+const { MAX_TRAY_EVENTS, normalizeEvents, fetchUpcomingEvents, formatTimeUntil } = require('./upcomingEvents');
+const {
+  readReminderState,
+  writeReminderState,
+  serializeEvent,
+  reviveEvent,
+  getDueReminders,
+  parseReminderOffsets
+} = require('./eventReminders');
+const { readBroadcastingSettings, createBroadcastingClient } = require('./accBroadcasting');
+const {
+  createLiveTimingState,
+  applyMessage,
+  getLiveTimingSnapshot,
+  relayLiveTiming
+} = require('./liveTiming');
+const {
+  MAX_UPLOAD_ATTEMPTS,
+  readUploadState,
+  writeUploadState,
+  readResultFile,
+  matchResultToEvent,
+  fetchResultEvents,
+  uploadResult,
+  getRetryDelay,
+  createResultsWatcher
+} = require('./resultsWatcher');
+const {
+  fetchServerConfigDefinition,
+  renderServerConfig,
+  diffLines,
+  writeServerConfigFiles
+} = require('./serverConfigGenerator');
+const {
+  checkCarFileName,
+  listLocalCars,
+  validateLiverySubmission,
+  packageLivery,
+  uploadLivery
+} = require('./liverySubmission');
+const {
+  getReplayDirectory,
+  checkReplayFileName,
+  checkUploadTarget,
+  listReplays,
+  readReplayUploadState,
+  writeReplayUploadState,
+  createReplayUpload,
+  startRemoteUpload,
+  getRemoteUploadOffset,
+  uploadReplayChunks
+} = require('./replayUploads');
+const {
+  checkLiveryFolderName,
+  findThumbnailSource,
+  scanCustomsFolder,
+  getCarPaths,
+  readDdsPreview
+} = require('./liveryBrowser');
+const { getSetupsDirectory, installSetupPack, formatSetupReport } = require('./setupInstaller');
+const {
+  UPDATE_CHANNELS,
+  compareVersions,
+  readUpdateState,
+  writeUpdateState,
+  fetchReleases,
+  findLatestRelease,
+  selectReleaseAsset,
+  downloadUpdate,
+  installUpdate
+} = require('./updater');
+const { createDiagnosticsArchive } = require('./diagnostics');
+const { isLaunchAtLoginSupported, getLaunchAtLogin, setLaunchAtLogin } = require('./launchAtLogin');
+const { getWindowState, updateWindowState, getRestoredBounds, stepZoomFactor, applyWindowMode, trackWindowState } = require('./windowState');
 
 // Get current app version from package.json
 const packageVersion = require('./package.json').version;
 
 let mainWindow;
 let configWindow;
+let settingsWindow = null;
+let liveriesWindow = null;
 let tray = null;
 
+// Session partition of the profile shown in the main window (null for the default session)
+let mainWindowPartition = null;
+
+// attrition:// link waiting for the main window, e.g. the one the app was launched with
+let pendingDeepLink = findDeepLinkInArgs(process.argv);
+
+// Livery downloads in progress, keyed by event ID
+const activeLiveryDownloads = new Map();
+
+// Setup pack installs in progress, by event ID
+const activeSetupInstalls = new Set();
+
+// Set by --minimized, the first main window then starts hidden in the tray
+let startMinimized = false;
+
+// Update installer being downloaded, { version }, and the verified one installed on quit, { version, filePath }
+let updateDownload = null;
+let pendingUpdate = null;
+
+// How often the app looks for updates while it runs
+const UPDATE_CHECK_INTERVAL = 6 * 60 * 60 * 1000;
+
+// Page the main window failed to load, reloaded automatically once the server answers again
+let failedLoad = null;
+let reconnectTimer = null;
+
+// Upcoming events the user is registered for, shown in the tray and used for reminders.
+// events are fetched from the server, pushedEvents sent by the league page; error holds why
+// the events couldn't be fetched.
+const upcomingEventsState = { events: [], pushedEvents: [], error: null, unauthorized: false, loading: false };
+const UPCOMING_EVENTS_REFRESH_INTERVAL = 10 * 60 * 1000;
+
+// Persisted reminder state, see eventReminders.js
+let reminderState = null;
+
+// Shown notifications, referenced until they are closed so their click handlers stay alive
+const activeNotifications = new Set();
+
+// Connection to ACC's broadcasting API and the live timing built from it
+let broadcastingClient = null;
+let liveTimingState = createLiveTimingState();
+let liveTimingTimer = null;
+let liveTimingChanged = false;
+const LIVE_TIMING_PUSH_INTERVAL = 1000;
+
+// Watcher of the active profile's server results folder and the persisted upload queue, see resultsWatcher.js
+let resultsWatcher = null;
+let resultUploadState = null;
+let resultUploadsRunning = false;
+const RESULT_UPLOAD_INTERVAL = 60 * 1000;
+
+// Persisted replay uploads, see replayUploads.js, and the running ones by ID
+let replayUploadState = null;
+const activeReplayUploads = new Map();
+const REPLAY_UPLOAD_RETRY_DELAY = 30 * 1000;
+const MAX_REPLAY_UPLOAD_RETRIES = 5;
+
+// Open server config preview: { window, directory, files, warnings, resolve }
+let serverConfigPreview = null;
+
 // Create the system tray icon
 function createTray() {
   const trayIcon = path.join(
@@ -38,6 +230,271 @@ function createTray() {
   );
   tray = new Tray(trayIcon);
 
+  updateTrayMenu();
+  
+  // Add click handler to restore window
+  tray.on('click', () => {
+    if (mainWindow) {
+      mainWindow.show();
+    } else {
+      createMainWindow();
+    }
+  });
+  
+  // Add double-click handler to restore window
+  tray.on('double-click', () => {
+    if (mainWindow) {
+      mainWindow.show();
+    } else {
+      createMainWindow();
+    }
+  });
+  
+  // Start from the events known when the app last ran, until the server answers
+  loadKnownEvents();
+  updateTrayTooltip();
+  
+  // Keep the event list fresh, the countdown in the tooltip and menu current and reminders on time
+  refreshUpcomingEvents();
+  setInterval(refreshUpcomingEvents, UPCOMING_EVENTS_REFRESH_INTERVAL);
+  setInterval(() => {
+    updateTrayTooltip();
+    updateTrayMenu();
+    checkEventReminders();
+  }, 60 * 1000);
+}
+
+// Get the known events whose next session hasn't started yet, soonest first.
+// Events pushed by the league page take precedence over fetched ones with the same ID.
+function getUpcomingEvents() {
+  const now = new Date();
+  const pushedIds = new Set(upcomingEventsState.pushedEvents.map(event => event.id));
+  return [...upcomingEventsState.events.filter(event => !pushedIds.has(event.id)), ...upcomingEventsState.pushedEvents]
+    .map(event => reviveEvent(event, now))
+    .filter(Boolean)
+    .sort((a, b) => a.nextSession.startsAt - b.nextSession.startsAt);
+}
+
+// Get the persisted reminder state, reading it on first use
+function getReminderState() {
+  if (!reminderState) {
+    reminderState = readReminderState();
+  }
+  return reminderState;
+}
+
+// Load the events cached for the active profile
+function loadKnownEvents() {
+  const cached = getReminderState().events[getActiveProfile().name] || [];
+  upcomingEventsState.events = cached.map(event => reviveEvent(event)).filter(Boolean);
+  upcomingEventsState.pushedEvents = [];
+}
+
+// Cache the known events of the active profile, so reminders survive a restart without a connection
+function saveKnownEvents() {
+  const state = getReminderState();
+  state.events[getActiveProfile().name] = getUpcomingEvents().map(serializeEvent);
+  writeReminderState(state);
+}
+
+// Get the reminder settings
+function getNotificationSettings() {
+  const { notifications } = readSavedConfig();
+  return {
+    ...notifications,
+    offsets: notifications.offsets.filter(offset => Number.isFinite(offset) && offset > 0)
+  };
+}
+
+// Show a native notification that runs onClick when clicked
+function showNotification({ title, body }, onClick) {
+  if (!Notification.isSupported()) {
+    console.log('Notifications are not supported, skipping:', title);
+    return;
+  }
+  const notification = new Notification({
+    title,
+    body,
+    icon: nativeImage.createFromPath(path.join(__dirname, 'icon.png'))
+  });
+  activeNotifications.add(notification);
+  notification.on('click', () => {
+    activeNotifications.delete(notification);
+    onClick();
+  });
+  notification.on('close', () => activeNotifications.delete(notification));
+  notification.show();
+}
+
+// Show the reminders that are due for the upcoming sessions
+function checkEventReminders() {
+  const settings = getNotificationSettings();
+  if (!settings.enabled || settings.offsets.length === 0) {
+    return;
+  }
+  
+  const state = getReminderState();
+  const due = getDueReminders(getUpcomingEvents(), settings.offsets, state.sent);
+  if (due.length === 0) {
+    return;
+  }
+  
+  due.forEach(({ event, session, keys }) => {
+    console.log(`Showing reminder for ${event.name}: ${session.name}`);
+    showNotification({
+      title: event.name,
+      body: `${session.name} starts in ${formatTimeUntil(session.startsAt)} (${session.startsAt.toLocaleString()})`
+    }, () => openInMainWindow(event.url));
+    keys.forEach(key => {
+      state.sent[key] = { startsAt: session.startsAt.toISOString(), sentAt: new Date().toISOString() };
+    });
+  });
+  writeReminderState(state);
+}
+
+// Remind about upcoming events whose liveries changed on the server since they were installed.
+// Each change is only reported once.
+async function checkLiveryChanges(baseUrl, cookieString) {
+  const settings = getNotificationSettings();
+  if (!settings.enabled || !settings.liveryChanges) {
+    return;
+  }
+  
+  const state = getReminderState();
+  // Only events in the next week, no need to poll the server for every event of the season
+  const soon = Date.now() + 7 * 24 * 60 * 60 * 1000;
+  const events = getUpcomingEvents().filter(event => event.nextSession.startsAt.getTime() < soon);
+  
+  for (const event of events) {
+    const localManifest = readManifest(event.id);
+    if (!localManifest || activeLiveryDownloads.has(event.id)) {
+      continue;
+    }
+    const remoteManifest = await fetchRemoteManifest(baseUrl, event.id, { cookieString });
+    if (!remoteManifest || !hasRemoteChanges(localManifest, remoteManifest)) {
+      continue;
+    }
+    
+    // Identify the change by the remote file list, so a later change is reported again
+    const changeKey = remoteManifest.files
+      .map(file => `${file.path}:${file.sha256}`)
+      .sort()
+      .join('|');
+    if (state.liveryChanges[event.id] === changeKey) {
+      continue;
+    }
+    state.liveryChanges[event.id] = changeKey;
+    writeReminderState(state);
+    
+    console.log(`Liveries of event ${event.id} changed since they were installed`);
+    showNotification({
+      title: `${event.name}: liveries changed`,
+      body: 'Liveries were updated since you installed them. Click to install the new ones.'
+    }, () => installLiveriesWithDialog(event.id, baseUrl));
+  }
+}
+
+// Get the idle tray tooltip, with the time until the next session of a registered event
+// and any result uploads waiting
+function getTrayTooltip() {
+  const [nextEvent] = getUpcomingEvents();
+  const { pending, failed } = getResultUploadCounts();
+  const uploads = failed > 0
+    ? `\n${failed} result upload${failed === 1 ? '' : 's'} failed`
+    : pending > 0 ? `\n${pending} result upload${pending === 1 ? '' : 's'} pending` : '';
+  if (!nextEvent) {
+    return `Attrition Desktop App${uploads}`;
+  }
+  const { name, startsAt } = nextEvent.nextSession;
+  return `Attrition Desktop App - ${nextEvent.name}: ${name} in ${formatTimeUntil(startsAt)}${uploads}`;
+}
+
+// Show the idle tooltip unless a livery download or replay upload is reporting its progress there
+function updateTrayTooltip() {
+  if (tray && activeLiveryDownloads.size === 0 && activeReplayUploads.size === 0) {
+    tray.setToolTip(getTrayTooltip());
+  }
+}
+
+// Fetch the upcoming events of the active profile with its session cookies and update the tray
+async function refreshUpcomingEvents() {
+  if (upcomingEventsState.loading) {
+    return;
+  }
+  upcomingEventsState.loading = true;
+  try {
+    const baseUrl = new URL(readSavedUrl()).origin;
+    const cookieString = await getSessionCookieString(baseUrl);
+    upcomingEventsState.events = await fetchUpcomingEvents(baseUrl, {
+      cookieString,
+      signal: AbortSignal.timeout(15000)
+    });
+    upcomingEventsState.error = null;
+    upcomingEventsState.unauthorized = false;
+    console.log('Fetched upcoming events:', upcomingEventsState.events.length);
+    saveKnownEvents();
+    checkLiveryChanges(baseUrl, cookieString).catch(error => {
+      console.warn('Failed to check for livery changes:', error.message);
+    });
+  } catch (error) {
+    console.warn('Failed to fetch upcoming events:', error.message);
+    upcomingEventsState.error = error.unauthorized ? error.message : 'Upcoming events unavailable';
+    upcomingEventsState.unauthorized = Boolean(error.unauthorized);
+    // Signed out, the events are no longer the user's. Otherwise keep the last known ones for reminders
+    if (error.unauthorized) {
+      upcomingEventsState.events = [];
+      saveKnownEvents();
+    }
+  } finally {
+    upcomingEventsState.loading = false;
+  }
+  updateTrayMenu();
+  updateTrayTooltip();
+  checkEventReminders();
+}
+
+// Build the tray entries for the upcoming events, each with its quick actions
+function buildUpcomingEventMenuItems() {
+  const events = getUpcomingEvents().slice(0, MAX_TRAY_EVENTS);
+  if (events.length === 0) {
+    return [{
+      label: upcomingEventsState.error || (upcomingEventsState.loading ? 'Loading events...' : 'No upcoming events'),
+      enabled: false
+    }];
+  }
+  
+  return events.map(event => ({
+    label: `${event.name} (${event.nextSession.name} in ${formatTimeUntil(event.nextSession.startsAt)})`,
+    submenu: [
+      {
+        label: 'Open event page',
+        click: () => openInMainWindow(event.url)
+      },
+      {
+        label: 'Install liveries',
+        enabled: !activeLiveryDownloads.has(event.id),
+        click: () => installLiveriesWithDialog(event.id, new URL(event.url).origin)
+      }
+    ]
+  }));
+}
+
+// Show the main window with the given page, creating the window if needed
+function openInMainWindow(url) {
+  if (!mainWindow || mainWindow.isDestroyed()) {
+    createMainWindow();
+  }
+  mainWindow.show();
+  mainWindow.focus();
+  mainWindow.loadURL(url);
+}
+
+// Build the tray context menu, including the upcoming events and the profile switcher
+function updateTrayMenu() {
+  if (!tray) {
+    return;
+  }
+  
   const contextMenu = Menu.buildFromTemplate([
     {
       label: 'Show App',
@@ -50,6 +507,33 @@ function createTray() {
       }
     },
     { type: 'separator' },
+    { label: 'Upcoming Events', enabled: false },
+    ...buildUpcomingEventMenuItems(),
+    {
+      label: 'Refresh Events',
+      click: () => refreshUpcomingEvents()
+    },
+    { type: 'separator' },
+    {
+      label: 'Installed Liveries...',
+      click: () => createLiveriesWindow()
+    },
+    {
+      label: 'Settings...',
+      click: () => createSettingsWindow()
+    },
+    ...buildResultUploadMenuItems(),
+    ...buildReplayUploadMenuItems(),
+    { type: 'separator' },
+    {
+      label: 'Profiles',
+      submenu: buildProfileMenuItems()
+    },
+    { type: 'separator' },
+    ...(pendingUpdate ? [{
+      label: `Quit and Install ${pendingUpdate.version}`,
+      click: () => app.quit()
+    }] : []),
     {
       label: 'Exit',
       click: () => {
@@ -59,53 +543,204 @@ function createTray() {
   ]);
 
   tray.setContextMenu(contextMenu);
+}
+
+// Build the profile switcher entries shared by the tray and application menus
+function buildProfileMenuItems() {
+  const activeProfile = getActiveProfile();
+  const profileItems = getProfiles().map(profile => ({
+    label: profile.name,
+    type: 'radio',
+    checked: profile.name === activeProfile.name,
+    click: () => switchProfile(profile.name)
+  }));
   
-  // Add click handler to restore window
-  tray.on('click', () => {
-    if (mainWindow) {
-      mainWindow.show();
-    } else {
-      createMainWindow();
+  return [
+    ...profileItems,
+    { type: 'separator' },
+    { label: 'New Profile...', click: () => createConfigWindow({ mode: 'new-profile' }) },
+    { label: 'Edit Current Profile...', click: () => createSettingsWindow() },
+    {
+      label: 'Delete Current Profile',
+      enabled: profileItems.length > 1,
+      click: async () => {
+        const response = await dialog.showMessageBox({
+          type: 'question',
+          title: 'Delete Profile',
+          message: `Delete the profile "${activeProfile.name}"? Its saved logins remain on disk but will no longer be used.`,
+          buttons: ['Delete', 'Cancel'],
+          defaultId: 1,
+          cancelId: 1
+        });
+        if (response.response === 0) {
+          try {
+            deleteProfile(activeProfile.name);
+            refreshActiveProfile();
+          } catch (error) {
+            dialog.showErrorBox('Delete Profile Error', error.message);
+          }
+        }
+      }
     }
-  });
+  ];
+}
+
+// Get the Electron session that holds a profile's cookies
+function getProfileSession(profile) {
+  return profile.partition ? session.fromPartition(profile.partition) : session.defaultSession;
+}
+
+// Switch to another server profile and reload the main window in its session
+function switchProfile(name) {
+  console.log('Switching to profile:', name);
+  try {
+    setActiveProfile(name);
+    refreshActiveProfile();
+  } catch (error) {
+    console.error('Error switching profile:', error);
+    dialog.showErrorBox('Switch Profile Error', error.message);
+  }
+}
+
+// Show the active profile in the main window and refresh the menus.
+// A window can't change its session, so it is recreated when the profile's partition differs.
+function refreshActiveProfile() {
+  const activeProfile = getActiveProfile();
   
-  // Add double-click handler to restore window
-  tray.on('double-click', () => {
-    if (mainWindow) {
-      mainWindow.show();
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    if (mainWindowPartition === activeProfile.partition) {
+      console.log('Reloading main window with URL:', activeProfile.url);
+      mainWindow.loadURL(activeProfile.url);
     } else {
+      const wasVisible = mainWindow.isVisible();
+      // destroy() skips the close handler, so the minimize-to-tray prompt is not shown
+      mainWindow.destroy();
+      mainWindow = null;
       createMainWindow();
+      if (!wasVisible) {
+        mainWindow.hide();
+      }
     }
-  });
+  } else {
+    createMainWindow();
+  }
   
-  tray.setToolTip('Attrition Desktop App');
+  loadKnownEvents();
+  createMenu();
+  updateTrayMenu();
+  refreshSettingsWindow();
+  refreshUpcomingEvents();
+  // The profile's game folder and server decide where live timing connects and relays to
+  stopLiveTiming();
+  startLiveTiming();
+  stopResultsWatcher();
+  startResultsWatcher();
+}
+
+// Zoom a window, and remember the main window's zoom for the server it shows
+function setWindowZoom(window, zoomFactor) {
+  if (!window || window.isDestroyed()) {
+    return;
+  }
+  window.webContents.setZoomFactor(zoomFactor);
+  if (window === mainWindow) {
+    updateWindowState(readSavedUrl(), { zoomFactor });
+  }
+}
+
+// Zoom a window one step in or out
+function stepWindowZoom(window, direction) {
+  if (window && !window.isDestroyed()) {
+    setWindowZoom(window, stepZoomFactor(window.webContents.getZoomFactor(), direction));
+  }
 }
 
 // Create the main browser window
 function createMainWindow() {
   console.log('Creating main window');
+  const activeProfile = getActiveProfile();
+  mainWindowPartition = activeProfile.partition;
+  failedLoad = null;
+  stopReconnecting();
+  const show = !startMinimized;
+  startMinimized = false;
+  // Open where the window was left for this server, on a display that is still connected
+  const windowState = getWindowState(activeProfile.url);
   mainWindow = new BrowserWindow({
-    width: 1200,
-    height: 800,
+    ...getRestoredBounds(windowState),
+    show,
+    title: `Attrition Desktop - ${activeProfile.name}`,
     webPreferences: {
       nodeIntegration: false,
       contextIsolation: true,
       enableRemoteModule: false,
+      zoomFactor: windowState.zoomFactor,
+      // Each profile keeps its cookies and logins in its own session
+      ...(activeProfile.partition ? { partition: activeProfile.partition } : {}),
       // Add preload script for better security
       preload: path.join(__dirname, 'preload.js')
     },
   });
 
+  const window = mainWindow;
+
+  applyWindowMode(window, windowState);
+  const windowStateTracker = trackWindowState(window, activeProfile.url);
+
+  // Chromium keeps zoom per site only until the app quits, so the server's saved zoom is applied on every load.
+  // When the window now shows another server, e.g. after switching to a profile with the same session,
+  // it also takes that server's size and position.
+  mainWindow.webContents.on('did-finish-load', () => {
+    if (/^https?:/.test(window.webContents.getURL())) {
+      const serverUrl = readSavedUrl();
+      windowStateTracker.switchServer(serverUrl);
+      window.webContents.setZoomFactor(getWindowState(serverUrl).zoomFactor);
+    }
+  });
+  mainWindow.webContents.on('zoom-changed', (event, zoomDirection) => stepWindowZoom(window, zoomDirection));
+
+  // Handle a link the app was started with once the page has loaded
+  mainWindow.webContents.once('did-finish-load', () => {
+    if (pendingDeepLink) {
+      const link = pendingDeepLink;
+      pendingDeepLink = null;
+      handleDeepLink(link);
+    }
+  });
+
   // Load the saved URL or default
   const savedUrl = readSavedUrl();
   console.log('Loading URL in main window:', savedUrl);
   
   // Add error handling for the load operation
   mainWindow.webContents.on('did-fail-load', (event, errorCode, errorDescription, validatedURL, isMainFrame) => {
-    console.error('Main window failed to load:', errorDescription, errorCode);
-    // Try to create a fallback or show an error
-    if (mainWindow && !mainWindow.isDestroyed()) {
-      mainWindow.loadFile('error.html'); // Fallback to error page
+    console.error('Main window failed to load:', errorDescription, errorCode, validatedURL);
+    // Failed frames inside the page and aborted loads (replaced or blocked navigations) aren't errors,
+    // and a bundled page that fails to load must not trigger the error page again
+    if (!isMainFrame || errorCode === ERR_ABORTED || /^file:/.test(validatedURL)) {
+      return;
+    }
+    showErrorPage(validatedURL, errorCode, errorDescription);
+  });
+
+  // Server errors still load a page, so they are detected from the response code
+  mainWindow.webContents.on('did-navigate', (event, url, httpResponseCode) => {
+    if (!/^https?:/.test(url)) {
+      return;
+    }
+    if (httpResponseCode >= 500) {
+      console.error('Server responded with an error:', httpResponseCode, url);
+      showErrorPage(url, httpResponseCode);
+    } else {
+      if (failedLoad) {
+        console.log('Main window is back online');
+        failedLoad = null;
+        stopReconnecting();
+      }
+      // The user may just have signed in, or the connection may be back
+      if (upcomingEventsState.unauthorized || upcomingEventsState.error) {
+        refreshUpcomingEvents();
+      }
     }
   });
   
@@ -119,92 +754,15 @@ function createMainWindow() {
   
   mainWindow.webContents.on('dom-ready', () => {
     console.log('Main window DOM ready');
-    
-    // Inject content script to handle _blank links
-    const contentScript = `
-      (() => {
-        'use strict';
-        
-        /**
-         * Handles click events on anchor tags with target="_blank"
-         * @param {Event} event - The click event
-         */
-        const handleLinkClick = (event) => {
-          const link = event.target;
-          
-          // Check if this is an anchor tag with target="_blank"
-          if (link.tagName === 'A' && link.target === '_blank') {
-            // Prevent the default behavior (opening in new tab)
-            event.preventDefault();
-            
-            // Get the href attribute
-            const url = link.href;
-            
-            // Send message to main process to handle navigation
-            if (window.electron) {
-              window.electron.ipcRenderer.invoke('link-clicked', url);
-            } else {
-              // Fallback: try to navigate in same window
-              window.location.href = url;
-            }
-          }
-        };
-        
-        /**
-         * Sets up link interception for both existing and dynamically added links
-         */
-        const setupLinkInterception = () => {
-          // Listen for clicks on the document
-          document.addEventListener('click', handleLinkClick, true);
-          
-          // Also listen for link creation (for dynamically added links)
-          const observer = new MutationObserver((mutations) => {
-            mutations.forEach((mutation) => {
-              if (mutation.type === 'childList') {
-                mutation.addedNodes.forEach((node) => {
-                  if (node.nodeType === 1) { // Element node
-                    // Check if it's an anchor tag or contains anchor tags
-                    if (node.tagName === 'A' && node.target === '_blank') {
-                      node.addEventListener('click', handleLinkClick, true);
-                    } else {
-                      // Look for anchor tags within the added node
-                      const anchors = node.querySelectorAll('a[target="_blank"]');
-                      anchors.forEach(anchor => {
-                        anchor.addEventListener('click', handleLinkClick, true);
-                      });
-                    }
-                  }
-                });
-              }
-            });
-          });
-          
-          observer.observe(document.body, {
-            childList: true,
-            subtree: true
-          });
-        };
-        
-        // Run when DOM is ready
-        if (document.readyState === 'loading') {
-          document.addEventListener('DOMContentLoaded', setupLinkInterception);
-        } else {
-          setupLinkInterception();
-        }
-        
-        // Also set up for any future dynamically added links
-        window.addEventListener('load', () => {
-          setupLinkInterception();
-        });
-      })();
-    `;
-    
-    try {
-      mainWindow.webContents.executeJavaScript(contentScript);
-      console.log('Content script injected successfully');
-    } catch (error) {
-      console.error('Error injecting content script:', error);
-    }
+  });
+
+  // Keep league pages in the window and send other sites to the system browser
+  attachNavigationPolicy(mainWindow.webContents, () => {
+    const config = readSavedConfig();
+    return {
+      serverUrls: getProfiles(config).map(profile => profile.url),
+      allowlist: config.navigationAllowlist
+    };
   });
 
   // Handle window close events - ask user if they want to minimize to tray or quit
@@ -248,6 +806,7 @@ function createMainWindow() {
           const newConfig = readSavedConfig();
           newConfig.minimizeToTray = true;
           saveConfig(newConfig);
+          refreshSettingsWindow();
           mainWindow.hide();
           console.log('Main window hidden, minimized to tray');
         } else if (response === 1) {
@@ -269,7 +828,13 @@ function createMainWindow() {
   // Handle window closed events
   mainWindow.on('closed', () => {
     console.log('Main window closed');
+    // A profile switch may already have replaced the window
+    if (mainWindow !== window) {
+      return;
+    }
     mainWindow = null;
+    failedLoad = null;
+    stopReconnecting();
   });
 
   // Load the URL with error handling
@@ -284,20 +849,127 @@ function createMainWindow() {
   }
 }
 
-// Create the configuration window
-function createConfigWindow() {
+// Show the bundled error page in the main window and start watching for the server to come back
+function showErrorPage(url, errorCode, errorDescription) {
+  if (!mainWindow || mainWindow.isDestroyed()) {
+    return;
+  }
+  const details = describeLoadError(errorCode, errorDescription);
+  // Retry the page that failed, or the server's start page if it wasn't a web page
+  const retryUrl = /^https?:/.test(url || '') ? url : readSavedUrl();
+  // Keep backing off while the same page keeps failing
+  const attempt = failedLoad && failedLoad.url === retryUrl ? failedLoad.attempt : 0;
+  failedLoad = { url: retryUrl, attempt, nextAttemptAt: null, checking: false };
+
+  mainWindow.loadFile('error.html', {
+    query: {
+      url: retryUrl,
+      code: details.code,
+      category: details.category,
+      title: details.title,
+      explanation: details.explanation
+    }
+  });
+  scheduleReconnect();
+}
+
+// Send the reconnect state to the error page
+function sendReconnectStatus() {
+  if (mainWindow && !mainWindow.isDestroyed() && failedLoad) {
+    mainWindow.webContents.send('reconnect-status', getReconnectStatus());
+  }
+}
+
+// Get the reconnect state shown on the error page
+function getReconnectStatus() {
+  if (!failedLoad) {
+    return null;
+  }
+  return {
+    url: failedLoad.url,
+    attempt: failedLoad.attempt,
+    nextAttemptAt: failedLoad.nextAttemptAt,
+    checking: failedLoad.checking
+  };
+}
+
+// Schedule the next reachability check, backing off from 5 seconds up to a minute
+function scheduleReconnect() {
+  stopReconnecting();
+  if (!failedLoad) {
+    return;
+  }
+  const delay = Math.min(5000 * 2 ** failedLoad.attempt, 60000);
+  failedLoad.nextAttemptAt = Date.now() + delay;
+  reconnectTimer = setTimeout(checkConnection, delay);
+  sendReconnectStatus();
+}
+
+// Stop the pending reachability check
+function stopReconnecting() {
+  if (reconnectTimer) {
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+  }
+}
+
+// Check whether the failed page's server answers again and reload the page if it does
+async function checkConnection() {
+  stopReconnecting();
+  if (!failedLoad || failedLoad.checking || !mainWindow || mainWindow.isDestroyed()) {
+    return;
+  }
+  const attemptFor = failedLoad;
+  attemptFor.checking = true;
+  attemptFor.nextAttemptAt = null;
+  sendReconnectStatus();
+
+  const reachable = await checkServerReachable(attemptFor.url, { fetchSession: mainWindow.webContents.session });
+  attemptFor.checking = false;
+  // A newer failure or a successful navigation may have replaced this one meanwhile
+  if (failedLoad !== attemptFor || !mainWindow || mainWindow.isDestroyed()) {
+    return;
+  }
+  if (reachable) {
+    retryFailedLoad();
+  } else {
+    attemptFor.attempt++;
+    scheduleReconnect();
+  }
+}
+
+// Load the failed page again
+function retryFailedLoad() {
+  if (!mainWindow || mainWindow.isDestroyed()) {
+    return;
+  }
+  stopReconnecting();
+  const url = failedLoad ? failedLoad.url : readSavedUrl();
+  console.log('Reloading page after connection error:', url);
+  mainWindow.loadURL(url);
+}
+
+// Create the configuration window. With mode 'new-profile' it creates a profile
+// instead of editing the active one.
+function createConfigWindow({ mode = 'edit' } = {}) {
   console.log('Creating config window');
+  if (configWindow && !configWindow.isDestroyed()) {
+    configWindow.loadFile('config.html', { query: { mode } });
+    configWindow.focus();
+    return;
+  }
   configWindow = new BrowserWindow({
     width: 600,
     height: 600,
     webPreferences: {
-      nodeIntegration: true,
-      contextIsolation: false,
-      enableRemoteModule: false,
+      preload: path.join(__dirname, 'settingsPreload.js'),
+      nodeIntegration: false,
+      contextIsolation: true,
+      sandbox: true
     },
   });
 
-  configWindow.loadFile('config.html');
+  configWindow.loadFile('config.html', { query: { mode } });
   
   configWindow.on('closed', () => {
     console.log('Config window closed');
@@ -310,22 +982,1556 @@ function createConfigWindow() {
   });
 }
 
-// Initialize the app
-function initializeApp() {
-  console.log('Initializing app');
-  
-  // Set up IPC handlers
-  ipcMain.handle('get-saved-url', async () => {
-    console.log('IPC get-saved-url called');
-    return readSavedUrl();
+// Create the settings window, or focus it if it is open. Unlike the first-run configuration
+// it edits every option, and each change is applied as soon as it is made.
+function createSettingsWindow() {
+  if (settingsWindow && !settingsWindow.isDestroyed()) {
+    settingsWindow.show();
+    settingsWindow.focus();
+    return;
+  }
+  settingsWindow = new BrowserWindow({
+    width: 700,
+    height: 800,
+    title: 'Settings',
+    webPreferences: {
+      preload: path.join(__dirname, 'settingsPreload.js'),
+      nodeIntegration: false,
+      contextIsolation: true,
+      sandbox: true
+    },
   });
 
-  ipcMain.handle('get-saved-config', async () => {
-    console.log('IPC get-saved-config called');
-    return readSavedConfig();
+  // The window only ever shows the bundled page
+  settingsWindow.webContents.on('will-navigate', (event) => event.preventDefault());
+  settingsWindow.webContents.setWindowOpenHandler(() => ({ action: 'deny' }));
+  settingsWindow.loadFile('settings.html');
+  settingsWindow.on('closed', () => {
+    settingsWindow = null;
   });
+}
 
-  ipcMain.handle('save-url', async (event, url) => {
+// Tell the settings window to show the settings again after they changed elsewhere, e.g. from a menu
+function refreshSettingsWindow() {
+  if (settingsWindow && !settingsWindow.isDestroyed()) {
+    settingsWindow.webContents.send('settings-changed');
+  }
+}
+
+// Get everything the settings window shows
+function getSettings() {
+  const config = readSavedConfig();
+  const profile = getActiveProfile();
+  let candidates = [];
+  try {
+    candidates = findDocumentsFolderCandidates().map(candidate => ({
+      customsPath: candidate.customsPath,
+      documentsPath: candidate.documentsPath,
+      label: getCandidateLabel(candidate)
+    }));
+  } catch (error) {
+    console.warn('Failed to detect ACC Documents folders:', error.message);
+  }
+  let launchAtLogin = false;
+  try {
+    launchAtLogin = isLaunchAtLoginSupported() && getLaunchAtLogin();
+  } catch (error) {
+    console.warn('Failed to read the launch at login setting:', error.message);
+  }
+  return {
+    profileName: profile.name,
+    url: profile.url,
+    liveryDirectory: profile.liveryDirectory,
+    liveryDirectoryCandidates: candidates,
+    minimizeToTray: config.minimizeToTray === true,
+    launchAtLoginSupported: isLaunchAtLoginSupported(),
+    launchAtLogin,
+    updateChannel: getUpdateChannel(),
+    updateChannels: UPDATE_CHANNELS,
+    logLevel: getLogLevel(),
+    logLevels: LOG_LEVELS,
+    navigationAllowlist: config.navigationAllowlist,
+    notifications: config.notifications,
+    liveTiming: { enabled: config.liveTiming.enabled, relay: config.liveTiming.relay }
+  };
+}
+
+// Save app-wide settings on top of the current configuration
+function saveSettings(changes) {
+  if (!saveConfig({ ...readSavedConfig(), ...changes })) {
+    throw new Error('The settings could not be saved');
+  }
+}
+
+// Use a new Customs folder for the active profile and show it everywhere it is used
+function applyLiveryDirectory(directory) {
+  if (!updateActiveProfile({ liveryDirectory: directory })) {
+    throw new Error('The folder could not be saved');
+  }
+  refreshLiveriesWindow();
+  refreshSettingsWindow();
+  // Live timing reads broadcasting.json from the game folder the Customs folder is in
+  stopLiveTiming();
+  startLiveTiming();
+}
+
+// Change one setting from the settings window and apply it right away, without a relaunch
+async function applySetting(key, value) {
+  const checkBoolean = () => {
+    if (typeof value !== 'boolean') {
+      throw new TypeError(`${key} must be true or false`);
+    }
+    return value;
+  };
+  const checkObject = () => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      throw new TypeError(`${key} must be an object`);
+    }
+    return value;
+  };
+
+  switch (key) {
+    case 'url': {
+      let url;
+      try {
+        url = new URL(String(value).trim());
+      } catch (error) {
+        throw new Error('Please enter a valid URL (including http:// or https://)');
+      }
+      if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+        throw new Error(`Unsupported server protocol: ${url.protocol}`);
+      }
+      if (!updateActiveProfile({ url: url.toString() })) {
+        throw new Error('The server URL could not be saved');
+      }
+      // Loads the new server in the main window and fetches its events
+      refreshActiveProfile();
+      break;
+    }
+    case 'liveryDirectory':
+      if (typeof value !== 'string' || !validateDirectory(value)) {
+        throw new Error('The folder does not exist');
+      }
+      applyLiveryDirectory(value);
+      break;
+    case 'minimizeToTray':
+      if (!saveMinimizeToTrayPreference(checkBoolean())) {
+        throw new Error('The settings could not be saved');
+      }
+      break;
+    case 'launchAtLogin':
+      setLaunchAtLogin(checkBoolean());
+      break;
+    case 'updateChannel':
+      if (!UPDATE_CHANNELS.includes(value)) {
+        throw new Error(`Unknown update channel: ${value}`);
+      }
+      saveSettings({ updateChannel: value });
+      createMenu();
+      checkForUpdatesAndNotify({ manual: true });
+      break;
+    case 'logLevel':
+      if (!LOG_LEVELS.includes(value)) {
+        throw new Error(`Unknown log level: ${value}`);
+      }
+      saveLogLevel(value);
+      break;
+    case 'navigationAllowlist':
+      if (!Array.isArray(value)) {
+        throw new TypeError('navigationAllowlist must be a list of sites');
+      }
+      // The navigation policy reads the list for every navigation, so it applies immediately
+      saveSettings({ navigationAllowlist: normalizeAllowlist(value) });
+      break;
+    case 'notifications': {
+      const { enabled, offsets, liveryChanges } = checkObject();
+      const notifications = readSavedConfig().notifications;
+      saveSettings({
+        notifications: {
+          enabled: typeof enabled === 'boolean' ? enabled : notifications.enabled,
+          offsets: offsets !== undefined ? parseReminderOffsets(offsets) : notifications.offsets,
+          liveryChanges: typeof liveryChanges === 'boolean' ? liveryChanges : notifications.liveryChanges
+        }
+      });
+      break;
+    }
+    case 'liveTiming': {
+      const { enabled, relay } = checkObject();
+      const liveTiming = readSavedConfig().liveTiming;
+      saveSettings({
+        liveTiming: {
+          ...liveTiming,
+          enabled: typeof enabled === 'boolean' ? enabled : liveTiming.enabled,
+          relay: typeof relay === 'boolean' ? relay : liveTiming.relay
+        }
+      });
+      stopLiveTiming();
+      startLiveTiming();
+      break;
+    }
+    default:
+      throw new Error(`Unknown setting: ${key}`);
+  }
+  console.log('Setting changed:', key);
+}
+
+// Create the window listing the liveries in the Customs folder, or focus it if it is open
+function createLiveriesWindow() {
+  if (liveriesWindow && !liveriesWindow.isDestroyed()) {
+    liveriesWindow.show();
+    liveriesWindow.focus();
+    return;
+  }
+  liveriesWindow = new BrowserWindow({
+    width: 1000,
+    height: 750,
+    title: 'Liveries',
+    webPreferences: {
+      preload: path.join(__dirname, 'liveriesPreload.js'),
+      nodeIntegration: false,
+      contextIsolation: true,
+      sandbox: true
+    },
+  });
+
+  // The window only ever shows the bundled page
+  liveriesWindow.webContents.on('will-navigate', (event) => event.preventDefault());
+  liveriesWindow.webContents.setWindowOpenHandler(() => ({ action: 'deny' }));
+  liveriesWindow.loadFile('liveries.html');
+  liveriesWindow.on('closed', () => {
+    liveriesWindow = null;
+  });
+}
+
+// Get the Customs folder the liveries window shows, or null when none is configured yet
+function getLiveriesWindowDirectory() {
+  const customsDir = getConfiguredLiveryDirectory();
+  return customsDir && validateDirectory(customsDir) ? customsDir : null;
+}
+
+// Tell the liveries window to list the Customs folder again, e.g. after an install
+function refreshLiveriesWindow() {
+  if (liveriesWindow && !liveriesWindow.isDestroyed()) {
+    liveriesWindow.webContents.send('liveries-changed');
+  }
+}
+
+// Make a thumbnail of a livery folder as a data URL, from its PNGs or the DDS files ACC generated
+function getLiveryThumbnail(customsDir, folderName) {
+  const sourcePath = findThumbnailSource(customsDir, folderName);
+  if (!sourcePath) {
+    return null;
+  }
+  let image;
+  if (sourcePath.toLowerCase().endsWith('.dds')) {
+    const preview = readDdsPreview(sourcePath);
+    if (!preview) {
+      return null;
+    }
+    image = nativeImage.createFromBitmap(preview.data, { width: preview.width, height: preview.height });
+  } else {
+    image = nativeImage.createFromPath(sourcePath);
+  }
+  if (image.isEmpty()) {
+    return null;
+  }
+  return image.resize({ width: 256, quality: 'good' }).toDataURL();
+}
+
+// Move a car, its livery folder or an orphaned livery folder to the trash after the user confirmed it
+async function deleteLocalLivery(customsDir, { carFile, folderName }) {
+  const { cars } = scanCustomsFolder(customsDir, []);
+  const paths = carFile
+    ? getCarPaths(customsDir, carFile, cars)
+    : [path.join(customsDir, 'Liveries', checkLiveryFolderName(folderName))];
+  const response = await dialog.showMessageBox(liveriesWindow, {
+    type: 'warning',
+    title: 'Delete Livery',
+    message: carFile ? `Move ${carFile} to the trash?` : `Move the livery folder ${folderName} to the trash?`,
+    detail: `These will be moved to the trash:\n${paths.map(filePath => path.relative(customsDir, filePath)).join('\n')}`,
+    buttons: ['Move to Trash', 'Cancel'],
+    defaultId: 1,
+    cancelId: 1
+  });
+  if (response.response !== 0) {
+    return false;
+  }
+  for (const filePath of paths) {
+    if (fs.existsSync(filePath)) {
+      await shell.trashItem(filePath);
+    }
+  }
+  return true;
+}
+
+// Handle an attrition:// link: install an event's liveries or navigate the main window.
+// Links to a server other than the configured one need the user's confirmation.
+async function handleDeepLink(link) {
+  console.log('Handling deep link:', link);
+  
+  if (!app.isReady() || !mainWindow || mainWindow.isDestroyed()) {
+    // Picked up once the main window has loaded, after first-run setup if needed
+    pendingDeepLink = link;
+    if (app.isReady() && !configWindow) {
+      createMainWindow();
+    }
+    return;
+  }
+  
+  let request;
+  try {
+    request = parseDeepLink(link);
+  } catch (error) {
+    console.error('Invalid deep link:', error.message);
+    dialog.showErrorBox('Invalid Link', error.message);
+    return;
+  }
+  
+  mainWindow.show();
+  mainWindow.focus();
+  
+  const configuredServer = new URL(readSavedUrl()).origin;
+  const server = request.server || configuredServer;
+  if (server !== configuredServer) {
+    const response = await dialog.showMessageBox(mainWindow, {
+      type: 'warning',
+      title: 'Link to Another Server',
+      message: request.action === 'install-liveries'
+        ? `This link wants to install liveries from ${server}, which is not your configured server.`
+        : `This link wants to open ${server}, which is not your configured server.`,
+      detail: `Configured server: ${configuredServer}\n\nOnly continue if you trust this server.`,
+      buttons: ['Continue', 'Cancel'],
+      defaultId: 1,
+      cancelId: 1
+    });
+    if (response.response !== 0) {
+      console.log('Deep link to another server cancelled by user');
+      return;
+    }
+  }
+  
+  if (request.action === 'open') {
+    const targetUrl = new URL(request.path, server).toString();
+    console.log('Opening deep link in main window:', targetUrl);
+    mainWindow.loadURL(targetUrl);
+    return;
+  }
+  
+  await installLiveriesWithDialog(request.eventId, server);
+}
+
+// Install an event's liveries outside the league page, e.g. from a link or the tray,
+// and report the result in a dialog
+async function installLiveriesWithDialog(eventId, baseUrl) {
+  const progressTarget = mainWindow && !mainWindow.isDestroyed() ? mainWindow.webContents : null;
+  updateTrayMenu();
+  const result = await installEventLiveries(eventId, baseUrl, {}, progressTarget);
+  updateTrayMenu();
+  if (result.cancelled) {
+    return;
+  }
+  const options = {
+    type: result.success ? 'info' : 'error',
+    title: 'Livery Installation',
+    message: result.success
+      ? `Liveries for event ${eventId} were installed.`
+      : `Failed to install liveries for event ${eventId}.`,
+    detail: [result.message, result.report].filter(Boolean).join('\n\n'),
+    buttons: ['OK']
+  };
+  // A window hidden in the tray can't show a dialog attached to it
+  if (mainWindow && !mainWindow.isDestroyed() && mainWindow.isVisible()) {
+    await dialog.showMessageBox(mainWindow, options);
+  } else {
+    await dialog.showMessageBox(options);
+  }
+}
+
+// Get the origin of a URL, or null if it isn't a valid URL
+function getOrigin(url) {
+  try {
+    return new URL(url).origin;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Check that an event ID coming from a renderer is a short alphanumeric ID
+function checkEventId(eventId) {
+  const value = typeof eventId === 'number' ? String(eventId) : eventId;
+  if (typeof value !== 'string' || !/^[A-Za-z0-9_-]{1,64}$/.test(value)) {
+    throw new Error('Invalid event ID');
+  }
+  return value;
+}
+
+// Check that an IPC request comes from the main window while it shows the configured server
+function isTrustedPageSender(event) {
+  if (!mainWindow || mainWindow.isDestroyed() || event.sender !== mainWindow.webContents) {
+    return false;
+  }
+  const frameUrl = event.senderFrame ? event.senderFrame.url : null;
+  return getOrigin(frameUrl) !== null && getOrigin(frameUrl) === getOrigin(readSavedUrl());
+}
+
+// Check that an IPC request comes from one of the app's bundled pages shown in the given window
+function isLocalPageSender(event, window, fileName) {
+  if (!window || window.isDestroyed() || event.sender !== window.webContents) {
+    return false;
+  }
+  try {
+    const frameUrl = new URL(event.senderFrame.url);
+    return frameUrl.protocol === 'file:' &&
+      frameUrl.pathname === pathToFileURL(path.join(__dirname, fileName)).pathname;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Check that an IPC request comes from the local configuration window
+function isConfigWindowSender(event) {
+  return isLocalPageSender(event, configWindow, 'config.html');
+}
+
+// Check that an IPC request comes from the open server config preview window
+function checkServerConfigPreviewSender(event, channel) {
+  if (!serverConfigPreview || !isLocalPageSender(event, serverConfigPreview.window, 'serverConfigPreview.html')) {
+    console.warn(`Rejected IPC ${channel} from outside the server config preview:`, event.senderFrame && event.senderFrame.url);
+    throw new Error(`${channel} is only available to the server config preview`);
+  }
+}
+
+// Register an IPC handler that the league page may call through the preload bridge
+function handlePageRequest(channel, handler) {
+  ipcMain.handle(channel, async (event, ...args) => {
+    if (!isTrustedPageSender(event)) {
+      console.warn(`Rejected IPC ${channel} from untrusted sender:`, event.senderFrame && event.senderFrame.url);
+      throw new Error(`${channel} is not available to this page`);
+    }
+    return handler(event, ...args);
+  });
+}
+
+// Register an IPC handler for privileged configuration operations, only the config window may call it
+function handleConfigRequest(channel, handler) {
+  ipcMain.handle(channel, async (event, ...args) => {
+    if (!isConfigWindowSender(event)) {
+      console.warn(`Rejected IPC ${channel} from outside the configuration window:`, event.senderFrame && event.senderFrame.url);
+      throw new Error(`${channel} is only available to the configuration window`);
+    }
+    return handler(event, ...args);
+  });
+}
+
+// Register an IPC handler for the settings window
+function handleSettingsRequest(channel, handler) {
+  ipcMain.handle(channel, async (event, ...args) => {
+    if (!isLocalPageSender(event, settingsWindow, 'settings.html')) {
+      console.warn(`Rejected IPC ${channel} from outside the settings window:`, event.senderFrame && event.senderFrame.url);
+      throw new Error(`${channel} is only available to the settings window`);
+    }
+    return handler(event, ...args);
+  });
+}
+
+// Register an IPC handler for the liveries window
+function handleLiveriesWindowRequest(channel, handler) {
+  ipcMain.handle(channel, async (event, ...args) => {
+    if (!isLocalPageSender(event, liveriesWindow, 'liveries.html')) {
+      console.warn(`Rejected IPC ${channel} from outside the liveries window:`, event.senderFrame && event.senderFrame.url);
+      throw new Error(`${channel} is only available to the liveries window`);
+    }
+    return handler(event, ...args);
+  });
+}
+
+// Register an IPC handler for the bundled error page shown in the main window
+function handleErrorPageRequest(channel, handler) {
+  ipcMain.handle(channel, async (event, ...args) => {
+    if (!isLocalPageSender(event, mainWindow, 'error.html')) {
+      console.warn(`Rejected IPC ${channel} from outside the error page:`, event.senderFrame && event.senderFrame.url);
+      throw new Error(`${channel} is only available to the error page`);
+    }
+    return handler(event, ...args);
+  });
+}
+
+// Send a message to the main window, but only while it shows the configured server.
+// Allowlisted sites open in the same window and must not receive the app's data.
+function sendToLeaguePage(channel, payload) {
+  if (!mainWindow || mainWindow.isDestroyed()) {
+    return;
+  }
+  if (getOrigin(mainWindow.webContents.getURL()) === getOrigin(readSavedUrl())) {
+    mainWindow.webContents.send(channel, payload);
+  }
+}
+
+// Get the live timing settings, with port and passwords from the game's broadcasting.json
+// where the configuration leaves them unset
+function getLiveTimingSettings() {
+  const settings = readSavedConfig().liveTiming;
+  let fileSettings = null;
+  const customsDir = getConfiguredLiveryDirectory();
+  if (customsDir) {
+    try {
+      // The configured folder is Customs, broadcasting.json lives next to it in Config
+      fileSettings = readBroadcastingSettings(path.dirname(customsDir));
+    } catch (error) {
+      console.warn('Failed to read ACC broadcasting.json:', error.message);
+    }
+  }
+  return {
+    ...settings,
+    port: settings.port || (fileSettings && fileSettings.port) || 9000,
+    connectionPassword: settings.connectionPassword ?? (fileSettings ? fileSettings.connectionPassword : ''),
+    commandPassword: settings.commandPassword ?? (fileSettings ? fileSettings.commandPassword : '')
+  };
+}
+
+// Get the endpoint live timing is relayed to, null when relaying is off
+function getLiveTimingRelayUrl(settings) {
+  if (!settings.relay) {
+    return null;
+  }
+  const relayUrl = settings.relayUrl || `${getOrigin(readSavedUrl())}/live-timing`;
+  return /^https?:\/\//.test(relayUrl) ? relayUrl : null;
+}
+
+// Relay live timing data, with the session cookies when the endpoint is on the configured server
+async function relayLiveTimingPayload(relayUrl, payload) {
+  try {
+    const cookieString = getOrigin(relayUrl) === getOrigin(readSavedUrl())
+      ? await getSessionCookieString(getOrigin(relayUrl))
+      : '';
+    await relayLiveTiming(relayUrl, payload, { cookieString });
+  } catch (error) {
+    console.warn('Failed to relay live timing:', error.message);
+  }
+}
+
+// Connect to ACC's broadcasting API when live timing is enabled
+function startLiveTiming() {
+  const settings = getLiveTimingSettings();
+  if (!settings.enabled || broadcastingClient) {
+    return;
+  }
+  const relayUrl = getLiveTimingRelayUrl(settings);
+  console.log(`Starting live timing on ${settings.host}:${settings.port}`, relayUrl ? `relaying to ${relayUrl}` : '');
+  
+  liveTimingState = createLiveTimingState();
+  broadcastingClient = createBroadcastingClient({
+    host: settings.host,
+    port: settings.port,
+    displayName: `Attrition Desktop ${packageVersion}`,
+    connectionPassword: settings.connectionPassword,
+    commandPassword: settings.commandPassword,
+    updateInterval: settings.updateInterval
+  });
+  
+  broadcastingClient.on('message', (message) => {
+    liveTimingChanged = true;
+    const event = applyMessage(liveTimingState, message);
+    if (event) {
+      sendToLeaguePage('live-timing-event', event);
+      if (relayUrl) {
+        relayLiveTimingPayload(relayUrl, { type: 'event', event });
+      }
+    }
+  });
+  broadcastingClient.on('connected', () => {
+    liveTimingChanged = true;
+  });
+  broadcastingClient.on('disconnected', (reason) => {
+    console.log('Disconnected from ACC broadcasting:', reason);
+    liveTimingState.connected = false;
+    liveTimingChanged = true;
+  });
+  broadcastingClient.on('error', (error) => {
+    console.warn('ACC broadcasting error:', error.message);
+  });
+  broadcastingClient.connect();
+  
+  // Snapshots go out at a steady rate instead of on every car update
+  liveTimingTimer = setInterval(() => {
+    if (!liveTimingChanged) {
+      return;
+    }
+    liveTimingChanged = false;
+    const snapshot = getLiveTimingSnapshot(liveTimingState);
+    sendToLeaguePage('live-timing-update', snapshot);
+    if (relayUrl && snapshot.connected) {
+      relayLiveTimingPayload(relayUrl, { type: 'snapshot', snapshot });
+    }
+  }, LIVE_TIMING_PUSH_INTERVAL);
+}
+
+// Disconnect from ACC's broadcasting API
+function stopLiveTiming() {
+  if (!broadcastingClient) {
+    return;
+  }
+  console.log('Stopping live timing');
+  clearInterval(liveTimingTimer);
+  liveTimingTimer = null;
+  broadcastingClient.disconnect();
+  broadcastingClient = null;
+  liveTimingState = createLiveTimingState();
+  sendToLeaguePage('live-timing-update', getLiveTimingSnapshot(liveTimingState));
+}
+
+// Get the persisted result upload state, reading it on first use
+function getResultUploadState() {
+  if (!resultUploadState) {
+    resultUploadState = readUploadState();
+  }
+  return resultUploadState;
+}
+
+// Count the result uploads still queued and those that gave up
+function getResultUploadCounts() {
+  const { queue } = getResultUploadState();
+  return {
+    pending: queue.filter(item => item.status === 'pending').length,
+    failed: queue.filter(item => item.status === 'failed').length
+  };
+}
+
+// Watch the active profile's server results folder for new result files
+function startResultsWatcher() {
+  const profile = getActiveProfile();
+  const directory = profile.resultsDirectory;
+  if (!directory || resultsWatcher) {
+    return;
+  }
+  if (!validateDirectory(directory)) {
+    console.warn('Results directory does not exist or is inaccessible:', directory);
+    return;
+  }
+  console.log('Watching results directory:', directory);
+  
+  const state = getResultUploadState();
+  // The first time a folder is watched, the results already in it are left alone
+  resultsWatcher = createResultsWatcher(directory, { seen: state.seen[directory] || null });
+  resultsWatcher.on('file', (filePath) => queueResultUpload(filePath, profile));
+  resultsWatcher.on('seen', (seen) => {
+    state.seen[directory] = seen;
+    writeUploadState(state);
+  });
+  resultsWatcher.on('error', (error) => {
+    console.warn('Error watching results directory:', error.message);
+  });
+  resultsWatcher.start();
+}
+
+// Stop watching the results folder
+function stopResultsWatcher() {
+  if (!resultsWatcher) {
+    return;
+  }
+  resultsWatcher.stop();
+  resultsWatcher = null;
+}
+
+// Queue a result file for upload to the server of the profile it was found for
+function queueResultUpload(filePath, profile) {
+  console.log('Queueing result upload:', filePath);
+  const state = getResultUploadState();
+  state.queue = state.queue.filter(item => item.filePath !== filePath);
+  state.queue.push({
+    filePath,
+    fileName: path.basename(filePath),
+    profile: profile.name,
+    baseUrl: new URL(profile.url).origin,
+    eventId: null,
+    eventName: null,
+    status: 'pending',
+    attempts: 0,
+    nextAttemptAt: new Date().toISOString(),
+    lastError: null
+  });
+  writeUploadState(state);
+  updateTrayMenu();
+  updateTrayTooltip();
+  processResultUploads();
+}
+
+// Upload one queued result file, matching it to an event first.
+// eventsByServer caches the events fetched during one pass over the queue.
+async function uploadQueuedResult(item, eventsByServer) {
+  const profile = getProfiles().find(candidate => candidate.name === item.profile);
+  if (!profile) {
+    throw Object.assign(new Error(`Profile "${item.profile}" no longer exists`), { permanent: true });
+  }
+  if (!fs.existsSync(item.filePath)) {
+    throw Object.assign(new Error('The result file no longer exists'), { permanent: true });
+  }
+  const result = readResultFile(item.filePath);
+  const cookieString = await getSessionCookieString(item.baseUrl, profile);
+  
+  if (!item.eventId) {
+    if (!eventsByServer.has(item.baseUrl)) {
+      eventsByServer.set(item.baseUrl, await fetchResultEvents(item.baseUrl, {
+        cookieString,
+        signal: AbortSignal.timeout(15000)
+      }));
+    }
+    const match = matchResultToEvent(result, eventsByServer.get(item.baseUrl));
+    if (!match) {
+      throw new Error(`No event on ${result.track} matches a session ending ${result.endedAt.toLocaleString()}`);
+    }
+    item.eventId = match.event.id;
+    item.eventName = `${match.event.name} (${match.session.name})`;
+  }
+  
+  await uploadResult(item.baseUrl, item.eventId, result, {
+    cookieString,
+    signal: AbortSignal.timeout(60000)
+  });
+}
+
+// Upload the queued result files that are due, retrying failures later with a growing delay
+async function processResultUploads() {
+  if (resultUploadsRunning) {
+    return;
+  }
+  resultUploadsRunning = true;
+  const state = getResultUploadState();
+  const eventsByServer = new Map();
+  try {
+    const due = state.queue.filter(item => item.status === 'pending' && new Date(item.nextAttemptAt) <= new Date());
+    for (const item of due) {
+      try {
+        await uploadQueuedResult(item, eventsByServer);
+        console.log(`Uploaded result ${item.fileName} to event ${item.eventId}`);
+        state.queue = state.queue.filter(queued => queued !== item);
+        state.log.push({
+          fileName: item.fileName,
+          profile: item.profile,
+          eventId: item.eventId,
+          eventName: item.eventName,
+          uploadedAt: new Date().toISOString()
+        });
+      } catch (error) {
+        console.warn(`Failed to upload result ${item.fileName}:`, error.message);
+        item.attempts += 1;
+        item.lastError = error.message;
+        if (error.permanent || item.attempts >= MAX_UPLOAD_ATTEMPTS) {
+          item.status = 'failed';
+          if (getNotificationSettings().enabled) {
+            showNotification({
+              title: 'Result upload failed',
+              body: `${item.fileName}: ${error.message}`
+            }, () => showResultUploadLog());
+          }
+        } else {
+          item.nextAttemptAt = new Date(Date.now() + getRetryDelay(item.attempts)).toISOString();
+        }
+      }
+      writeUploadState(state);
+    }
+  } finally {
+    resultUploadsRunning = false;
+  }
+  updateTrayMenu();
+  updateTrayTooltip();
+}
+
+// Queue the failed result uploads again
+function retryFailedResultUploads() {
+  const state = getResultUploadState();
+  state.queue
+    .filter(item => item.status === 'failed')
+    .forEach(item => {
+      item.status = 'pending';
+      item.attempts = 0;
+      item.nextAttemptAt = new Date().toISOString();
+    });
+  writeUploadState(state);
+  processResultUploads();
+}
+
+// Ask for the server results folder to watch for the active profile
+async function selectResultsDirectory() {
+  const profile = getActiveProfile();
+  const serverConfigDirectory = getConfiguredServerConfigDirectory();
+  const result = await dialog.showOpenDialog({
+    title: 'Select the accServer results Folder',
+    // results sits next to the cfg folder server configs are written to
+    defaultPath: profile.resultsDirectory ||
+      (serverConfigDirectory ? path.join(path.dirname(serverConfigDirectory), 'results') : undefined),
+    properties: ['openDirectory']
+  });
+  if (result.canceled || result.filePaths.length === 0) {
+    return;
+  }
+  updateActiveProfile({ resultsDirectory: result.filePaths[0] });
+  stopResultsWatcher();
+  startResultsWatcher();
+  updateTrayMenu();
+}
+
+// Stop watching the active profile's results folder
+function clearResultsDirectory() {
+  updateActiveProfile({ resultsDirectory: null });
+  stopResultsWatcher();
+  updateTrayMenu();
+}
+
+// Show which result files went to which event, and the uploads still waiting
+async function showResultUploadLog() {
+  const { queue, log } = getResultUploadState();
+  const uploaded = log.slice(-15).reverse().map(entry =>
+    `${new Date(entry.uploadedAt).toLocaleString()}  ${entry.fileName} → ${entry.eventName || `event ${entry.eventId}`} (${entry.profile})`
+  );
+  const waiting = queue.map(item =>
+    `${item.fileName}: ${item.status === 'failed' ? 'failed' : 'pending'}${item.lastError ? ` - ${item.lastError}` : ''}`
+  );
+  await dialog.showMessageBox({
+    type: 'info',
+    title: 'Result Uploads',
+    message: 'Result Uploads',
+    detail: [
+      waiting.length > 0 ? `Waiting:\n${waiting.join('\n')}` : null,
+      uploaded.length > 0 ? `Uploaded:\n${uploaded.join('\n')}` : 'No results uploaded yet.'
+    ].filter(Boolean).join('\n\n'),
+    buttons: ['OK']
+  });
+}
+
+// Build the tray entries for the results watcher and its upload queue
+function buildResultUploadMenuItems() {
+  const { resultsDirectory } = getActiveProfile();
+  const { pending, failed } = getResultUploadCounts();
+  const counts = [pending > 0 ? `${pending} pending` : null, failed > 0 ? `${failed} failed` : null].filter(Boolean);
+  return [{
+    label: counts.length > 0 ? `Result Uploads (${counts.join(', ')})` : 'Result Uploads',
+    submenu: [
+      {
+        label: resultsDirectory
+          ? `Watching ${resultsDirectory}${resultsWatcher ? '' : ' (unavailable)'}`
+          : 'Not watching a results folder',
+        enabled: false
+      },
+      {
+        label: 'Choose Results Folder...',
+        click: () => selectResultsDirectory()
+      },
+      {
+        label: 'Stop Watching',
+        enabled: Boolean(resultsDirectory),
+        click: () => clearResultsDirectory()
+      },
+      { type: 'separator' },
+      {
+        label: 'Retry Failed Uploads',
+        enabled: failed > 0,
+        click: () => retryFailedResultUploads()
+      },
+      {
+        label: 'Show Upload Log...',
+        click: () => showResultUploadLog()
+      }
+    ]
+  }];
+}
+
+// Get the persisted replay uploads, reading them on first use
+function getReplayUploadState() {
+  if (!replayUploadState) {
+    replayUploadState = readReplayUploadState();
+  }
+  return replayUploadState;
+}
+
+// Get the form of a replay upload sent to the page
+function describeReplayUpload(upload) {
+  const { id, fileName, size, offset, status, error, target, track, session, startedAt, completedAt } = upload;
+  return { id, fileName, size, offset, status, error, target, track, session, startedAt, completedAt };
+}
+
+// Send replay upload progress to the league page and mirror it on the taskbar and tray.
+// Livery downloads take precedence, they are shorter and the user is waiting for them.
+function reportReplayProgress(upload) {
+  sendToLeaguePage('replay-upload-progress', describeReplayUpload(upload));
+  if (upload.status !== 'uploading' || activeLiveryDownloads.size > 0) {
+    return;
+  }
+  const fraction = upload.size > 0 ? upload.offset / upload.size : 0;
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.setProgressBar(fraction);
+  }
+  if (tray) {
+    tray.setToolTip(`Attrition Desktop App - Uploading replay ${upload.fileName} ${Math.round(fraction * 100)}%`);
+  }
+}
+
+// Clear the taskbar and tray progress once no replay upload is running
+function clearReplayProgress() {
+  if (activeReplayUploads.size > 0 || activeLiveryDownloads.size > 0) {
+    return;
+  }
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.setProgressBar(-1);
+  }
+  updateTrayTooltip();
+}
+
+// Upload a replay from where it stopped, starting it on the server first if needed.
+// Network failures are retried a few times, then the upload is marked failed until retried.
+async function runReplayUpload(upload, retries = 0) {
+  if (activeReplayUploads.has(upload.id) || upload.status === 'complete') {
+    return;
+  }
+  const abortController = new AbortController();
+  activeReplayUploads.set(upload.id, abortController);
+  const state = getReplayUploadState();
+  upload.status = 'uploading';
+  updateTrayMenu();
+  
+  try {
+    const profile = getProfiles().find(candidate => candidate.name === upload.profile);
+    if (!profile) {
+      throw Object.assign(new Error(`Profile "${upload.profile}" no longer exists`), { permanent: true });
+    }
+    if (!fs.existsSync(upload.filePath)) {
+      throw Object.assign(new Error('The replay no longer exists'), { permanent: true });
+    }
+    const stats = fs.statSync(upload.filePath);
+    if (stats.size !== upload.size || stats.mtimeMs !== upload.mtimeMs) {
+      throw Object.assign(new Error('The replay changed since the upload started'), { permanent: true });
+    }
+    const cookieString = await getSessionCookieString(upload.baseUrl, profile);
+    
+    // Resume from what the server has, or start over if it forgot the upload
+    if (upload.uploadId) {
+      const offset = await getRemoteUploadOffset(upload, { cookieString, signal: abortController.signal });
+      if (offset === null) {
+        console.log('Server no longer knows replay upload or its offset, starting over:', upload.fileName);
+        upload.uploadId = null;
+      } else {
+        upload.offset = offset;
+      }
+    }
+    if (!upload.uploadId) {
+      upload.uploadId = await startRemoteUpload(upload, { cookieString, signal: abortController.signal });
+      upload.offset = 0;
+      writeReplayUploadState(state);
+    }
+    console.log(`Uploading replay ${upload.fileName} from byte ${upload.offset} of ${upload.size}`);
+    reportReplayProgress(upload);
+    
+    await uploadReplayChunks(upload, {
+      cookieString,
+      signal: abortController.signal,
+      onChunk: () => {
+        upload.error = null;
+        writeReplayUploadState(state);
+        reportReplayProgress(upload);
+      }
+    });
+    
+    upload.status = 'complete';
+    upload.completedAt = new Date().toISOString();
+    writeReplayUploadState(state);
+    reportReplayProgress(upload);
+    console.log('Replay upload complete:', upload.fileName);
+    if (getNotificationSettings().enabled) {
+      showNotification({
+        title: 'Replay uploaded',
+        body: `${upload.fileName} was uploaded to ${upload.target.type} ${upload.target.id}`
+      }, () => {
+        if (mainWindow && !mainWindow.isDestroyed()) {
+          mainWindow.show();
+          mainWindow.focus();
+        }
+      });
+    }
+  } catch (error) {
+    if (abortController.signal.aborted) {
+      console.log('Replay upload cancelled:', upload.fileName);
+      state.uploads = state.uploads.filter(candidate => candidate !== upload);
+      upload.status = 'cancelled';
+    } else if (!error.permanent && retries < MAX_REPLAY_UPLOAD_RETRIES) {
+      console.warn(`Replay upload interrupted, retrying in ${REPLAY_UPLOAD_RETRY_DELAY / 1000}s:`, error.message);
+      upload.error = error.message;
+      setTimeout(() => {
+        // Unless it was cancelled in the meantime
+        if (getReplayUploadState().uploads.includes(upload)) {
+          runReplayUpload(upload, retries + 1);
+        }
+      }, REPLAY_UPLOAD_RETRY_DELAY);
+    } else {
+      console.error('Replay upload failed:', error);
+      upload.status = 'failed';
+      upload.error = error.message;
+    }
+    writeReplayUploadState(state);
+    reportReplayProgress(upload);
+  } finally {
+    if (activeReplayUploads.get(upload.id) === abortController) {
+      activeReplayUploads.delete(upload.id);
+    }
+    clearReplayProgress();
+    updateTrayMenu();
+  }
+}
+
+// Start uploading a saved replay of the active profile's ACC folder to a protest or incident
+async function startReplayUpload(fileName, target) {
+  const customsDir = await resolveLiveryDirectory();
+  if (!customsDir) {
+    return { success: false, message: 'No ACC folder selected' };
+  }
+  const replayDir = getReplayDirectory(customsDir);
+  const replay = listReplays(replayDir).find(candidate => candidate.fileName === fileName);
+  if (!replay) {
+    return { success: false, message: `${fileName} was not found in ${replayDir}` };
+  }
+  
+  const filePath = path.join(replayDir, fileName);
+  const state = getReplayUploadState();
+  const existing = state.uploads.find(upload =>
+    upload.filePath === filePath && upload.target.type === target.type && upload.target.id === target.id &&
+    upload.status !== 'complete'
+  );
+  if (existing) {
+    runReplayUpload(existing);
+    return { success: true, upload: describeReplayUpload(existing) };
+  }
+  
+  const upload = createReplayUpload(replay, filePath, fs.statSync(filePath), target, getActiveProfile());
+  state.uploads.push(upload);
+  writeReplayUploadState(state);
+  // Progress is reported through replay-upload-progress, the upload can take a long time
+  runReplayUpload(upload);
+  return { success: true, upload: describeReplayUpload(upload) };
+}
+
+// Cancel a replay upload, stopping it if it is running
+function cancelReplayUpload(id) {
+  const abortController = activeReplayUploads.get(id);
+  if (abortController) {
+    abortController.abort();
+    return true;
+  }
+  const state = getReplayUploadState();
+  const upload = state.uploads.find(candidate => candidate.id === id);
+  if (!upload) {
+    return false;
+  }
+  state.uploads = state.uploads.filter(candidate => candidate !== upload);
+  writeReplayUploadState(state);
+  upload.status = 'cancelled';
+  reportReplayProgress(upload);
+  updateTrayMenu();
+  return true;
+}
+
+// Continue the replay uploads that were running when the app last exited
+function resumeReplayUploads() {
+  getReplayUploadState().uploads
+    .filter(upload => upload.status === 'uploading')
+    .forEach(upload => runReplayUpload(upload));
+}
+
+// Build the tray entries for replay uploads that are running or failed
+function buildReplayUploadMenuItems() {
+  const uploads = getReplayUploadState().uploads.filter(upload => upload.status !== 'complete');
+  if (uploads.length === 0) {
+    return [];
+  }
+  return [{
+    label: 'Replay Uploads',
+    submenu: uploads.map(upload => ({
+      label: upload.status === 'failed'
+        ? `${upload.fileName} (failed)`
+        : `${upload.fileName} (${Math.round(upload.offset / Math.max(upload.size, 1) * 100)}%)`,
+      submenu: [
+        ...(upload.error ? [{ label: upload.error, enabled: false }] : []),
+        {
+          label: 'Retry',
+          enabled: !activeReplayUploads.has(upload.id),
+          click: () => runReplayUpload(upload)
+        },
+        {
+          label: 'Cancel Upload',
+          click: () => cancelReplayUpload(upload.id)
+        }
+      ]
+    }))
+  }];
+}
+
+// Send livery download progress to the renderer and mirror it on the taskbar and tray
+function reportLiveryProgress(sender, eventId, progress) {
+  if (sender && !sender.isDestroyed()) {
+    sender.send('livery-download-progress', { eventId, ...progress });
+  }
+  
+  let fraction = null;
+  if ((progress.phase === 'download' || progress.phase === 'sync') && progress.totalBytes) {
+    fraction = progress.receivedBytes / progress.totalBytes;
+  } else if (progress.phase === 'extract' && progress.totalFiles) {
+    fraction = progress.processedFiles / progress.totalFiles;
+  }
+  
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    // Without a known size, show an indeterminate bar
+    mainWindow.setProgressBar(fraction === null ? 2 : fraction);
+  }
+  if (tray) {
+    const phaseLabel = { extract: 'Extracting', sync: 'Syncing' }[progress.phase] || 'Downloading';
+    const percentLabel = fraction === null ? '' : ` ${Math.round(fraction * 100)}%`;
+    tray.setToolTip(`Attrition Desktop App - ${phaseLabel} liveries for event ${eventId}${percentLabel}`);
+  }
+}
+
+// Clear the taskbar and tray progress once no livery download is running
+function clearLiveryProgress() {
+  if (activeLiveryDownloads.size > 0) {
+    return;
+  }
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.setProgressBar(-1);
+  }
+  updateTrayTooltip();
+}
+
+// Get a profile's session cookies for a server as a Cookie header value, by default the active profile's.
+// Returns an empty string when they can't be read, requests then go out unauthenticated.
+async function getSessionCookieString(baseUrl, profile = getActiveProfile()) {
+  try {
+    const cookies = await getProfileSession(profile).cookies.get({
+      url: baseUrl
+    });
+    
+    // Format cookies as a string
+    const cookieString = cookies.map(cookie => `${cookie.name}=${cookie.value}`).join('; ');
+    console.debug('Found session cookies for', baseUrl, cookieString ? 'Yes' : 'No');
+    return cookieString;
+  } catch (cookieError) {
+    console.warn('Failed to get session cookies:', cookieError.message);
+    // If we can't get cookies, proceed without them but log a warning
+    console.warn('Proceeding without authentication cookies - you may need to be logged in through the web interface');
+    return '';
+  }
+}
+
+// Get the active profile's livery directory, the ACC Customs folder. When none is configured
+// or it no longer exists, the user is asked to select one. Returns null when they cancel.
+async function resolveLiveryDirectory() {
+  const configured = getConfiguredLiveryDirectory();
+  if (configured && validateDirectory(configured)) {
+    console.log('Using configured livery directory:', configured);
+    return configured;
+  }
+  console.log(configured
+    ? 'Configured directory does not exist or is inaccessible, prompting user for selection'
+    : 'No configured livery directory found, prompting user for selection');
+  
+  // Use the existing selectDocumentsFolder function to handle user selection
+  const folderResult = await selectDocumentsFolder();
+  if (folderResult.canceled) {
+    return null;
+  }
+  console.log('Final target directory:', folderResult.path);
+  return folderResult.path;
+}
+
+// Download and install an event's liveries into the active profile's livery directory using native fetch.
+// Shared by the download-event-liveries IPC handler and attrition:// links.
+// Options: incremental (default true) syncs changed files only when the server offers a manifest,
+// removeStale deletes files the event no longer includes during an incremental sync.
+// The command line also passes targetDirectory and profile, used instead of the active profile's,
+// and onProgress, which gets the same progress updates as the page.
+async function installEventLiveries(eventId, baseUrl, options = {}, progressTarget = null) {
+  const abortController = new AbortController();
+  const onProgress = (progress) => {
+    reportLiveryProgress(progressTarget, eventId, progress);
+    if (options.onProgress) {
+      options.onProgress(progress);
+    }
+  };
+  
+  try {
+    // Validate inputs
+    if (!eventId || !baseUrl) {
+      throw new Error('Missing required parameters: eventId and baseUrl');
+    }
+    
+    if (activeLiveryDownloads.has(String(eventId))) {
+      throw new Error(`Liveries for event ${eventId} are already being downloaded`);
+    }
+    activeLiveryDownloads.set(String(eventId), abortController);
+
+    // Construct the livery download URL
+    const downloadUrl = `${baseUrl}/events/${eventId}/liveries`;
+    console.log('Attempting to download livery ZIP from:', downloadUrl);
+    
+    const customsDir = options.targetDirectory || await resolveLiveryDirectory();
+    if (!customsDir) {
+      throw new Error('No directory selected for liveries extraction');
+    }
+    console.log('Using target directory:', customsDir);
+    
+    // Ensure the target directory exists
+    fs.mkdirSync(customsDir, { recursive: true });
+    
+    // Create a temporary file for the ZIP
+    const tempDir = app.getPath('temp');
+    const zipFileName = `liveries_event_${eventId}.zip`;
+    const zipPath = path.join(tempDir, zipFileName);
+    
+    console.log('Temporary ZIP path:', zipPath);
+    
+    // Download the ZIP file with the session cookies of the active profile using native fetch
+    const cookieString = await getSessionCookieString(baseUrl, options.profile || getActiveProfile());
+    
+    // Prefer an incremental sync when the server publishes a file manifest for the event
+    if (options.incremental !== false) {
+      const remoteManifest = await fetchRemoteManifest(baseUrl, eventId, {
+        cookieString,
+        signal: abortController.signal
+      });
+      
+      if (remoteManifest) {
+        const { manifest, downloaded, removed, rejected, report } = await syncEventLiveries({
+          baseUrl,
+          eventId,
+          targetDirectory: customsDir,
+          remoteManifest,
+          cookieString,
+          removeStale: Boolean(options.removeStale),
+          signal: abortController.signal,
+          onProgress
+        });
+        
+        return {
+          success: true,
+          message: `Liveries synced to ${customsDir}: ${downloaded.length} updated, ${removed.length} removed`,
+          targetDirectory: customsDir,
+          fileCount: manifest.files.length,
+          downloaded,
+          removed,
+          rejected,
+          report
+        };
+      }
+      
+      console.log('No livery manifest offered by the server, falling back to the full ZIP download');
+    }
+    
+    // Download the ZIP file with retries, reporting progress to the renderer
+    await downloadFileWithRetry(downloadUrl, zipPath, {
+      cookieString,
+      signal: abortController.signal,
+      onProgress
+    });
+    console.log('ZIP file downloaded successfully to:', zipPath);
+    
+    // Extract the ZIP file
+    const extractDir = customsDir;
+    
+    try {
+      // Extract the archive and write a manifest of everything it installed
+      const { manifest, rejected, report } = await installLiveryArchive(zipPath, extractDir, {
+        eventId,
+        sourceUrl: downloadUrl,
+        signal: abortController.signal,
+        onProgress
+      });
+      
+      console.log('ZIP file extracted successfully to:', extractDir);
+      
+      // Clean up the temporary ZIP file
+      fs.unlinkSync(zipPath);
+      console.log('Temporary ZIP file cleaned up');
+      
+      return {
+        success: true,
+        message: rejected.length > 0
+          ? `Liveries extracted to ${extractDir}, ${rejected.length} unsafe or unexpected entries were skipped`
+          : `Liveries downloaded and extracted to ${extractDir}`,
+        targetDirectory: extractDir,
+        fileCount: manifest.files.length,
+        rejected,
+        report
+      };
+    } catch (extractionError) {
+      console.error('Error extracting ZIP file:', extractionError);
+      // Clean up the temporary ZIP file even if extraction fails
+      try {
+        fs.unlinkSync(zipPath);
+      } catch (cleanupError) {
+        console.error('Error cleaning up temporary file:', cleanupError);
+      }
+      if (extractionError.cancelled) {
+        throw extractionError;
+      }
+      throw new Error(`Failed to extract ZIP file: ${extractionError.message}`);
+    }
+  } catch (error) {
+    if (error.cancelled) {
+      console.log('Livery download cancelled for event:', eventId);
+      return {
+        success: false,
+        cancelled: true,
+        message: error.message
+      };
+    }
+    console.error('Error in download-event-liveries:', error);
+    return {
+      success: false,
+      message: error.message
+    };
+  } finally {
+    if (activeLiveryDownloads.get(String(eventId)) === abortController) {
+      activeLiveryDownloads.delete(String(eventId));
+    }
+    clearLiveryProgress();
+    refreshLiveriesWindow();
+  }
+}
+
+// Download an event's setup pack and install its setups into Setups/<car>/<track>/ next to
+// the active profile's Customs folder. Setups it replaces are kept as backups.
+async function installEventSetups(eventId, baseUrl) {
+  if (activeSetupInstalls.has(eventId)) {
+    return { success: false, message: `Setups for event ${eventId} are already being installed` };
+  }
+  activeSetupInstalls.add(eventId);
+  const zipPath = path.join(app.getPath('temp'), `setups_event_${eventId}.zip`);
+
+  try {
+    const customsDir = await resolveLiveryDirectory();
+    if (!customsDir) {
+      throw new Error('No directory selected for setup installation');
+    }
+    const setupsDir = getSetupsDirectory(customsDir);
+    console.log('Installing setups for event', eventId, 'into', setupsDir);
+
+    const cookieString = await getSessionCookieString(baseUrl);
+    await downloadFileWithRetry(`${baseUrl}/events/${eventId}/setups`, zipPath, { cookieString });
+
+    const result = await installSetupPack(zipPath, setupsDir);
+    if (result.installed.length === 0) {
+      throw new Error(`The setup pack contains no setups to install.\n${formatSetupReport(result)}`.trim());
+    }
+    const backedUp = result.installed.filter(setup => setup.backupFile).length;
+    return {
+      success: true,
+      message: backedUp > 0
+        ? `${result.installed.length} setups installed to ${setupsDir}, ${backedUp} existing setups were backed up`
+        : `${result.installed.length} setups installed to ${setupsDir}`,
+      targetDirectory: setupsDir,
+      installed: result.installed,
+      skipped: result.skipped,
+      report: formatSetupReport(result)
+    };
+  } catch (error) {
+    console.error('Error in download-event-setups:', error);
+    return {
+      success: false,
+      message: error.message
+    };
+  } finally {
+    activeSetupInstalls.delete(eventId);
+    fs.rmSync(zipPath, { force: true });
+  }
+}
+
+// Get the accServer/cfg folder to write server configs into, asking the user when none is
+// configured for the active profile, it no longer exists or chooseFolder is set.
+// Returns null when the user cancels.
+async function getServerConfigDirectory(chooseFolder = false) {
+  const configured = getConfiguredServerConfigDirectory();
+  if (configured && !chooseFolder && validateDirectory(configured)) {
+    console.log('Using configured server cfg directory:', configured);
+    return configured;
+  }
+
+  const parentWindow = mainWindow && !mainWindow.isDestroyed() && mainWindow.isVisible() ? mainWindow : null;
+  const dialogOptions = {
+    title: 'Select the accServer cfg Folder',
+    defaultPath: configured || undefined,
+    properties: ['openDirectory', 'createDirectory']
+  };
+  const result = parentWindow
+    ? await dialog.showOpenDialog(parentWindow, dialogOptions)
+    : await dialog.showOpenDialog(dialogOptions);
+  if (result.canceled || result.filePaths.length === 0) {
+    return null;
+  }
+
+  const directory = result.filePaths[0];
+  // The server writes configuration.json on its first start, a folder without it is probably the wrong one
+  if (!fs.existsSync(path.join(directory, 'configuration.json'))) {
+    const confirmOptions = {
+      type: 'warning',
+      title: 'Server Configuration',
+      message: 'This folder doesn\'t look like an ACC server cfg folder.',
+      detail: `${directory}\n\nIt has no configuration.json. Write the server configuration here anyway?`,
+      buttons: ['Use Folder', 'Cancel'],
+      defaultId: 1,
+      cancelId: 1
+    };
+    const response = parentWindow
+      ? await dialog.showMessageBox(parentWindow, confirmOptions)
+      : await dialog.showMessageBox(confirmOptions);
+    if (response.response !== 0) {
+      return null;
+    }
+  }
+
+  saveConfiguredServerConfigDirectory(directory);
+  return directory;
+}
+
+// Show the changes a server config would make to existing files and wait for the user's answer.
+// Resolves to true when the files should be written.
+function previewServerConfigChanges(directory, files, warnings) {
+  if (serverConfigPreview) {
+    serverConfigPreview.window.focus();
+    return Promise.reject(new Error('Another server configuration is waiting for confirmation'));
+  }
+
+  return new Promise((resolve) => {
+    const parentWindow = mainWindow && !mainWindow.isDestroyed() && mainWindow.isVisible() ? mainWindow : null;
+    const window = new BrowserWindow({
+      width: 800,
+      height: 700,
+      parent: parentWindow || undefined,
+      modal: Boolean(parentWindow),
+      webPreferences: {
+        preload: path.join(__dirname, 'serverConfigPreviewPreload.js'),
+        nodeIntegration: false,
+        contextIsolation: true,
+        sandbox: true
+      },
+    });
+    serverConfigPreview = { window, directory, files, warnings, resolve };
+
+    // The window only ever shows the bundled page
+    window.webContents.on('will-navigate', (event) => event.preventDefault());
+    window.webContents.setWindowOpenHandler(() => ({ action: 'deny' }));
+    window.loadFile('serverConfigPreview.html');
+    window.on('closed', () => {
+      // Closing the window without answering cancels
+      if (serverConfigPreview && serverConfigPreview.window === window) {
+        serverConfigPreview = null;
+        resolve(false);
+      }
+    });
+  });
+}
+
+// Fetch an event's server definition and write the dedicated server config files for it.
+// Existing files are only replaced after the user confirmed the changes in a preview.
+async function generateServerConfig(eventId, baseUrl, { chooseFolder = false } = {}) {
+  try {
+    const cookieString = await getSessionCookieString(baseUrl);
+    const definition = await fetchServerConfigDefinition(baseUrl, eventId, { cookieString });
+
+    const directory = await getServerConfigDirectory(chooseFolder);
+    if (!directory) {
+      return { success: false, cancelled: true, message: 'No server cfg folder selected' };
+    }
+
+    const { files, errors, warnings } = renderServerConfig(definition, directory);
+    if (errors.length > 0) {
+      return {
+        success: false,
+        message: `The server configuration of event ${eventId} is incomplete`,
+        errors,
+        warnings
+      };
+    }
+
+    if (files.some(file => file.status === 'changed')) {
+      const confirmed = await previewServerConfigChanges(directory, files, warnings);
+      if (!confirmed) {
+        return { success: false, cancelled: true, message: 'Server configuration was not written' };
+      }
+    }
+
+    const written = writeServerConfigFiles(directory, files, writeFileAtomic);
+    console.log('Server configuration written to:', directory, written);
+    return {
+      success: true,
+      message: written.length > 0
+        ? `Server configuration written to ${directory}`
+        : `Server configuration in ${directory} is already up to date`,
+      targetDirectory: directory,
+      files: written,
+      warnings
+    };
+  } catch (error) {
+    console.error('Error in generate-server-config:', error);
+    return {
+      success: false,
+      message: error.message
+    };
+  }
+}
+
+// Check a car and its livery in the Customs folder, package them and upload them to an event
+async function submitLivery(eventId, baseUrl, carFile) {
+  try {
+    const customsDir = await resolveLiveryDirectory();
+    if (!customsDir) {
+      throw new Error('No livery directory selected');
+    }
+    
+    const { car, files, errors, warnings } = validateLiverySubmission(customsDir, carFile);
+    if (errors.length > 0) {
+      return {
+        success: false,
+        message: `${carFile} is not ready to submit`,
+        errors,
+        warnings
+      };
+    }
+    
+    const archive = packageLivery(customsDir, files);
+    console.log(`Submitting livery ${car.customSkinName || carFile} to event ${eventId}: ${files.length} files, ${archive.length} bytes`);
+    const cookieString = await getSessionCookieString(baseUrl);
+    const response = await uploadLivery(baseUrl, eventId, car, archive, {
+      cookieString,
+      signal: AbortSignal.timeout(5 * 60 * 1000)
+    });
+    
+    return {
+      success: true,
+      message: response.message || `Livery ${car.customSkinName || carFile} submitted to event ${eventId}`,
+      files,
+      warnings
+    };
+  } catch (error) {
+    console.error('Error in submit-livery:', error);
+    return {
+      success: false,
+      message: error.message
+    };
+  }
+}
+
+// Initialize the app
+function initializeApp() {
+  console.log('Initializing app');
+  
+  // Set up IPC handlers
+  handleConfigRequest('get-saved-url', async () => {
+    console.log('IPC get-saved-url called');
+    return readSavedUrl();
+  });
+
+  handleConfigRequest('get-saved-config', async () => {
+    console.log('IPC get-saved-config called');
+    return readSavedConfig();
+  });
+
+  handleConfigRequest('save-url', async (event, url) => {
     console.log('IPC save-url called with:', url);
     const success = saveUrl(url);
     if (success && mainWindow) {
@@ -337,9 +2543,35 @@ function initializeApp() {
     return success;
   });
 
-  ipcMain.handle('save-config', async (event, config) => {
-    console.log('IPC save-config called with:', config);
-    const success = saveConfig(config);
+  handleConfigRequest('save-config', async (event, config) => {
+    console.debug('IPC save-config called with:', config);
+    // Server URL and livery folder belong to the active profile, everything else is app-wide
+    const { url, documentsFolder, liveryDirectory, ...appSettings } = config;
+    if (appSettings.navigationAllowlist !== undefined) {
+      appSettings.navigationAllowlist = normalizeAllowlist(appSettings.navigationAllowlist);
+    }
+    if (appSettings.notifications !== undefined) {
+      appSettings.notifications = {
+        ...readSavedConfig().notifications,
+        ...appSettings.notifications,
+        offsets: parseReminderOffsets(appSettings.notifications.offsets)
+      };
+    }
+    if (appSettings.liveTiming !== undefined) {
+      appSettings.liveTiming = { ...readSavedConfig().liveTiming, ...appSettings.liveTiming };
+    }
+    // A livery folder left out keeps the profile's folder, like the URL
+    const newLiveryDirectory = liveryDirectory || documentsFolder;
+    const success = saveConfig({ ...readSavedConfig(), ...appSettings }) &&
+      updateActiveProfile({
+        ...(url ? { url } : {}),
+        ...(newLiveryDirectory ? { liveryDirectory: newLiveryDirectory } : {})
+      });
+    if (success) {
+      // Reconnect with the new settings, the game folder may have changed too
+      stopLiveTiming();
+      startLiveTiming();
+    }
     if (success && mainWindow) {
       // Reload the main window with the new URL if it exists
       const savedUrl = readSavedUrl();
@@ -350,26 +2582,14 @@ function initializeApp() {
   });
 
   // Handle config saved event - close config and reload main window
-  ipcMain.handle('config-saved', async (event, url) => {
+  handleConfigRequest('config-saved', async (event, url) => {
     console.log('IPC config-saved called with:', url);
-    // Instead of just saving URL, we should merge with existing config to preserve documentsFolder
-    const existingConfig = readSavedConfig();
-    existingConfig.url = url;
-    
-    // Save the complete configuration to ensure both URL and documentsFolder are preserved
-    const success = saveConfig(existingConfig);
+    // Only the URL of the active profile changes, the rest of the configuration is preserved
+    const success = updateActiveProfile({ url });
     if (success) {
       console.log('Config saved successfully, processing next steps');
-      // If we have a main window, reload it with the new URL
-      if (mainWindow) {
-        const savedUrl = readSavedUrl();
-        console.log('Reloading main window with URL:', savedUrl);
-        mainWindow.loadURL(savedUrl);
-      } else {
-        console.log('No main window exists yet, creating one');
-        // If no main window exists yet, create it
-        createMainWindow();
-      }
+      // Reload the main window with the new URL, or create it if it doesn't exist yet
+      refreshActiveProfile();
       
       // Close the config window if it exists
       if (configWindow) {
@@ -382,301 +2602,476 @@ function initializeApp() {
     return success;
   });
 
-  // Handle documents folder selection
-  ipcMain.handle('select-documents-folder', async () => {
-    console.log('IPC select-documents-folder called');
-    const result = await selectDocumentsFolder();
-    
-    // If user selected a directory, save it to configuration for future use
-    if (result && !result.canceled) {
-      // Save the documents folder path as part of complete configuration
-      const config = readSavedConfig();
-      config.documentsFolder = result.path;
-      saveConfig(config);
+  // Handle documents folder selection
+  handleConfigRequest('select-documents-folder', async (event, options = {}) => {
+    console.log('IPC select-documents-folder called');
+    const result = await selectDocumentsFolder();
+    
+    // If user selected a directory, save it to the active profile for future use,
+    // unless the folder is picked for a profile that doesn't exist yet
+    if (result && !result.canceled && options.saveToActiveProfile !== false) {
+      updateActiveProfile({ liveryDirectory: result.path });
+    }
+    
+    return result;
+  });
+
+  // Handle discovery of ACC Documents folders for first-run setup
+  handleConfigRequest('get-documents-folder-candidates', async () => {
+    console.log('IPC get-documents-folder-candidates called');
+    return findDocumentsFolderCandidates().map(candidate => ({
+      ...candidate,
+      label: getCandidateLabel(candidate)
+    }));
+  });
+
+  // Handle listing of server profiles
+  handleConfigRequest('get-profiles', async () => {
+    console.log('IPC get-profiles called');
+    return {
+      profiles: getProfiles(),
+      activeProfile: getActiveProfile().name
+    };
+  });
+
+  // Handle creation of a new server profile, which becomes the active one
+  handleConfigRequest('create-profile', async (event, profile) => {
+    console.log('IPC create-profile called with:', profile && profile.name);
+    try {
+      const created = createProfile(profile);
+      setActiveProfile(created.name);
+      refreshActiveProfile();
+      if (configWindow) {
+        configWindow.close();
+      }
+      return { success: true, profile: created };
+    } catch (error) {
+      console.error('Error creating profile:', error);
+      return { success: false, message: error.message };
+    }
+  });
+
+  // Handle switching between server profiles
+  handleConfigRequest('switch-profile', async (event, name) => {
+    console.log('IPC switch-profile called with:', name);
+    try {
+      setActiveProfile(name);
+      refreshActiveProfile();
+      return { success: true };
+    } catch (error) {
+      console.error('Error switching profile:', error);
+      return { success: false, message: error.message };
+    }
+  });
+
+  // Handle config reset - clear all saved configuration and restart
+  handleConfigRequest('reset-config', async (event) => {
+    console.log('IPC reset-config called, clearing all saved configuration');
+    
+    try {
+      const configPath = getConfigPath();
+      if (fs.existsSync(configPath)) {
+        fs.unlinkSync(configPath);
+        console.log('Configuration file cleared successfully');
+      }
+      
+      // Close any existing windows
+      if (mainWindow) {
+        mainWindow.close();
+        mainWindow = null;
+      }
+      if (configWindow) {
+        configWindow.close();
+        configWindow = null;
+      }
+      
+      // Clear all windows and restart
+      console.log('Relaunching application after reset');
+      app.relaunch();
+      app.exit(0);
+      
+      return { success: true, message: 'Configuration reset successfully' };
+    } catch (error) {
+      console.error('Error resetting configuration:', error);
+      return { 
+        success: false, 
+        message: `Failed to reset configuration: ${error.message}` 
+      };
+    }
+  });
+
+  // Handle reading every setting for the settings window
+  handleSettingsRequest('get-settings', async () => {
+    return getSettings();
+  });
+
+  // Handle a change made in the settings window
+  handleSettingsRequest('update-setting', async (event, key, value) => {
+    try {
+      await applySetting(key, value);
+      return { success: true, settings: getSettings() };
+    } catch (error) {
+      console.error(`Error changing setting ${key}:`, error);
+      return { success: false, message: error.message };
+    }
+  });
+
+  // Handle checking a server URL while it is typed into the settings window
+  handleSettingsRequest('check-server-url', async (event, url) => {
+    return checkServerUrl(String(url), { fetchSession: getProfileSession(getActiveProfile()) });
+  });
+
+  // Handle choosing the Customs folder from the settings window
+  handleSettingsRequest('select-settings-livery-directory', async () => {
+    const result = await selectDocumentsFolder();
+    if (!result.canceled) {
+      applyLiveryDirectory(result.path);
+    }
+    return !result.canceled;
+  });
+
+  // Handle minimize to tray preference saving
+  handleConfigRequest('save-minimize-to-tray-preference', async (event, shouldMinimize) => {
+    console.log('IPC save-minimize-to-tray-preference called with:', shouldMinimize);
+    return saveMinimizeToTrayPreference(shouldMinimize);
+  });
+
+  // Handle livery download and extraction with authentication.
+  // Liveries are always fetched from the server the requesting page belongs to.
+  handlePageRequest('download-event-liveries', async (event, eventId, baseUrl, options = {}) => {
+    console.log('IPC download-event-liveries called for event:', eventId);
+    const senderOrigin = new URL(event.senderFrame.url).origin;
+    if (baseUrl && getOrigin(baseUrl) !== senderOrigin) {
+      throw new Error(`Liveries can only be downloaded from ${senderOrigin}`);
+    }
+    const { incremental, removeStale } = options || {};
+    return installEventLiveries(checkEventId(eventId), senderOrigin, {
+      ...(typeof incremental === 'boolean' ? { incremental } : {}),
+      ...(typeof removeStale === 'boolean' ? { removeStale } : {})
+    }, event.sender);
+  });
+
+  // Handle installation of an event's setup pack, fetched from the server the requesting page belongs to
+  handlePageRequest('download-event-setups', async (event, eventId, baseUrl) => {
+    console.log('IPC download-event-setups called for event:', eventId);
+    const senderOrigin = new URL(event.senderFrame.url).origin;
+    if (baseUrl && getOrigin(baseUrl) !== senderOrigin) {
+      throw new Error(`Setups can only be downloaded from ${senderOrigin}`);
+    }
+    return installEventSetups(checkEventId(eventId), senderOrigin);
+  });
+
+  // Handle generation of dedicated server config files for an event.
+  // Like liveries, the event is always fetched from the server the requesting page belongs to.
+  handlePageRequest('generate-server-config', async (event, eventId, options = {}) => {
+    console.log('IPC generate-server-config called for event:', eventId);
+    const senderOrigin = new URL(event.senderFrame.url).origin;
+    const { chooseFolder } = options || {};
+    return generateServerConfig(checkEventId(eventId), senderOrigin, {
+      chooseFolder: chooseFolder === true
+    });
+  });
+
+  // Handle the server config preview window
+  ipcMain.handle('get-server-config-preview', async (event) => {
+    checkServerConfigPreviewSender(event, 'get-server-config-preview');
+    const { directory, files, warnings } = serverConfigPreview;
+    return {
+      directory,
+      warnings,
+      files: files.map(file => ({
+        fileName: file.fileName,
+        status: file.status,
+        diff: file.status === 'changed' ? diffLines(file.currentText, file.text) : null,
+        text: file.status === 'new' ? file.text : null
+      }))
+    };
+  });
+
+  ipcMain.handle('respond-server-config-preview', async (event, confirmed) => {
+    checkServerConfigPreviewSender(event, 'respond-server-config-preview');
+    const { window, resolve } = serverConfigPreview;
+    serverConfigPreview = null;
+    resolve(confirmed === true);
+    window.close();
+  });
+
+  // Handle listing of the cars in the Customs folder, for choosing a livery to submit
+  handlePageRequest('list-local-cars', async () => {
+    console.log('IPC list-local-cars called');
+    const customsDir = await resolveLiveryDirectory();
+    if (!customsDir) {
+      return { success: false, message: 'No livery directory selected', cars: [] };
+    }
+    return { success: true, cars: listLocalCars(customsDir) };
+  });
+
+  // Handle checking a car's livery before it is submitted
+  handlePageRequest('check-livery-submission', async (event, carFile) => {
+    console.log('IPC check-livery-submission called for:', carFile);
+    const customsDir = await resolveLiveryDirectory();
+    if (!customsDir) {
+      return { success: false, message: 'No livery directory selected', errors: [], warnings: [] };
+    }
+    const { car, files, errors, warnings } = validateLiverySubmission(customsDir, checkCarFileName(carFile));
+    return { success: errors.length === 0, car, files, errors, warnings };
+  });
+
+  // Handle submission of a local livery to an event.
+  // Like downloads, liveries are always sent to the server the requesting page belongs to.
+  handlePageRequest('submit-livery', async (event, eventId, carFile) => {
+    console.log('IPC submit-livery called for event:', eventId, carFile);
+    const senderOrigin = new URL(event.senderFrame.url).origin;
+    return submitLivery(checkEventId(eventId), senderOrigin, checkCarFileName(carFile));
+  });
+
+  // Handle the liveries window
+  handleLiveriesWindowRequest('get-local-liveries', async () => {
+    const customsDir = getLiveriesWindowDirectory();
+    if (!customsDir) {
+      return { directory: null, cars: [], orphanedFolders: [] };
+    }
+    return { directory: customsDir, ...scanCustomsFolder(customsDir, readAllManifests()) };
+  });
+
+  handleLiveriesWindowRequest('get-livery-thumbnail', async (event, folderName) => {
+    const customsDir = getLiveriesWindowDirectory();
+    if (!customsDir) {
+      return null;
+    }
+    try {
+      return getLiveryThumbnail(customsDir, folderName);
+    } catch (error) {
+      console.warn('Cannot make livery thumbnail:', folderName, error.message);
+      return null;
+    }
+  });
+
+  handleLiveriesWindowRequest('delete-local-livery', async (event, target) => {
+    const customsDir = getLiveriesWindowDirectory();
+    if (!customsDir) {
+      throw new Error('No livery directory configured');
+    }
+    const { carFile, folderName } = target || {};
+    return deleteLocalLivery(customsDir, carFile ? { carFile: checkCarFileName(carFile) } : { folderName });
+  });
+
+  handleLiveriesWindowRequest('reveal-local-livery', async (event, target) => {
+    const customsDir = getLiveriesWindowDirectory();
+    if (!customsDir) {
+      throw new Error('No livery directory configured');
+    }
+    const { carFile, folderName } = target || {};
+    shell.showItemInFolder(carFile
+      ? path.join(customsDir, 'Cars', checkCarFileName(carFile))
+      : path.join(customsDir, 'Liveries', checkLiveryFolderName(folderName)));
+  });
+
+  // Reinstall goes through the same flow as the tray, from the server that installed the event
+  handleLiveriesWindowRequest('reinstall-event-liveries', async (event, eventId) => {
+    const manifest = readManifest(checkEventId(eventId));
+    if (!manifest) {
+      throw new Error(`No liveries installed for event ${eventId}`);
+    }
+    await installLiveriesWithDialog(String(manifest.eventId), new URL(manifest.sourceUrl).origin);
+    refreshLiveriesWindow();
+  });
+
+  handleLiveriesWindowRequest('select-livery-directory', async () => {
+    const result = await selectDocumentsFolder();
+    if (!result.canceled) {
+      applyLiveryDirectory(result.path);
+    }
+    return !result.canceled;
+  });
+
+  // Handle listing of the saved replays in the ACC folder
+  handlePageRequest('list-replays', async () => {
+    console.log('IPC list-replays called');
+    const customsDir = await resolveLiveryDirectory();
+    if (!customsDir) {
+      return { success: false, message: 'No ACC folder selected', replays: [] };
+    }
+    const replayDir = getReplayDirectory(customsDir);
+    return { success: true, directory: replayDir, replays: listReplays(replayDir) };
+  });
+
+  // Handle replay uploads to a protest or incident on the server the page belongs to
+  handlePageRequest('upload-replay', async (event, fileName, target) => {
+    console.log('IPC upload-replay called for:', fileName, target);
+    return startReplayUpload(checkReplayFileName(fileName), checkUploadTarget(target));
+  });
+
+  handlePageRequest('list-replay-uploads', async () => {
+    return getReplayUploadState().uploads.map(describeReplayUpload);
+  });
+
+  handlePageRequest('cancel-replay-upload', async (event, id) => {
+    console.log('IPC cancel-replay-upload called for:', id);
+    return cancelReplayUpload(String(id));
+  });
+
+  handlePageRequest('retry-replay-upload', async (event, id) => {
+    console.log('IPC retry-replay-upload called for:', id);
+    const upload = getReplayUploadState().uploads.find(candidate => candidate.id === String(id));
+    if (!upload || upload.status === 'complete') {
+      return false;
+    }
+    runReplayUpload(upload);
+    return true;
+  });
+
+  // Handle cancellation of a running livery download or extraction
+  handlePageRequest('cancel-livery-download', async (event, eventId) => {
+    console.log('IPC cancel-livery-download called for event:', eventId);
+    checkEventId(eventId);
+    const abortController = activeLiveryDownloads.get(String(eventId));
+    if (!abortController) {
+      return { success: false, message: `No livery download running for event ${eventId}` };
+    }
+    abortController.abort();
+    return { success: true, message: `Cancelling livery download for event ${eventId}` };
+  });
+
+  // Handle error page actions
+  handleErrorPageRequest('get-reconnect-status', async () => {
+    return getReconnectStatus();
+  });
+
+  handleErrorPageRequest('retry-connection', async () => {
+    console.log('IPC retry-connection called');
+    retryFailedLoad();
+  });
+
+  // The error page asks for an immediate check when the system reports the network is back
+  handleErrorPageRequest('check-connection', async () => {
+    console.log('IPC check-connection called');
+    checkConnection();
+  });
+
+  handleErrorPageRequest('open-settings', async () => {
+    console.log('IPC open-settings called');
+    createSettingsWindow();
+  });
+
+  handleErrorPageRequest('get-server-profiles', async () => {
+    const config = readSavedConfig();
+    return {
+      profiles: getProfiles(config).map(profile => ({ name: profile.name, url: profile.url })),
+      activeProfile: getActiveProfile(config).name
+    };
+  });
+
+  handleErrorPageRequest('switch-server-profile', async (event, name) => {
+    console.log('IPC switch-server-profile called with:', name);
+    if (typeof name !== 'string') {
+      throw new Error('Invalid profile name');
+    }
+    switchProfile(name);
+  });
+
+  // Check right away when the computer wakes up instead of waiting for the next attempt
+  powerMonitor.on('resume', () => {
+    if (failedLoad) {
+      console.log('System resumed, checking connection');
+      checkConnection();
+    }
+  });
+
+  // Handle upcoming events pushed by the league page, e.g. right after the user registers,
+  // so reminders don't wait for the next refresh
+  handlePageRequest('set-upcoming-events', async (event, events) => {
+    if (!Array.isArray(events)) {
+      throw new Error('events must be an array');
+    }
+    const origin = new URL(event.senderFrame.url).origin;
+    upcomingEventsState.pushedEvents = normalizeEvents(events, origin, 100);
+    console.log('League page pushed upcoming events:', upcomingEventsState.pushedEvents.length);
+    saveKnownEvents();
+    updateTrayMenu();
+    updateTrayTooltip();
+    checkEventReminders();
+    return upcomingEventsState.pushedEvents.length;
+  });
+
+  // Handle live timing requests from the league page
+  handlePageRequest('get-live-timing', async () => {
+    return getLiveTimingSnapshot(liveTimingState);
+  });
+
+  // Handle app information requests from the league page
+  handlePageRequest('get-app-info', async () => {
+    console.log('IPC get-app-info called');
+    return {
+      version: packageVersion,
+      electronVersion: process.versions.electron,
+      platform: process.platform,
+      profile: getActiveProfile().name
+    };
+  });
+
+  // Handle version checks from the league page
+  handlePageRequest('check-for-updates', async () => {
+    console.log('IPC check-for-updates called');
+    return await checkForUpdates();
+  });
+
+  // Download the latest update for installation on quit, for the page's own update prompt
+  handlePageRequest('download-update', async () => {
+    console.log('IPC download-update called');
+    const update = await checkForUpdates();
+    if (update.error) {
+      return { success: false, message: update.error };
     }
-    
-    return result;
+    if (!update.isUpdateAvailable) {
+      return { success: false, message: `Attrition Desktop ${update.currentVersion} is up to date` };
+    }
+    return downloadUpdateForQuit(update);
   });
 
-  // Handle config reset - clear all saved configuration and restart
-  ipcMain.handle('reset-config', async (event) => {
-    console.log('IPC reset-config called, clearing all saved configuration');
-    
+  // Handle listing of events whose liveries are installed
+  handlePageRequest('list-installed-liveries', async () => {
+    console.log('IPC list-installed-liveries called');
     try {
-      const configPath = getConfigPath();
-      if (fs.existsSync(configPath)) {
-        fs.unlinkSync(configPath);
-        console.log('Configuration file cleared successfully');
-      }
-      
-      // Close any existing windows
-      if (mainWindow) {
-        mainWindow.close();
-        mainWindow = null;
-      }
-      if (configWindow) {
-        configWindow.close();
-        configWindow = null;
-      }
-      
-      // Clear all windows and restart
-      console.log('Relaunching application after reset');
-      app.relaunch();
-      app.exit(0);
-      
-      return { success: true, message: 'Configuration reset successfully' };
+      return { success: true, events: listInstalledEvents() };
     } catch (error) {
-      console.error('Error resetting configuration:', error);
-      return { 
-        success: false, 
-        message: `Failed to reset configuration: ${error.message}` 
-      };
+      console.error('Error listing installed liveries:', error);
+      return { success: false, message: error.message };
     }
   });
 
-  // Handle minimize to tray preference saving
-  ipcMain.handle('save-minimize-to-tray-preference', async (event, shouldMinimize) => {
-    console.log('IPC save-minimize-to-tray-preference called with:', shouldMinimize);
-    return saveMinimizeToTrayPreference(shouldMinimize);
-  });
-
-  // Handle link clicked events - always open in same window
-  ipcMain.handle('link-clicked', async (event, url) => {
-    console.log('IPC link-clicked called with URL:', url);
-    if (mainWindow && !mainWindow.isDestroyed()) {
-      try {
-        mainWindow.loadURL(url);
-        return { success: true, message: 'Link loaded in same window' };
-      } catch (error) {
-        console.error('Error loading URL in main window:', error);
-        return { 
-          success: false, 
-          message: `Failed to load URL: ${error.message}` 
-        };
-      }
-    } else {
-      console.error('Main window not available for link navigation');
-      return { 
-        success: false, 
-        message: 'Main window not available' 
+  // Handle removal of the liveries installed by a single event
+  handlePageRequest('uninstall-event-liveries', async (event, eventId) => {
+    console.log('IPC uninstall-event-liveries called for event:', eventId);
+    checkEventId(eventId);
+    try {
+      const result = await uninstallEvent(eventId);
+      refreshLiveriesWindow();
+      return {
+        success: true,
+        message: `Removed ${result.removed.length} files installed by event ${eventId}`,
+        ...result
       };
+    } catch (error) {
+      console.error('Error uninstalling event liveries:', error);
+      return { success: false, message: error.message };
     }
   });
 
-  // Handle livery download and extraction with authentication using native fetch
-  ipcMain.handle('download-event-liveries', async (event, eventId, baseUrl) => {
-    console.log('IPC download-event-liveries called for event:', eventId);
-    
+  // Handle rollback to the files that existed before the last livery install
+  handlePageRequest('rollback-livery-install', async () => {
+    console.log('IPC rollback-livery-install called');
     try {
-      // Validate inputs
-      if (!eventId || !baseUrl) {
-        throw new Error('Missing required parameters: eventId and baseUrl');
-      }
-
-      // Construct the livery download URL
-      const downloadUrl = `${baseUrl}/events/${eventId}/liveries`;
-      console.log('Attempting to download livery ZIP from:', downloadUrl);
-      
-      // First check if we have a configured livery directory
-      let documentsDir = getConfiguredLiveryDirectory() ;
-      
-      // If no configured directory, prompt user for selection (no auto-detection)
-      if (!documentsDir) {
-        console.log('No configured livery directory found, prompting user for selection');
-        
-        // Use the existing selectDocumentsFolder function to handle user selection
-        const folderResult = await selectDocumentsFolder();
-        
-        if (folderResult.canceled) {
-          throw new Error('No directory selected for liveries extraction');
-        }
-        
-        documentsDir = folderResult.path;
-        console.log('Final target directory:', documentsDir);
-      } else {
-        console.log('Using configured target directory:', documentsDir);
-        // Validate that the configured directory still exists
-        if (!validateDirectory(documentsDir)) {
-          console.log('Configured directory does not exist or is inaccessible, prompting user for selection');
-          
-          // Use the existing selectDocumentsFolder function to handle user selection
-          const folderResult = await selectDocumentsFolder();
-          
-          if (folderResult.canceled) {
-            throw new Error('No directory selected for liveries extraction');
-          }
-          
-          documentsDir = folderResult.path;
-          console.log('Final target directory:', documentsDir);
-        }
-      }
-      
-      customsDir = documentsDir
-      console.log('Using target directory:', customsDir);
-      
-      // Ensure the target directory exists
-      fs.mkdirSync(customsDir, { recursive: true });
-      
-      // Create a temporary file for the ZIP
-      const tempDir = app.getPath('temp');
-      const zipFileName = `liveries_event_${eventId}.zip`;
-      const zipPath = path.join(tempDir, zipFileName);
-      
-      console.log('Temporary ZIP path:', zipPath);
-      
-      // Download the ZIP file with session cookies from main window using native fetch
-      let cookieString = '';
-      if (mainWindow && !mainWindow.isDestroyed()) {
-        try {
-          const cookies = await mainWindow.webContents.session.cookies.get({
-            url: baseUrl
-          });
-          
-          // Format cookies as a string
-          cookieString = cookies.map(cookie => `${cookie.name}=${cookie.value}`).join('; ');
-          console.log('Found session cookies for download:', cookieString ? 'Yes' : 'No');
-        } catch (cookieError) {
-          console.warn('Failed to get session cookies:', cookieError.message);
-          // If we can't get cookies, proceed without them but log a warning
-          console.warn('Proceeding without authentication cookies - you may need to be logged in through the web interface');
-        }
-      }
-      
-      // Download the ZIP file with retry logic and proper error handling
-      const downloadFileWithRetry = async (url, destPath, maxRetries = 3) => {
-        for (let attempt = 1; attempt <= maxRetries; attempt++) {
-          try {
-            console.log(`Attempt ${attempt} to download from: ${url}`);
-            
-            // Create fetch options with proper headers and timeout
-            const fetchOptions = {
-              method: 'GET',
-              headers: {
-                'User-Agent': 'Attrition Desktop App/1.0',
-                'Accept': '*/*',
-                // Include session cookies if we have them
-                ...(cookieString && cookieString.length > 0 ? { 'Cookie': cookieString } : {}),
-              },
-              // Set timeouts for better connection handling
-              signal: AbortSignal.timeout(60000) // 60 second timeout
-            };
-            
-            const response = await fetch(url, fetchOptions);
-            
-            // Handle HTTP errors
-            if (!response.ok) {
-              if (response.status === 401 || response.status === 403) {
-                throw new Error(`Authentication required: ${response.status} ${response.statusText}. Please ensure you're logged into the web application.`);
-              }
-              if (response.status === 404) {
-                throw new Error(`File not found: ${response.status} ${response.statusText}`);
-              }
-              throw new Error(`Failed to download: ${response.status} ${response.statusText}`);
-            }
-            
-            // Check content type
-            const contentType = response.headers.get('content-type') || '';
-            const contentLength = response.headers.get('content-length');
-            
-            // If we're getting HTML content instead of ZIP, it's likely an auth error page
-            if (contentType.includes('text/html') && contentLength && parseInt(contentLength) > 1000) {
-              console.log(`Warning: Received HTML content instead of ZIP file. Content-Type: ${contentType}, Length: ${contentLength}`);
-              
-              const text = await response.text();
-              if (text.includes('redirect') || text.includes('login') || text.includes('401') || text.includes('403') || text.includes('Unauthorized')) {
-                throw new Error(`Authentication required or access denied. Received HTML page instead of ZIP file. Please ensure you're logged into the web application.`);
-              } else if (text.includes('<html') && text.includes('<title>') && text.includes('Home')) {
-                // This looks like a homepage redirect
-                throw new Error(`Failed to download ZIP: Server returned homepage instead of livery archive. This typically means you need to be logged into the web application.`);
-              } else {
-                throw new Error(`Failed to download ZIP: Received HTML content instead of ZIP file. Status: ${response.status}`);
-              }
-            }
-            
-            // Stream the response to file
-            const fileStream = fs.createWriteStream(destPath);
-            
-            // Convert the body stream to a Node.js stream
-            const reader = response.body.getReader();
-            const writer = fileStream;
-            
-            // Read and write in chunks
-            const pump = async () => {
-              while (true) {
-                const { done, value } = await reader.read();
-                if (done) break;
-                
-                if (!writer.write(value)) {
-                  // Pause reading if the stream is full
-                  await new Promise(resolve => writer.once('drain', resolve));
-                }
-              }
-              writer.end();
-            };
-            
-            await pump();
-            
-            return destPath;
-            
-          } catch (error) {
-            console.error(`Attempt ${attempt} failed:`, error.message);
-            
-            // If this was the last attempt, rethrow the error
-            if (attempt === maxRetries) {
-              throw new Error(`Failed to download after ${maxRetries} attempts: ${error.message}`);
-            }
-            
-            // Wait before retrying (exponential backoff)
-            const delay = Math.pow(2, attempt) * 1000; // 1s, 2s, 4s
-            console.log(`Waiting ${delay}ms before retry...`);
-            await new Promise(resolve => setTimeout(resolve, delay));
-          }
-        }
-      };
-      
-      // Download the ZIP file with retries
-      await downloadFileWithRetry(downloadUrl, zipPath);
-      console.log('ZIP file downloaded successfully to:', zipPath);
-      
-      // Extract the ZIP file
-      const extractDir = customsDir;
-      
-      try {
-        // Use unzipper to extract
-        const directory = fs.createReadStream(zipPath).pipe(unzipper.Extract({ path: extractDir }));
-        
-        await new Promise((resolve, reject) => {
-          directory.on('close', resolve);
-          directory.on('error', reject);
-        });
-        
-        console.log('ZIP file extracted successfully to:', extractDir);
-        
-        // Clean up the temporary ZIP file
-        fs.unlinkSync(zipPath);
-        console.log('Temporary ZIP file cleaned up');
-        
-        return {
-          success: true,
-          message: `Liveries downloaded and extracted to ${extractDir}`,
-          targetDirectory: extractDir
-        };
-      } catch (extractionError) {
-        console.error('Error extracting ZIP file:', extractionError);
-        // Clean up the temporary ZIP file even if extraction fails
-        try {
-          fs.unlinkSync(zipPath);
-        } catch (cleanupError) {
-          console.error('Error cleaning up temporary file:', cleanupError);
-        }
-        throw new Error(`Failed to extract ZIP file: ${extractionError.message}`);
-      }
-    } catch (error) {
-      console.error('Error in download-event-liveries:', error);
+      const result = rollbackLastInstall();
+      refreshLiveriesWindow();
       return {
-        success: false,
-        message: error.message
+        success: true,
+        message: `Rolled back liveries of event ${result.eventId}`,
+        ...result
       };
+    } catch (error) {
+      console.error('Error rolling back livery install:', error);
+      return { success: false, message: error.message };
     }
   });
 
@@ -697,6 +3092,142 @@ function initializeApp() {
   console.log('App initialized, main windows count:', BrowserWindow.getAllWindows().length);
 }
 
+// Delete the configuration file, the app then starts with the first-run setup
+function resetConfig() {
+  const configPath = getConfigPath();
+  if (fs.existsSync(configPath)) {
+    fs.unlinkSync(configPath);
+    console.log('Configuration file cleared successfully');
+  }
+}
+
+// Apply the command line flags of a normal start before any window opens
+function applyCommandLine() {
+  if (commandLine.resetConfig) {
+    resetConfig();
+  }
+  if (commandLine.profile) {
+    try {
+      setActiveProfile(commandLine.profile);
+    } catch (error) {
+      console.error('Error applying --profile:', error.message);
+      dialog.showErrorBox('Unknown Profile', `${error.message}. Starting with the profile "${getActiveProfile().name}".`);
+    }
+  }
+  if (commandLine.server) {
+    console.log('Using server from the command line:', commandLine.server);
+    selectProfileForServer(commandLine.server);
+  }
+  startMinimized = commandLine.minimized;
+}
+
+// Make the profile of a server given with --server active, creating one when no profile uses that server.
+// Existing profiles keep their URL, so a scripted launch never repoints a profile others rely on.
+function selectProfileForServer(url) {
+  const getOrigin = (profileUrl) => {
+    try {
+      return new URL(profileUrl).origin;
+    } catch (error) {
+      return null;
+    }
+  };
+  const origin = getOrigin(url);
+  try {
+    if (getOrigin(getActiveProfile().url) === origin) {
+      return;
+    }
+    const profiles = getProfiles();
+    const existing = profiles.find(profile => getOrigin(profile.url) === origin);
+    if (existing) {
+      console.log('Switching to the profile of the server from the command line:', existing.name);
+      setActiveProfile(existing.name);
+      return;
+    }
+    // Named after the server, numbered when another server's profile already has that name
+    const baseName = new URL(url).host.slice(0, 35);
+    const takenNames = new Set(profiles.map(profile => profile.name.toLowerCase()));
+    let name = baseName;
+    for (let i = 2; takenNames.has(name.toLowerCase()); i++) {
+      name = `${baseName} ${i}`;
+    }
+    console.log('Creating a profile for the server from the command line:', name);
+    setActiveProfile(createProfile({ name, url, liveryDirectory: getActiveProfile().liveryDirectory }).name);
+  } catch (error) {
+    console.error('Error applying --server:', error.message);
+    dialog.showErrorBox('Server Error', `${error.message}. Starting with the profile "${getActiveProfile().name}".`);
+  }
+}
+
+// Install an event's liveries for --install-liveries without opening a window, print the progress
+// and the result, and exit with one of EXIT_CODES. --profile and --server only apply to this install.
+async function runHeadlessInstall() {
+  const eventId = commandLine.installLiveries;
+  const fail = (message, exitCode) => {
+    process.stderr.write(`${message}\n`);
+    app.exit(exitCode);
+  };
+
+  const profile = commandLine.profile
+    ? getProfiles().find(candidate => candidate.name === commandLine.profile)
+    : getActiveProfile();
+  if (!profile) {
+    fail(`Profile "${commandLine.profile}" does not exist`, EXIT_CODES.usage);
+    return;
+  }
+  const baseUrl = new URL(commandLine.server || profile.url).origin;
+  const targetDirectory = commandLine.target ? path.resolve(commandLine.target) : profile.liveryDirectory;
+  if (!targetDirectory || !validateDirectory(targetDirectory)) {
+    fail(targetDirectory
+      ? `The Customs folder ${targetDirectory} does not exist`
+      : `Profile "${profile.name}" has no livery folder, pass --target <dir>`, EXIT_CODES.noDirectory);
+    return;
+  }
+
+  process.stdout.write(`Installing liveries for event ${eventId} from ${baseUrl} into ${targetDirectory}\n`);
+
+  // A terminal gets one updating line, logs and pipes a line per second
+  let lastLineAt = 0;
+  let lastPhase = null;
+  const onProgress = (progress) => {
+    const line = formatProgressLine(progress);
+    if (process.stdout.isTTY) {
+      process.stdout.write(`\r${line.slice(0, process.stdout.columns - 1).padEnd(process.stdout.columns - 1)}`);
+      return;
+    }
+    if (progress.phase !== lastPhase || Date.now() - lastLineAt >= 1000) {
+      lastPhase = progress.phase;
+      lastLineAt = Date.now();
+      process.stdout.write(`${line}\n`);
+    }
+  };
+
+  // Ctrl+C cancels the install, which removes the files written so far
+  process.once('SIGINT', () => {
+    const controller = activeLiveryDownloads.get(eventId);
+    if (controller) {
+      controller.abort();
+    }
+  });
+
+  const result = await installEventLiveries(eventId, baseUrl, { targetDirectory, profile, onProgress });
+  if (process.stdout.isTTY) {
+    process.stdout.write('\n');
+  }
+  if (result.cancelled) {
+    fail('Livery installation cancelled', EXIT_CODES.cancelled);
+    return;
+  }
+  if (!result.success) {
+    fail(`Failed to install liveries for event ${eventId}: ${result.message}`, EXIT_CODES.failed);
+    return;
+  }
+  process.stdout.write(`${result.message}\n`);
+  if (result.report) {
+    process.stdout.write(`${result.report}\n`);
+  }
+  app.exit(EXIT_CODES.success);
+}
+
 // Create application menu
 const createMenu = () => {
   const template = [
@@ -708,11 +3239,7 @@ const createMenu = () => {
           click: async () => {
             try {
               // Reset configuration directly without triggering window close events
-              const configPath = getConfigPath();
-              if (fs.existsSync(configPath)) {
-                fs.unlinkSync(configPath);
-                console.log('Configuration file cleared successfully');
-              }
+              resetConfig();
               
               // Instead of calling mainWindow.close() which triggers the tray minimize dialog,
               // we'll just exit the app directly and let it restart
@@ -726,6 +3253,11 @@ const createMenu = () => {
           }
         },
         { type: 'separator' },
+        { label: 'Settings...', accelerator: 'CmdOrCtrl+,', click: () => createSettingsWindow() },
+        { label: 'Liveries...', click: () => createLiveriesWindow() },
+        { type: 'separator' },
+        { label: 'Profiles', submenu: buildProfileMenuItems() },
+        { type: 'separator' },
         { label: 'Exit', role: 'quit' }
       ]
     },
@@ -751,9 +3283,38 @@ const createMenu = () => {
         { type: 'separator' },
         { label: 'Toggle Developer Tools', accelerator: 'Ctrl+Shift+I', role: 'toggleDevTools' },
         { type: 'separator' },
-        { label: 'Reset Zoom', role: 'resetZoom' },
-        { label: 'Zoom In', role: 'zoomIn' },
-        { label: 'Zoom Out', role: 'zoomOut' }
+        { label: 'Reset Zoom', accelerator: 'CmdOrCtrl+0', click: (item, window) => setWindowZoom(window, 1) },
+        { label: 'Zoom In', accelerator: 'CmdOrCtrl+Plus', click: (item, window) => stepWindowZoom(window, 'in') },
+        { label: 'Zoom Out', accelerator: 'CmdOrCtrl+-', click: (item, window) => stepWindowZoom(window, 'out') }
+      ]
+    },
+    {
+      label: 'Help',
+      submenu: [
+        { label: 'Check for Updates...', click: () => checkForUpdatesAndNotify({ manual: true }) },
+        {
+          label: 'Update Channel',
+          submenu: UPDATE_CHANNELS.map(channel => ({
+            label: channel === 'beta' ? 'Beta' : 'Stable',
+            type: 'radio',
+            checked: getUpdateChannel() === channel,
+            click: () => setUpdateChannel(channel)
+          }))
+        },
+        { type: 'separator' },
+        { label: 'Export Diagnostics...', click: () => exportDiagnostics() },
+        { label: 'Open Logs Folder', click: () => shell.openPath(getLogDirectory()) },
+        {
+          label: 'Log Level',
+          submenu: LOG_LEVELS.map(level => ({
+            label: level.charAt(0).toUpperCase() + level.slice(1),
+            type: 'radio',
+            checked: getLogLevel() === level,
+            click: () => saveLogLevel(level)
+          }))
+        },
+        { type: 'separator' },
+        { label: `Version ${packageVersion}`, enabled: false }
       ]
     }
   ];
@@ -762,13 +3323,74 @@ const createMenu = () => {
   Menu.setApplicationMenu(menu);
 };
 
+// Register as the handler for attrition:// links. In development the script path has to be
+// passed along so the link launches this app rather than a bare Electron. A second instance leaves this
+// to the running one, and a headless install is a one-shot run that never handles links.
+if (gotSingleInstanceLock && !isHeadlessInstall) {
+  if (process.defaultApp && process.argv.length >= 2) {
+    app.setAsDefaultProtocolClient(PROTOCOL, process.execPath, [path.resolve(process.argv[1])]);
+  } else {
+    app.setAsDefaultProtocolClient(PROTOCOL);
+  }
+}
+
+// Windows and Linux: a second launch, e.g. from a clicked link, hands its arguments to this instance
+app.on('second-instance', (event, argv) => {
+  console.log('Second instance started, focusing existing window');
+  const link = findDeepLinkInArgs(argv);
+  // --profile and --server of the later launch switch this instance over
+  const { options, errors } = parseCommandLine(argv.slice(1));
+  if (errors.length === 0 && (options.profile || options.server)) {
+    if (options.profile) {
+      switchProfile(options.profile);
+    }
+    if (options.server) {
+      selectProfileForServer(options.server);
+      refreshActiveProfile();
+    }
+  }
+  if (link) {
+    handleDeepLink(link);
+  } else if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.show();
+    mainWindow.focus();
+  }
+});
+
+// macOS: links are delivered as an event, also when they launch the app
+app.on('open-url', (event, url) => {
+  event.preventDefault();
+  if (isHeadlessInstall) {
+    return;
+  }
+  handleDeepLink(url);
+});
+
 // Main application entry point
 console.log('Waiting for Electron app to be ready...');
 app.whenReady().then(() => {
+  if (!gotSingleInstanceLock || exitsAfterUsage) {
+    return;
+  }
+  if (isHeadlessInstall) {
+    runHeadlessInstall();
+    return;
+  }
   console.log('Electron app is ready, initializing...');
+  applyCommandLine();
   initializeApp();
   createMenu();
   createTray();
+  startLiveTiming();
+  startResultsWatcher();
+  // Uploads queued before the last exit are picked up again, failures retried when due
+  processResultUploads();
+  setInterval(processResultUploads, RESULT_UPLOAD_INTERVAL);
+  resumeReplayUploads();
+  restorePendingUpdate();
+  // Checked after a short delay so the main window is up to show the dialog
+  setTimeout(() => checkForUpdatesAndNotify(), 3000);
+  setInterval(() => checkForUpdatesAndNotify(), UPDATE_CHECK_INTERVAL);
 
   app.on('activate', () => {
     console.log('App activated, checking windows');
@@ -803,124 +3425,247 @@ app.on('window-all-closed', () => {
 app.on('before-quit', () => {
   console.log('App is about to quit, cleaning up...');
   app.isQuiting = true;
+  stopLiveTiming();
+  stopResultsWatcher();
+  installPendingUpdate();
 });
 
-// Version checking function
+// Get the lowest level written to the log files
+function getLogLevel() {
+  const { logLevel } = readSavedConfig();
+  return LOG_LEVELS.includes(logLevel) ? logLevel : 'info';
+}
+
+// Change the lowest level written to the log files, from now on and on later launches
+function saveLogLevel(level) {
+  const config = readSavedConfig();
+  config.logLevel = level;
+  saveConfig(config);
+  setLogLevel(level);
+  createMenu();
+  refreshSettingsWindow();
+  console.log('Log level set to', level);
+}
+
+// Save the logs, the configuration without secrets, versions and ACC folders to a ZIP for bug reports
+async function exportDiagnostics() {
+  const timestamp = new Date().toISOString().slice(0, 19).replace(/[T:]/g, '-');
+  const { canceled, filePath } = await dialog.showSaveDialog(mainWindow && !mainWindow.isDestroyed() ? mainWindow : undefined, {
+    title: 'Export Diagnostics',
+    defaultPath: path.join(app.getPath('desktop'), `attrition-diagnostics-${timestamp}.zip`),
+    filters: [{ name: 'ZIP Archives', extensions: ['zip'] }]
+  });
+  if (canceled || !filePath) {
+    return;
+  }
+  try {
+    fs.writeFileSync(filePath, createDiagnosticsArchive());
+    console.log('Diagnostics exported to:', filePath);
+    shell.showItemInFolder(filePath);
+  } catch (error) {
+    console.error('Error exporting diagnostics:', error);
+    dialog.showErrorBox('Export Diagnostics Error', `Failed to export diagnostics: ${error.message}`);
+  }
+}
+
+// Get the release channel updates are offered from
+function getUpdateChannel() {
+  const { updateChannel } = readSavedConfig();
+  return UPDATE_CHANNELS.includes(updateChannel) ? updateChannel : 'stable';
+}
+
+// Switch the release channel and look for updates on it
+function setUpdateChannel(channel) {
+  const config = readSavedConfig();
+  config.updateChannel = channel;
+  saveConfig(config);
+  createMenu();
+  refreshSettingsWindow();
+  checkForUpdatesAndNotify({ manual: true });
+}
+
+// Check GitHub for a newer release on the configured channel.
+// The answer is cached with its ETag, so repeated checks don't use up GitHub's rate limit.
 const checkForUpdates = async () => {
+  const channel = getUpdateChannel();
+  const state = readUpdateState();
   try {
-    console.log('Checking for updates...');
-    
-    // Fetch latest releases from GitHub API
-    const response = await fetch('https://api.github.com/repos/blumlaut/attrition-desktop/releases');
-    
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-    
-    const releases = await response.json();
-    
-    if (!releases || releases.length === 0) {
-      throw new Error('No releases found');
-    }
-    
-    // Find the latest non-prerelease release
-    const latestRelease = releases.find(release => !release.prerelease);
-    
-    if (!latestRelease) {
-      throw new Error('No stable releases found');
+    console.log('Checking for updates on the', channel, 'channel...');
+    const releases = await fetchReleases(state);
+    writeUpdateState(state);
+
+    const latest = findLatestRelease(releases, channel);
+    if (!latest) {
+      throw new Error(channel === 'beta' ? 'No releases found' : 'No stable releases found');
     }
-    
-    // Extract version from tag_name (e.g., "v0.1.2" -> "0.1.2")
-    const latestVersion = latestRelease.tag_name.replace(/^v/, '');
-    
-    // Compare versions
-    const isUpdateAvailable = compareVersions(packageVersion, latestVersion) > 0;
-    
-    console.log(`Current version: ${packageVersion}, Latest version: ${latestVersion}, Update available: ${isUpdateAvailable}`);
-    
+    const isUpdateAvailable = compareVersions(latest.version, packageVersion) > 0;
+    console.log(`Current version: ${packageVersion}, Latest version: ${latest.version}, Update available: ${isUpdateAvailable}`);
+
     return {
       currentVersion: packageVersion,
-      latestVersion: latestVersion,
-      isUpdateAvailable: isUpdateAvailable,
-      releaseInfo: latestRelease
+      latestVersion: latest.version,
+      channel,
+      isUpdateAvailable,
+      isSkipped: state.skippedVersion === latest.version,
+      isDownloaded: Boolean(pendingUpdate && pendingUpdate.version === latest.version),
+      hasInstaller: Boolean(selectReleaseAsset(latest.release)),
+      releaseInfo: latest.release
     };
   } catch (error) {
     console.error('Error checking for updates:', error);
     return {
       currentVersion: packageVersion,
       latestVersion: null,
+      channel,
       isUpdateAvailable: false,
       error: error.message
     };
   }
 };
 
-// Simple version comparison function
-const compareVersions = (version1, version2) => {
-  const v1Parts = version1.split('.').map(Number);
-  const v2Parts = version2.split('.').map(Number);
-  
-  for (let i = 0; i < Math.max(v1Parts.length, v2Parts.length); i++) {
-    const part1 = v1Parts[i] || 0;
-    const part2 = v2Parts[i] || 0;
-    
-    if (part1 > part2) return 1;
-    if (part1 < part2) return -1;
+// Send update download progress to the league page and the taskbar
+function reportUpdateProgress(version, progress) {
+  sendToLeaguePage('update-download-progress', { version, ...progress });
+  if (activeLiveryDownloads.size === 0 && activeReplayUploads.size === 0 && mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.setProgressBar(progress.totalBytes ? progress.receivedBytes / progress.totalBytes : 2);
   }
-  
-  return 0;
-};
+}
 
-// Add IPC handler for version checking
-ipcMain.handle('check-for-updates', async () => {
-  console.log('IPC check-for-updates called');
-  return await checkForUpdates();
-});
+// Download the installer of an update, verify it and install it when the app quits.
+// Platforms without an installer in the release get the release page opened instead.
+async function downloadUpdateForQuit(update) {
+  const asset = selectReleaseAsset(update.releaseInfo);
+  if (!asset) {
+    shell.openExternal(update.releaseInfo.url);
+    return { success: false, message: 'No installer for this platform, the release page was opened' };
+  }
+  if (pendingUpdate && pendingUpdate.version === update.latestVersion) {
+    return { success: true, message: `Version ${update.latestVersion} will be installed when the app quits` };
+  }
+  if (updateDownload) {
+    return { success: false, message: `Version ${updateDownload.version} is already being downloaded` };
+  }
 
-// Auto-check for updates when app starts (with delay to ensure UI is ready)
-setTimeout(() => {
-  const showUpdateNotification = async () => {
-    try {
-      const updateResult = await checkForUpdates();
-      
-      // Only show notification if there's an error or if update is available
-      if (updateResult.error) {
-        console.log('Update check failed:', updateResult.error);
-        return;
-      }
-      
-      // Fix the version comparison logic - we want to detect if latestVersion > currentVersion
-      const versionComparison = compareVersions(updateResult.latestVersion, updateResult.currentVersion);
-      const isUpdateAvailable = versionComparison > 0;
-      
-      if (isUpdateAvailable) {
-        console.log(`Update available! Current: ${updateResult.currentVersion}, Latest: ${updateResult.latestVersion}`);
-        
-        // Show notification using dialog
-        if (mainWindow && !mainWindow.isDestroyed()) {
-          const response = await dialog.showMessageBox(mainWindow, {
-            type: 'info',
-            title: 'Update Available',
-            message: `A new version of Attrition Desktop is available!`,
-            detail: `Current version: ${updateResult.currentVersion}\nLatest version: ${updateResult.latestVersion}\n\nVisit blancpaw-gt.uk to download the latest version.`,
-            buttons: ['Download Now', 'Later'],
-            defaultId: 0,
-            cancelId: 1
-          });
-          
-          if (response.response === 0) {
-            // Open website in browser - move shell import to top level for scope
-            const { shell } = require('electron');
-            shell.openExternal('https://blancpaw-gt.uk');
-          }
-        }
-      }
-    } catch (error) {
-      console.error('Error in auto-update check:', error);
+  updateDownload = { version: update.latestVersion };
+  // The download replaces an installer of an older update
+  pendingUpdate = null;
+  updateTrayMenu();
+  try {
+    const filePath = await downloadUpdate(update.releaseInfo, asset, {
+      onProgress: (progress) => reportUpdateProgress(update.latestVersion, progress)
+    });
+    pendingUpdate = { version: update.latestVersion, filePath };
+    const state = readUpdateState();
+    state.downloaded = pendingUpdate;
+    writeUpdateState(state);
+    console.log('Update downloaded and verified:', filePath);
+    sendToLeaguePage('update-download-progress', { version: update.latestVersion, phase: 'ready' });
+    showNotification({
+      title: 'Update Ready',
+      body: `Attrition Desktop ${update.latestVersion} will be installed when you quit the app.`
+    }, () => {});
+    updateTrayMenu();
+    return { success: true, message: `Version ${update.latestVersion} will be installed when the app quits` };
+  } catch (error) {
+    console.error('Error downloading update:', error);
+    sendToLeaguePage('update-download-progress', { version: update.latestVersion, phase: 'failed', error: error.message });
+    return { success: false, message: error.message };
+  } finally {
+    updateDownload = null;
+    if (mainWindow && !mainWindow.isDestroyed() && activeLiveryDownloads.size === 0 && activeReplayUploads.size === 0) {
+      mainWindow.setProgressBar(-1);
     }
-  };
-  
-  showUpdateNotification();
-}, 3000);
+  }
+}
+
+// Check for updates and offer a found one in a dialog: install it on quit, skip the version or decide later.
+// Automatic checks stay quiet about skipped versions and failures, manual ones always report.
+async function checkForUpdatesAndNotify({ manual = false } = {}) {
+  const update = await checkForUpdates();
+  const dialogParent = mainWindow && !mainWindow.isDestroyed() && mainWindow.isVisible() ? mainWindow : null;
+  const showMessage = (options) => dialogParent ? dialog.showMessageBox(dialogParent, options) : dialog.showMessageBox(options);
+
+  if (update.error) {
+    if (manual) {
+      await showMessage({ type: 'error', title: 'Update Check Failed', message: update.error, buttons: ['OK'] });
+    }
+    return;
+  }
+  if (!update.isUpdateAvailable || update.isDownloaded || (update.isSkipped && !manual)) {
+    if (manual) {
+      await showMessage({
+        type: 'info',
+        title: 'No Update Available',
+        message: update.isDownloaded
+          ? `Version ${update.latestVersion} is downloaded and will be installed when you quit the app.`
+          : `Attrition Desktop ${update.currentVersion} is the latest version on the ${update.channel} channel.`,
+        buttons: ['OK']
+      });
+    }
+    return;
+  }
+
+  console.log(`Update available! Current: ${update.currentVersion}, Latest: ${update.latestVersion}`);
+  const response = await showMessage({
+    type: 'info',
+    title: 'Update Available',
+    message: 'A new version of Attrition Desktop is available!',
+    detail: `Current version: ${update.currentVersion}\nLatest version: ${update.latestVersion}${update.releaseInfo.prerelease ? ' (beta)' : ''}`
+      + (update.hasInstaller ? '\n\nThe update is downloaded in the background and installed when you quit the app.' : ''),
+    buttons: [update.hasInstaller ? 'Install on Quit' : 'Open Release Page', 'Skip This Version', 'Later'],
+    defaultId: 0,
+    cancelId: 2
+  });
+
+  if (response.response === 0) {
+    const result = await downloadUpdateForQuit(update);
+    if (!result.success && update.hasInstaller) {
+      await showMessage({ type: 'error', title: 'Update Failed', message: result.message, buttons: ['OK'] });
+    }
+  } else if (response.response === 1) {
+    const state = readUpdateState();
+    state.skippedVersion = update.latestVersion;
+    writeUpdateState(state);
+    console.log('Skipping version', update.latestVersion);
+  }
+}
+
+// Pick up an update downloaded in an earlier run, or clean up after one that was installed
+function restorePendingUpdate() {
+  const state = readUpdateState();
+  const { downloaded } = state;
+  if (!downloaded) {
+    return;
+  }
+  if (fs.existsSync(downloaded.filePath) && compareVersions(downloaded.version, packageVersion) > 0) {
+    pendingUpdate = downloaded;
+    console.log('Update', downloaded.version, 'will be installed on quit');
+    updateTrayMenu();
+    return;
+  }
+  fs.rmSync(downloaded.filePath, { force: true });
+  state.downloaded = null;
+  writeUpdateState(state);
+}
+
+// Start installing the downloaded update as the app quits
+function installPendingUpdate() {
+  // A newer download replaces the folder the earlier installer was in
+  if (!pendingUpdate || !fs.existsSync(pendingUpdate.filePath)) {
+    return;
+  }
+  try {
+    if (installUpdate(pendingUpdate.filePath)) {
+      console.log('Installing update', pendingUpdate.version);
+    } else {
+      // E.g. running from source or an unpacked build, the installer is left for the user
+      console.log('This build cannot install updates itself, showing the installer');
+      shell.showItemInFolder(pendingUpdate.filePath);
+    }
+  } catch (error) {
+    console.error('Error installing update:', error);
+  }
+  pendingUpdate = null;
+}
 
 console.log('Main process script loaded successfully');
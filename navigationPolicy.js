@@ -0,0 +1,129 @@
+const { shell } = require('electron');
+
+// Function to normalize an allowlist entry to a hostname pattern.
+// Accepts an origin or URL (https://example.com), a bare hostname (example.com)
+// or a wildcard for a domain and its subdomains (*.example.com).
+const normalizeAllowlistEntry = (entry) => {
+  const value = String(entry || '').trim().toLowerCase();
+  if (!value) {
+    return null;
+  }
+
+  const wildcard = value.startsWith('*.');
+  const hostPart = wildcard ? value.slice(2) : value;
+  let url;
+  try {
+    url = new URL(/^[a-z][a-z0-9+.-]*:\/\//.test(hostPart) ? hostPart : `https://${hostPart}`);
+  } catch (error) {
+    throw new Error(`Invalid allowlist entry: ${entry}`);
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    throw new Error(`Only http and https sites can be allowlisted: ${entry}`);
+  }
+  if (!url.hostname || (!url.hostname.includes('.') && url.hostname !== 'localhost')) {
+    throw new Error(`Invalid allowlist entry: ${entry}`);
+  }
+  return wildcard ? `*.${url.host}` : url.host;
+};
+
+// Function to normalize a list of allowlist entries, dropping blanks and duplicates
+const normalizeAllowlist = (entries) => {
+  if (!Array.isArray(entries)) {
+    throw new Error('Allowlist must be a list of sites');
+  }
+  return [...new Set(entries.map(normalizeAllowlistEntry).filter(Boolean))];
+};
+
+// Function to check whether a host matches an allowlist pattern
+const matchesPattern = (host, pattern) => {
+  if (pattern.startsWith('*.')) {
+    const domain = pattern.slice(2);
+    return host === domain || host.endsWith(`.${domain}`);
+  }
+  return host === pattern;
+};
+
+// Function to check whether a URL may be shown inside the app.
+// Only http(s) pages on a configured server or an allowlisted site qualify.
+const isAllowedInApp = (url, { serverUrls = [], allowlist = [] } = {}) => {
+  let target;
+  try {
+    target = new URL(url);
+  } catch (error) {
+    return false;
+  }
+  if (target.protocol !== 'https:' && target.protocol !== 'http:') {
+    return false;
+  }
+
+  const serverOrigins = serverUrls.map(serverUrl => {
+    try {
+      return new URL(serverUrl).origin;
+    } catch (error) {
+      return null;
+    }
+  });
+  if (serverOrigins.includes(target.origin)) {
+    return true;
+  }
+
+  return allowlist.some(entry => {
+    try {
+      return matchesPattern(target.host, normalizeAllowlistEntry(entry));
+    } catch (error) {
+      return false;
+    }
+  });
+};
+
+// Function to open a URL in the system browser. Only web and mail links are handed over,
+// anything else (file:, custom schemes) is ignored.
+const openExternally = (url) => {
+  let target;
+  try {
+    target = new URL(url);
+  } catch (error) {
+    console.warn('Ignoring invalid external URL:', url);
+    return;
+  }
+  if (!['https:', 'http:', 'mailto:'].includes(target.protocol)) {
+    console.warn('Blocked navigation to unsupported URL:', url);
+    return;
+  }
+  console.log('Opening in system browser:', url);
+  shell.openExternal(target.href).catch(error => {
+    console.error('Error opening URL in system browser:', error);
+  });
+};
+
+// Function to apply the navigation policy to a window's web contents.
+// getRules is called on every navigation so allowlist changes apply without a restart.
+// Pages on the server or allowlist stay in the window, links that would open a new window
+// load in place, and everything else goes to the system browser. Server-side redirects are
+// left alone so login flows that bounce through another site keep working.
+const attachNavigationPolicy = (webContents, getRules) => {
+  webContents.on('will-navigate', (event, url) => {
+    if (isAllowedInApp(url, getRules())) {
+      return;
+    }
+    event.preventDefault();
+    openExternally(url);
+  });
+
+  webContents.setWindowOpenHandler(({ url }) => {
+    if (isAllowedInApp(url, getRules())) {
+      console.log('Loading link in main window:', url);
+      webContents.loadURL(url);
+    } else {
+      openExternally(url);
+    }
+    return { action: 'deny' };
+  });
+};
+
+module.exports = {
+  normalizeAllowlist,
+  isAllowedInApp,
+  openExternally,
+  attachNavigationPolicy
+};
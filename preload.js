@@ -1,18 +1,187 @@
-// All of the Node.js APIs are available in the preload process.
-// It has the same sandbox as a Chrome extension.
+// Preload script for the main window, which shows the remote Attrition page or the bundled
+// error page. Only the named methods below are exposed; the main process additionally checks
+// that every request comes from the configured server or the error page.
 const { contextBridge, ipcRenderer } = require('electron');
 
-// Expose protected methods that allow the renderer to use
-// the ipcRenderer without exposing the entire object
-contextBridge.exposeInMainWorld('electron', {
-  ipcRenderer: {
-    invoke: ipcRenderer.invoke.bind(ipcRenderer),
-    send: ipcRenderer.send.bind(ipcRenderer),
-    on: ipcRenderer.on.bind(ipcRenderer),
-    once: ipcRenderer.once.bind(ipcRenderer),
-    removeListener: ipcRenderer.removeListener.bind(ipcRenderer),
-    removeAllListeners: ipcRenderer.removeAllListeners.bind(ipcRenderer)
+// Function to validate an event ID before it is sent to the main process
+const checkEventId = (eventId) => {
+  const value = typeof eventId === 'number' ? String(eventId) : eventId;
+  if (typeof value !== 'string' || !/^[A-Za-z0-9_-]{1,64}$/.test(value)) {
+    throw new TypeError('eventId must be a number or an alphanumeric string');
+  }
+  return value;
+};
+
+// Function to validate the name of a car file in Customs/Cars
+const checkCarFile = (carFile) => {
+  if (typeof carFile !== 'string' || !/^[^\\/]{1,200}\.json$/i.test(carFile)) {
+    throw new TypeError('carFile must be the name of a .json file in Customs/Cars');
+  }
+  return carFile;
+};
+
+// Function to validate the name of a replay file in Replay/Saved
+const checkReplayFile = (fileName) => {
+  if (typeof fileName !== 'string' || !/^[^\\/]{1,200}\.rpy$/i.test(fileName)) {
+    throw new TypeError('fileName must be the name of a .rpy file in Replay/Saved');
+  }
+  return fileName;
+};
+
+// Function to validate the protest or incident a replay is uploaded to
+const checkReplayTarget = (target) => {
+  if (!target || !['protest', 'incident'].includes(target.type)) {
+    throw new TypeError('target.type must be "protest" or "incident"');
+  }
+  const id = typeof target.id === 'number' ? String(target.id) : target.id;
+  if (typeof id !== 'string' || !/^[A-Za-z0-9_-]{1,64}$/.test(id)) {
+    throw new TypeError('target.id must be a number or an alphanumeric string');
+  }
+  return { type: target.type, id };
+};
+
+// Function to validate the ID of a replay upload
+const checkUploadId = (id) => {
+  if (typeof id !== 'string' || !/^[0-9a-f-]{36}$/i.test(id)) {
+    throw new TypeError('id must be a replay upload ID');
+  }
+  return id;
+};
+
+// Function to validate an options object whose known keys are all booleans
+const checkBooleanOptions = (options, keys) => {
+  if (typeof options !== 'object' || options === null || Array.isArray(options)) {
+    throw new TypeError('options must be an object');
+  }
+  const checked = {};
+  keys.forEach(key => {
+    if (options[key] !== undefined) {
+      if (typeof options[key] !== 'boolean') {
+        throw new TypeError(`options.${key} must be a boolean`);
+      }
+      checked[key] = options[key];
+    }
+  });
+  return checked;
+};
+
+// Function to validate livery install options
+const checkInstallOptions = (options = {}) => checkBooleanOptions(options, ['incremental', 'removeStale']);
+
+// Function to validate server config options
+const checkServerConfigOptions = (options = {}) => checkBooleanOptions(options, ['chooseFolder']);
+
+// Function to validate a list of events pushed by the page
+const checkEvents = (events) => {
+  if (!Array.isArray(events) || events.length > 100) {
+    throw new TypeError('events must be an array of at most 100 events');
+  }
+  return events.map(event => ({
+    id: event && event.id,
+    name: event && event.name,
+    startsAt: event && event.startsAt,
+    sessions: event && Array.isArray(event.sessions)
+      ? event.sessions.map(session => ({ name: session && session.name, startsAt: session && session.startsAt }))
+      : undefined
+  }));
+};
+
+// Function to validate a callback
+const checkCallback = (callback) => {
+  if (typeof callback !== 'function') {
+    throw new TypeError('callback must be a function');
+  }
+  return callback;
+};
+
+// Function to subscribe to a main process event, returns a function that unsubscribes
+const subscribe = (channel, callback) => {
+  const listener = (event, payload) => callback(payload);
+  ipcRenderer.on(channel, listener);
+  return () => ipcRenderer.removeListener(channel, listener);
+};
+
+// The bundled error page only gets the actions it offers
+const errorPage = {
+  getReconnectStatus: () => ipcRenderer.invoke('get-reconnect-status'),
+  retry: () => ipcRenderer.invoke('retry-connection'),
+  checkConnection: () => ipcRenderer.invoke('check-connection'),
+  openSettings: () => ipcRenderer.invoke('open-settings'),
+  getServerProfiles: () => ipcRenderer.invoke('get-server-profiles'),
+  switchServerProfile: (name) => {
+    if (typeof name !== 'string' || !name) {
+      throw new TypeError('name must be a profile name');
+    }
+    return ipcRenderer.invoke('switch-server-profile', name);
   },
-  resetConfig: () => ipcRenderer.invoke('reset-config'),
-  saveMinimizeToTrayPreference: (shouldMinimize) => ipcRenderer.invoke('save-minimize-to-tray-preference', shouldMinimize)
-});
+  onReconnectStatus: (callback) => subscribe('reconnect-status', checkCallback(callback))
+};
+
+if (window.location.protocol === 'file:') {
+  contextBridge.exposeInMainWorld('errorPage', errorPage);
+} else {
+  const attrition = {
+    // Liveries
+    installLiveries: (eventId, options) => ipcRenderer.invoke('download-event-liveries', checkEventId(eventId), window.location.origin, checkInstallOptions(options)),
+    cancelLiveryDownload: (eventId) => ipcRenderer.invoke('cancel-livery-download', checkEventId(eventId)),
+    listInstalledLiveries: () => ipcRenderer.invoke('list-installed-liveries'),
+    uninstallLiveries: (eventId) => ipcRenderer.invoke('uninstall-event-liveries', checkEventId(eventId)),
+    rollbackLiveryInstall: () => ipcRenderer.invoke('rollback-livery-install'),
+    onDownloadProgress: (callback) => subscribe('livery-download-progress', checkCallback(callback)),
+    listLocalCars: () => ipcRenderer.invoke('list-local-cars'),
+    checkLiverySubmission: (carFile) => ipcRenderer.invoke('check-livery-submission', checkCarFile(carFile)),
+    submitLivery: (eventId, carFile) => ipcRenderer.invoke('submit-livery', checkEventId(eventId), checkCarFile(carFile)),
+
+    // Car setups
+    installSetups: (eventId) => ipcRenderer.invoke('download-event-setups', checkEventId(eventId), window.location.origin),
+
+    // Replays, for protests and incident reports
+    listReplays: () => ipcRenderer.invoke('list-replays'),
+    uploadReplay: (fileName, target) => ipcRenderer.invoke('upload-replay', checkReplayFile(fileName), checkReplayTarget(target)),
+    listReplayUploads: () => ipcRenderer.invoke('list-replay-uploads'),
+    cancelReplayUpload: (id) => ipcRenderer.invoke('cancel-replay-upload', checkUploadId(id)),
+    retryReplayUpload: (id) => ipcRenderer.invoke('retry-replay-upload', checkUploadId(id)),
+    onReplayUploadProgress: (callback) => subscribe('replay-upload-progress', checkCallback(callback)),
+
+    // Dedicated server config, for league admins
+    generateServerConfig: (eventId, options) => ipcRenderer.invoke('generate-server-config', checkEventId(eventId), checkServerConfigOptions(options)),
+
+    // Events
+    setUpcomingEvents: (events) => ipcRenderer.invoke('set-upcoming-events', checkEvents(events)),
+
+    // Live timing from ACC's broadcasting API
+    getLiveTiming: () => ipcRenderer.invoke('get-live-timing'),
+    onLiveTimingUpdate: (callback) => subscribe('live-timing-update', checkCallback(callback)),
+    onLiveTimingEvent: (callback) => subscribe('live-timing-event', checkCallback(callback)),
+
+    // App
+    getAppInfo: () => ipcRenderer.invoke('get-app-info'),
+    checkForUpdates: () => ipcRenderer.invoke('check-for-updates'),
+    downloadUpdate: () => ipcRenderer.invoke('download-update'),
+    onUpdateProgress: (callback) => subscribe('update-download-progress', checkCallback(callback))
+  };
+
+  contextBridge.exposeInMainWorld('attrition', attrition);
+
+  // Deprecated: pages written against the old raw ipcRenderer bridge can still invoke the
+  // channels window.attrition covers. Use window.attrition instead.
+  const LEGACY_INVOKE_CHANNELS = [
+    'download-event-liveries',
+    'cancel-livery-download',
+    'list-installed-liveries',
+    'uninstall-event-liveries',
+    'rollback-livery-install',
+    'check-for-updates'
+  ];
+
+  contextBridge.exposeInMainWorld('electron', {
+    ipcRenderer: {
+      invoke: (channel, ...args) => {
+        if (!LEGACY_INVOKE_CHANNELS.includes(channel)) {
+          return Promise.reject(new Error(`IPC channel "${channel}" is not available, use window.attrition`));
+        }
+        return ipcRenderer.invoke(channel, ...args);
+      }
+    }
+  });
+}
@@ -0,0 +1,297 @@
+const { app } = require('electron');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { KNOWN_TRACKS } = require('./serverConfigGenerator');
+
+// Size of each uploaded piece of a replay. A failed request only repeats its own chunk.
+const CHUNK_SIZE = 8 * 1024 * 1024;
+
+// Time a chunk may take before it is given up, so a stalled connection fails and can be retried
+const CHUNK_TIMEOUT = 2 * 60 * 1000;
+
+// Bytes at the start of a replay searched for the track ID
+const HEADER_SCAN_SIZE = 64 * 1024;
+
+// Session names found in replay file names
+const SESSION_NAMES = {
+  practice: 'Practice',
+  fp: 'Practice',
+  qualifying: 'Qualifying',
+  qualy: 'Qualifying',
+  q: 'Qualifying',
+  race: 'Race',
+  r: 'Race',
+  hotlap: 'Hotlap',
+  hotstint: 'Hotstint',
+  superpole: 'Superpole'
+};
+
+// Number of completed uploads remembered
+const MAX_COMPLETED_UPLOADS = 20;
+
+// Targets a replay can be uploaded to, and their path on the server
+const UPLOAD_TARGETS = { protest: 'protests', incident: 'incidents' };
+
+// Function to get the saved replays folder from the configured Customs folder
+const getReplayDirectory = (customsDir) => {
+  return path.join(path.dirname(customsDir), 'Replay', 'Saved');
+};
+
+// Function to check a replay file name coming from a renderer, it must name a file directly inside Replay/Saved
+const checkReplayFileName = (fileName) => {
+  if (typeof fileName !== 'string' || !/^[^\\/:*?"<>|\0]{1,200}\.rpy$/i.test(fileName) || fileName.startsWith('.')) {
+    throw new Error('Invalid replay file name');
+  }
+  return fileName;
+};
+
+// Function to check an upload target coming from a renderer, { type: 'protest' | 'incident', id }
+const checkUploadTarget = (target) => {
+  const type = target && target.type;
+  const id = target && (typeof target.id === 'number' ? String(target.id) : target.id);
+  if (!UPLOAD_TARGETS[type] || typeof id !== 'string' || !/^[A-Za-z0-9_-]{1,64}$/.test(id)) {
+    throw new Error('Invalid replay upload target');
+  }
+  return { type, id };
+};
+
+// Function to find a known track ID in a piece of text, longest IDs first so "nurburgring_24h" beats "nurburgring"
+const findTrack = (text) => {
+  const lower = text.toLowerCase();
+  return [...KNOWN_TRACKS]
+    .sort((a, b) => b.length - a.length)
+    .find(track => lower.includes(track)) || null;
+};
+
+// Function to read what a replay's file name tells about it: track, session and when it was recorded.
+// ACC names saved replays after the track and the time they were saved, users often rename them.
+const parseReplayName = (fileName) => {
+  const baseName = path.basename(fileName, path.extname(fileName));
+  const words = baseName.toLowerCase().split(/[^a-z0-9]+/);
+  const sessionWord = words.find(word => SESSION_NAMES[word]);
+
+  let recordedAt = null;
+  const match = baseName.match(/(\d{4})[-_.]?(\d{2})[-_.]?(\d{2})[-_ T]+(\d{2})[-_.:]?(\d{2})[-_.:]?(\d{2})/);
+  if (match) {
+    const [, year, month, day, hours, minutes, seconds] = match.map(Number);
+    const date = new Date(year, month - 1, day, hours, minutes, seconds);
+    recordedAt = Number.isNaN(date.getTime()) ? null : date;
+  }
+
+  return {
+    track: findTrack(baseName),
+    session: sessionWord ? SESSION_NAMES[sessionWord] : null,
+    recordedAt
+  };
+};
+
+// Function to look for the track ID in the start of a replay, for files renamed without it
+const readReplayHeaderTrack = (filePath) => {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const header = Buffer.alloc(HEADER_SCAN_SIZE);
+    const bytesRead = fs.readSync(fd, header, 0, header.length, 0);
+    const data = header.subarray(0, bytesRead);
+    // Strings in the header are stored as UTF-16 or plain ASCII depending on the game version
+    return findTrack(data.toString('latin1')) || findTrack(data.toString('utf16le'));
+  } finally {
+    fs.closeSync(fd);
+  }
+};
+
+// Function to list the saved replays, newest first
+const listReplays = (replayDir) => {
+  if (!fs.existsSync(replayDir)) {
+    return [];
+  }
+  return fs.readdirSync(replayDir, { withFileTypes: true })
+    .filter(entry => entry.isFile() && entry.name.toLowerCase().endsWith('.rpy'))
+    .map(entry => {
+      const filePath = path.join(replayDir, entry.name);
+      const stats = fs.statSync(filePath);
+      const parsed = parseReplayName(entry.name);
+      let track = parsed.track;
+      if (!track) {
+        try {
+          track = readReplayHeaderTrack(filePath);
+        } catch (error) {
+          console.warn('Cannot read replay header:', entry.name, error.message);
+        }
+      }
+      return {
+        fileName: entry.name,
+        size: stats.size,
+        modifiedAt: stats.mtime.toISOString(),
+        recordedAt: (parsed.recordedAt || stats.mtime).toISOString(),
+        track,
+        session: parsed.session
+      };
+    })
+    .sort((a, b) => new Date(b.modifiedAt) - new Date(a.modifiedAt));
+};
+
+// Function to get the path of the persisted replay uploads
+const getReplayUploadStatePath = () => {
+  return path.join(app.getPath('userData'), 'replay-uploads.json');
+};
+
+// Function to read the persisted replay uploads, { uploads: [...] }
+const readReplayUploadState = () => {
+  try {
+    const statePath = getReplayUploadStatePath();
+    if (fs.existsSync(statePath)) {
+      const data = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+      if (data && Array.isArray(data.uploads)) {
+        return data;
+      }
+    }
+  } catch (error) {
+    console.error('Error reading replay upload state:', error);
+  }
+  return { uploads: [] };
+};
+
+// Function to persist the replay uploads, forgetting all but the most recent completed ones
+const writeReplayUploadState = (state) => {
+  const completed = state.uploads.filter(upload => upload.status === 'complete').slice(-MAX_COMPLETED_UPLOADS);
+  const uploads = state.uploads.filter(upload => upload.status !== 'complete' || completed.includes(upload));
+  try {
+    fs.writeFileSync(getReplayUploadStatePath(), JSON.stringify({ ...state, uploads }, null, 2));
+  } catch (error) {
+    console.error('Error writing replay upload state:', error);
+  }
+};
+
+// Function to create a new replay upload, not yet known to the server
+const createReplayUpload = (replay, filePath, stats, target, profile) => ({
+  id: crypto.randomUUID(),
+  fileName: replay.fileName,
+  filePath,
+  size: stats.size,
+  mtimeMs: stats.mtimeMs,
+  track: replay.track,
+  session: replay.session,
+  recordedAt: replay.recordedAt,
+  target,
+  profile: profile.name,
+  baseUrl: new URL(profile.url).origin,
+  uploadId: null,
+  offset: 0,
+  status: 'uploading',
+  error: null,
+  startedAt: new Date().toISOString(),
+  completedAt: null
+});
+
+// Function to send a request of the upload protocol and parse its JSON answer
+const requestJson = async (url, { method = 'GET', cookieString = '', headers = {}, body, signal } = {}) => {
+  const response = await fetch(url, {
+    method,
+    headers: {
+      'User-Agent': 'Attrition Desktop App/1.0',
+      'Accept': 'application/json',
+      ...headers,
+      ...(cookieString ? { 'Cookie': cookieString } : {})
+    },
+    body,
+    signal
+  });
+  if (response.status === 401 || response.status === 403) {
+    throw Object.assign(new Error('Sign in to upload replays'), { status: response.status });
+  }
+  if (!response.ok) {
+    throw Object.assign(new Error(`HTTP ${response.status}: ${response.statusText}`), { status: response.status });
+  }
+  return response.json();
+};
+
+// Function to start an upload on the server. Returns the server's upload ID.
+const startRemoteUpload = async (upload, { cookieString, signal } = {}) => {
+  const { type, id } = upload.target;
+  const data = await requestJson(`${upload.baseUrl}/${UPLOAD_TARGETS[type]}/${encodeURIComponent(id)}/replays`, {
+    method: 'POST',
+    cookieString,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      fileName: upload.fileName,
+      size: upload.size,
+      chunkSize: CHUNK_SIZE,
+      track: upload.track,
+      session: upload.session,
+      recordedAt: upload.recordedAt
+    }),
+    signal
+  });
+  if (!data || typeof data.uploadId !== 'string') {
+    throw new Error('The server did not start the upload');
+  }
+  return data.uploadId;
+};
+
+// Function to ask the server how much of an upload it has received. Returns null when it no longer knows the upload,
+// or reports an offset outside the file, so the upload starts over.
+const getRemoteUploadOffset = async (upload, { cookieString, signal } = {}) => {
+  try {
+    const data = await requestJson(`${upload.baseUrl}/replays/uploads/${encodeURIComponent(upload.uploadId)}`, { cookieString, signal });
+    const offset = Number.isInteger(data.offset) ? data.offset : 0;
+    if (offset < 0 || offset > upload.size) {
+      console.warn(`Server reported an invalid offset ${offset} for a replay of ${upload.size} bytes`);
+      return null;
+    }
+    return offset;
+  } catch (error) {
+    if (error.status === 404 || error.status === 410) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+// Function to upload a replay from upload.offset to the end, one chunk at a time.
+// The server answers each chunk with the offset it has stored, which has to move forward; onChunk is called after each one.
+// Returns the server's answer to the last chunk.
+const uploadReplayChunks = async (upload, { cookieString, signal, onChunk } = {}) => {
+  const fd = fs.openSync(upload.filePath, 'r');
+  try {
+    let data = null;
+    while (upload.offset < upload.size) {
+      const length = Math.min(CHUNK_SIZE, upload.size - upload.offset);
+      const chunk = Buffer.alloc(length);
+      fs.readSync(fd, chunk, 0, length, upload.offset);
+      data = await requestJson(`${upload.baseUrl}/replays/uploads/${encodeURIComponent(upload.uploadId)}`, {
+        method: 'PUT',
+        cookieString,
+        headers: {
+          'Content-Type': 'application/octet-stream',
+          'Content-Range': `bytes ${upload.offset}-${upload.offset + length - 1}/${upload.size}`
+        },
+        body: chunk,
+        signal: signal ? AbortSignal.any([signal, AbortSignal.timeout(CHUNK_TIMEOUT)]) : AbortSignal.timeout(CHUNK_TIMEOUT)
+      });
+      const offset = Number.isInteger(data.offset) ? data.offset : upload.offset + length;
+      // An offset that does not move forward would send the same chunk forever
+      if (offset <= upload.offset || offset > upload.size) {
+        throw new Error(`The server reported an invalid upload offset ${offset} after ${upload.offset} of ${upload.size} bytes`);
+      }
+      upload.offset = offset;
+      onChunk(upload);
+    }
+    return data || {};
+  } finally {
+    fs.closeSync(fd);
+  }
+};
+
+module.exports = {
+  getReplayDirectory,
+  checkReplayFileName,
+  checkUploadTarget,
+  listReplays,
+  readReplayUploadState,
+  writeReplayUploadState,
+  createReplayUpload,
+  startRemoteUpload,
+  getRemoteUploadOffset,
+  uploadReplayChunks
+};
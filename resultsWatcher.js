@@ -0,0 +1,277 @@
+const { app } = require('electron');
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { decodeAccText } = require('./accFiles');
+
+// The server names result files after the end of the session in its local time, e.g. 231014_201530_R.json
+const RESULT_FILE_PATTERN = /^(\d{2})(\d{2})(\d{2})_(\d{2})(\d{2})(\d{2})_([A-Z0-9]+)\.json$/i;
+
+// How far apart the end of a session and the scheduled start of its event session may be.
+// Generous enough for 24 hour races, the closest earlier session wins anyway.
+const MAX_SESSION_SPAN = 26 * 60 * 60 * 1000;
+
+// Sessions may start a little before their scheduled time
+const EARLY_START_TOLERANCE = 15 * 60 * 1000;
+
+// Uploads are retried with a growing delay, and reported as failed after this many attempts
+const MAX_UPLOAD_ATTEMPTS = 8;
+const FIRST_RETRY_DELAY = 60 * 1000;
+const MAX_RETRY_DELAY = 60 * 60 * 1000;
+
+// Number of entries kept in the upload log
+const MAX_LOG_ENTRIES = 200;
+
+// Function to get the path of the persisted upload queue and log
+const getUploadStatePath = () => {
+  return path.join(app.getPath('userData'), 'result-uploads.json');
+};
+
+// Function to create an empty upload state.
+// seen maps each watched directory to the result files already picked up, by file name and modification time,
+// queue holds the files still to upload and log the files already uploaded.
+const createEmptyState = () => ({ seen: {}, queue: [], log: [] });
+
+// Function to read the persisted upload state
+const readUploadState = () => {
+  try {
+    const statePath = getUploadStatePath();
+    if (fs.existsSync(statePath)) {
+      const data = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+      if (data && typeof data === 'object' && !Array.isArray(data)) {
+        return { ...createEmptyState(), ...data };
+      }
+    }
+  } catch (error) {
+    console.error('Error reading result upload state:', error);
+  }
+  return createEmptyState();
+};
+
+// Function to persist the upload state
+const writeUploadState = (state) => {
+  try {
+    fs.writeFileSync(getUploadStatePath(), JSON.stringify({ ...state, log: state.log.slice(-MAX_LOG_ENTRIES) }, null, 2));
+  } catch (error) {
+    console.error('Error writing result upload state:', error);
+  }
+};
+
+// Function to get the end of a session from a result file name, falling back to the file's modification time
+const getSessionEnd = (fileName, stats) => {
+  const match = fileName.match(RESULT_FILE_PATTERN);
+  if (!match) {
+    return stats.mtime;
+  }
+  const [, year, month, day, hours, minutes, seconds] = match.map(Number);
+  return new Date(2000 + year, month - 1, day, hours, minutes, seconds);
+};
+
+// Function to read a result file written by the dedicated server.
+// Throws when the file isn't complete JSON yet or isn't an ACC result file.
+const readResultFile = (filePath) => {
+  const stats = fs.statSync(filePath);
+  const data = JSON.parse(decodeAccText(fs.readFileSync(filePath)).text);
+  if (!data || typeof data !== 'object' || !data.sessionResult || !data.trackName) {
+    throw new Error(`${path.basename(filePath)} is not an ACC result file`);
+  }
+  return {
+    fileName: path.basename(filePath),
+    sessionType: String(data.sessionType || ''),
+    track: String(data.trackName),
+    serverName: String(data.serverName || ''),
+    endedAt: getSessionEnd(path.basename(filePath), stats),
+    data
+  };
+};
+
+// Function to normalize a track ID for comparison, e.g. "Spa_2019" -> "spa"
+const normalizeTrack = (track) => {
+  return String(track || '').toLowerCase().replace(/_\d{4}$/, '');
+};
+
+// Function to normalize the events the server offers for result uploads.
+// Unlike upcoming events, sessions that already started are kept.
+const normalizeResultEvents = (events) => {
+  return (Array.isArray(events) ? events : [])
+    .filter(event => event && typeof event === 'object' && /^[A-Za-z0-9_-]{1,64}$/.test(String(event.id ?? '')))
+    .map(event => {
+      const sessions = (Array.isArray(event.sessions) && event.sessions.length > 0 ? event.sessions : [{ name: 'Start', startsAt: event.startsAt }])
+        .filter(session => session && typeof session === 'object')
+        .map(session => ({ name: String(session.name || 'Session'), startsAt: new Date(session.startsAt) }))
+        .filter(session => !Number.isNaN(session.startsAt.getTime()));
+      return {
+        id: String(event.id),
+        name: String(event.name || event.title || `Event ${event.id}`),
+        track: normalizeTrack(event.track),
+        sessions
+      };
+    });
+};
+
+// Function to find the event a result belongs to: an event on the same track with the latest
+// session that started before the result's session ended. Returns { event, session } or null.
+const matchResultToEvent = (result, events) => {
+  const track = normalizeTrack(result.track);
+  const endedAt = new Date(result.endedAt).getTime();
+  let best = null;
+  events
+    .filter(event => event.track === track)
+    .forEach(event => {
+      event.sessions.forEach(session => {
+        const startsAt = session.startsAt.getTime();
+        if (startsAt - EARLY_START_TOLERANCE > endedAt || endedAt - startsAt > MAX_SESSION_SPAN) {
+          return;
+        }
+        if (!best || startsAt > best.session.startsAt.getTime()) {
+          best = { event, session };
+        }
+      });
+    });
+  return best;
+};
+
+// Function to fetch the events results can be uploaded to, those held recently on the server.
+// The server answers like the registered events, with each event's track:
+//   [{ "id": 123, "name": "GT3 Sprint", "track": "spa", "sessions": [{ "name": "Race", "startsAt": "..." }] }]
+const fetchResultEvents = async (baseUrl, { cookieString = '', signal } = {}) => {
+  const response = await fetch(`${baseUrl}/events/recent`, {
+    method: 'GET',
+    headers: {
+      'User-Agent': 'Attrition Desktop App/1.0',
+      'Accept': 'application/json',
+      ...(cookieString ? { 'Cookie': cookieString } : {})
+    },
+    signal
+  });
+
+  const contentType = response.headers.get('content-type') || '';
+  if (response.status === 401 || response.status === 403 || contentType.includes('text/html')) {
+    throw new Error('Sign in as a league admin to upload results');
+  }
+  if (!response.ok) {
+    throw new Error(`Failed to fetch events: HTTP ${response.status}: ${response.statusText}`);
+  }
+  const data = await response.json();
+  return normalizeResultEvents(Array.isArray(data) ? data : data && data.events);
+};
+
+// Function to upload a result file to an event. A conflict means the server already has it.
+const uploadResult = async (baseUrl, eventId, result, { cookieString = '', signal } = {}) => {
+  const response = await fetch(`${baseUrl}/events/${encodeURIComponent(eventId)}/results`, {
+    method: 'POST',
+    headers: {
+      'User-Agent': 'Attrition Desktop App/1.0',
+      'Content-Type': 'application/json',
+      ...(cookieString ? { 'Cookie': cookieString } : {})
+    },
+    body: JSON.stringify({ fileName: result.fileName, sessionType: result.sessionType, result: result.data }),
+    signal
+  });
+  if (response.status === 401 || response.status === 403) {
+    throw new Error('Sign in as a league admin to upload results');
+  }
+  if (!response.ok && response.status !== 409) {
+    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  }
+};
+
+// Function to get the delay before the next attempt of an upload that failed attempts times
+const getRetryDelay = (attempts) => {
+  return Math.min(FIRST_RETRY_DELAY * 2 ** Math.max(attempts - 1, 0), MAX_RETRY_DELAY);
+};
+
+// Function to create a watcher for the dedicated server's results directory.
+// seen holds the files already picked up, { fileName: mtimeMs }, and is updated as files are found.
+// Without seen, the files already in the directory are skipped so old results aren't uploaded.
+// Emits 'file' with the path of each new result file, 'seen' with the updated seen files
+// and 'error' when the directory can't be read.
+const createResultsWatcher = (directory, { seen = null, scanInterval = 30000 } = {}) => {
+  const watcher = new EventEmitter();
+  const known = new Map(Object.entries(seen || {}));
+  let fsWatcher = null;
+  let scanTimer = null;
+  let debounceTimer = null;
+  let skipExisting = seen === null;
+
+  const listResultFiles = () => {
+    return fs.readdirSync(directory, { withFileTypes: true })
+      .filter(entry => entry.isFile() && entry.name.toLowerCase().endsWith('.json'))
+      .map(entry => {
+        const filePath = path.join(directory, entry.name);
+        return { fileName: entry.name, filePath, mtimeMs: fs.statSync(filePath).mtimeMs };
+      });
+  };
+
+  const scan = () => {
+    let files;
+    try {
+      files = listResultFiles();
+    } catch (error) {
+      watcher.emit('error', error);
+      return;
+    }
+    const newFiles = files.filter(file => known.get(file.fileName) !== file.mtimeMs);
+    newFiles.forEach(file => {
+      if (!skipExisting) {
+        try {
+          readResultFile(file.filePath);
+        } catch (error) {
+          // A file still being written is picked up again by a later scan
+          if (error instanceof SyntaxError && Date.now() - file.mtimeMs < 60000) {
+            return;
+          }
+          console.warn('Skipping result file:', error.message);
+          known.set(file.fileName, file.mtimeMs);
+          return;
+        }
+        watcher.emit('file', file.filePath);
+      }
+      known.set(file.fileName, file.mtimeMs);
+    });
+    skipExisting = false;
+    if (newFiles.length > 0) {
+      watcher.emit('seen', Object.fromEntries(known));
+    }
+  };
+
+  watcher.start = () => {
+    scan();
+    try {
+      // The server writes each result file in one go, a short pause lets it finish
+      fsWatcher = fs.watch(directory, () => {
+        clearTimeout(debounceTimer);
+        debounceTimer = setTimeout(scan, 2000);
+      });
+      fsWatcher.on('error', error => watcher.emit('error', error));
+    } catch (error) {
+      // Some network shares can't be watched, the periodic scan still finds new files
+      console.warn('Cannot watch results directory, falling back to polling:', error.message);
+    }
+    scanTimer = setInterval(scan, scanInterval);
+  };
+
+  watcher.stop = () => {
+    if (fsWatcher) {
+      fsWatcher.close();
+      fsWatcher = null;
+    }
+    clearInterval(scanTimer);
+    clearTimeout(debounceTimer);
+    scanTimer = null;
+  };
+
+  return watcher;
+};
+
+module.exports = {
+  MAX_UPLOAD_ATTEMPTS,
+  readUploadState,
+  writeUploadState,
+  readResultFile,
+  matchResultToEvent,
+  fetchResultEvents,
+  uploadResult,
+  getRetryDelay,
+  createResultsWatcher
+};
@@ -0,0 +1,295 @@
+// Stand-in for ACC's UDP Broadcasting API, to try live timing without the game.
+// It answers registrations and entry list and track data requests, and sends session and car
+// updates for a few cars driving around. Point the app at it with liveTiming.port in the config.
+//
+// Usage: node scripts/fakeAccBroadcasting.js [--port 9000] [--password asd] [--cars 3] [--stop-after <seconds>]
+// --stop-after stops the updates after that many seconds, like a frozen session,
+// so the client's watchdog can be seen registering again.
+const dgram = require('dgram');
+const { INBOUND, OUTBOUND, parseMessage } = require('../accBroadcasting');
+
+const TRACK_NAME = 'Monza Circuit';
+const TRACK_METERS = 5793;
+const LAP_TIME_MS = 108000;
+const NO_TIME = 2147483647;
+
+// Function to read the stand-in's flags
+const parseArgs = (args) => {
+  const options = { port: 9000, password: 'asd', cars: 3, stopAfter: null };
+  for (let i = 0; i < args.length; i += 2) {
+    const value = args[i + 1];
+    switch (args[i]) {
+      case '--port':
+        options.port = Number(value);
+        break;
+      case '--password':
+        options.password = value || '';
+        break;
+      case '--cars':
+        options.cars = Math.max(1, Math.min(60, Number(value) || 1));
+        break;
+      case '--stop-after':
+        options.stopAfter = Number(value);
+        break;
+      default:
+        throw new Error(`Unknown flag: ${args[i]}`);
+    }
+  }
+  return options;
+};
+
+// Function to encode a protocol string
+const encodeString = (value) => {
+  const bytes = Buffer.from(String(value), 'utf8');
+  const length = Buffer.alloc(2);
+  length.writeUInt16LE(bytes.length);
+  return Buffer.concat([length, bytes]);
+};
+
+// Function to encode little-endian numbers, given as [method, value] pairs, e.g. ['writeUInt16LE', 3]
+const encodeNumbers = (...fields) => {
+  const sizes = { writeUInt8: 1, writeUInt16LE: 2, writeInt32LE: 4, writeFloatLE: 4 };
+  const buffer = Buffer.alloc(fields.reduce((sum, [method]) => sum + sizes[method], 0));
+  let offset = 0;
+  fields.forEach(([method, value]) => {
+    buffer[method](value, offset);
+    offset += sizes[method];
+  });
+  return buffer;
+};
+
+// Function to encode a lap
+const encodeLap = ({ laptimeMs = NO_TIME, carIndex = 0, splits = [] } = {}) => {
+  return Buffer.concat([
+    encodeNumbers(['writeInt32LE', laptimeMs], ['writeUInt16LE', carIndex], ['writeUInt16LE', 0], ['writeUInt8', splits.length]),
+    encodeNumbers(...splits.map(split => ['writeInt32LE', split])),
+    encodeNumbers(['writeUInt8', 0], ['writeUInt8', 1], ['writeUInt8', 0], ['writeUInt8', 0])
+  ]);
+};
+
+// Function to build a REGISTRATION_RESULT
+const buildRegistrationResult = (connectionId, success, errorMessage) => {
+  return Buffer.concat([
+    encodeNumbers(['writeUInt8', INBOUND.REGISTRATION_RESULT], ['writeInt32LE', connectionId], ['writeUInt8', success ? 1 : 0], ['writeUInt8', 1]),
+    encodeString(errorMessage)
+  ]);
+};
+
+// Function to build a REALTIME_UPDATE of a race in progress
+const buildRealtimeUpdate = (sessionTimeMs, bestLap) => {
+  return Buffer.concat([
+    encodeNumbers(
+      ['writeUInt8', INBOUND.REALTIME_UPDATE],
+      ['writeUInt16LE', 0],
+      ['writeUInt16LE', 0],
+      ['writeUInt8', 10],
+      ['writeUInt8', 5],
+      ['writeFloatLE', sessionTimeMs],
+      ['writeFloatLE', 60 * 60 * 1000],
+      ['writeInt32LE', 0]
+    ),
+    encodeString('Drivable'),
+    encodeString('Chase'),
+    encodeString('Basic HUD'),
+    encodeNumbers(
+      ['writeUInt8', 0],
+      ['writeFloatLE', 14 * 60 * 60 * 1000 + sessionTimeMs],
+      ['writeUInt8', 22],
+      ['writeUInt8', 31],
+      ['writeUInt8', 1],
+      ['writeUInt8', 0],
+      ['writeUInt8', 0]
+    ),
+    encodeLap(bestLap)
+  ]);
+};
+
+// Function to build a REALTIME_CAR_UPDATE
+const buildCarUpdate = (car, position) => {
+  return Buffer.concat([
+    encodeNumbers(
+      ['writeUInt8', INBOUND.REALTIME_CAR_UPDATE],
+      ['writeUInt16LE', car.carIndex],
+      ['writeUInt16LE', 0],
+      ['writeUInt8', 1],
+      ['writeUInt8', 6],
+      ['writeFloatLE', 0],
+      ['writeFloatLE', 0],
+      ['writeFloatLE', 0],
+      ['writeUInt8', 1],
+      ['writeUInt16LE', 240],
+      ['writeUInt16LE', position],
+      ['writeUInt16LE', position],
+      ['writeUInt16LE', position],
+      ['writeFloatLE', car.distance % 1],
+      ['writeUInt16LE', Math.floor(car.distance)],
+      ['writeInt32LE', 0]
+    ),
+    encodeLap(car.bestLap),
+    encodeLap(car.lastLap),
+    encodeLap({ carIndex: car.carIndex })
+  ]);
+};
+
+// Function to build an ENTRY_LIST
+const buildEntryList = (connectionId, cars) => {
+  return encodeNumbers(
+    ['writeUInt8', INBOUND.ENTRY_LIST],
+    ['writeInt32LE', connectionId],
+    ['writeUInt16LE', cars.length],
+    ...cars.map(car => ['writeUInt16LE', car.carIndex])
+  );
+};
+
+// Function to build the ENTRY_LIST_CAR of a car with one driver
+const buildEntryListCar = (car) => {
+  return Buffer.concat([
+    encodeNumbers(['writeUInt8', INBOUND.ENTRY_LIST_CAR], ['writeUInt16LE', car.carIndex], ['writeUInt8', 30]),
+    encodeString(`Test Team ${car.carIndex + 1}`),
+    encodeNumbers(['writeInt32LE', car.raceNumber], ['writeUInt8', 0], ['writeUInt8', 0], ['writeUInt16LE', 0], ['writeUInt8', 1]),
+    encodeString('Test'),
+    encodeString(`Driver ${car.carIndex + 1}`),
+    encodeString(`D${car.carIndex + 1}`),
+    encodeNumbers(['writeUInt8', 1], ['writeUInt16LE', 0])
+  ]);
+};
+
+// Function to build a TRACK_DATA
+const buildTrackData = (connectionId) => {
+  return Buffer.concat([
+    encodeNumbers(['writeUInt8', INBOUND.TRACK_DATA], ['writeInt32LE', connectionId]),
+    encodeString(TRACK_NAME),
+    encodeNumbers(['writeInt32LE', 1], ['writeInt32LE', TRACK_METERS], ['writeUInt8', 0], ['writeUInt8', 0])
+  ]);
+};
+
+// Function to build a BROADCASTING_EVENT
+const buildBroadcastingEvent = (eventType, message, timeMs, carIndex) => {
+  return Buffer.concat([
+    encodeNumbers(['writeUInt8', INBOUND.BROADCASTING_EVENT], ['writeUInt8', eventType]),
+    encodeString(message),
+    encodeNumbers(['writeInt32LE', timeMs], ['writeInt32LE', carIndex])
+  ]);
+};
+
+const options = parseArgs(process.argv.slice(2));
+const socket = dgram.createSocket('udp4');
+const cars = Array.from({ length: options.cars }, (value, carIndex) => ({
+  carIndex,
+  raceNumber: carIndex + 1,
+  // Slightly different pace per car, so positions settle into an order
+  lapTimeMs: LAP_TIME_MS + carIndex * 700,
+  distance: 0,
+  bestLap: { carIndex },
+  lastLap: { carIndex }
+}));
+const clients = new Map();
+const startedAt = Date.now();
+let nextConnectionId = 1;
+let bestLap = {};
+
+// Function to send a packet to a registered client
+const sendTo = (client, buffer) => {
+  socket.send(buffer, client.port, client.address);
+};
+
+socket.on('message', (buffer, remote) => {
+  const key = `${remote.address}:${remote.port}`;
+  const type = buffer[0];
+
+  if (type === OUTBOUND.REGISTER_COMMAND_APPLICATION) {
+    // The request is "version, display name, password, interval, command password"
+    let offset = 2;
+    const readString = () => {
+      const length = buffer.readUInt16LE(offset);
+      const value = buffer.toString('utf8', offset + 2, offset + 2 + length);
+      offset += 2 + length;
+      return value;
+    };
+    let displayName, password, updateInterval;
+    try {
+      displayName = readString();
+      password = readString();
+      updateInterval = buffer.readInt32LE(offset);
+    } catch (error) {
+      console.warn(`Ignoring malformed registration from ${key}:`, error.message);
+      return;
+    }
+    if (password !== options.password) {
+      console.log(`Refused ${displayName} from ${key}: wrong password`);
+      sendTo(remote, buildRegistrationResult(-1, false, 'Password incorrect'));
+      return;
+    }
+    const client = { address: remote.address, port: remote.port, connectionId: nextConnectionId++, updateInterval, lastUpdateAt: 0 };
+    clients.set(key, client);
+    console.log(`Registered ${displayName} from ${key} as connection ${client.connectionId}, updates every ${updateInterval} ms`);
+    sendTo(client, buildRegistrationResult(client.connectionId, true, ''));
+    return;
+  }
+
+  const client = clients.get(key);
+  if (!client) {
+    return;
+  }
+  if (type === OUTBOUND.REQUEST_ENTRY_LIST) {
+    console.log(`Sending entry list to connection ${client.connectionId}`);
+    sendTo(client, buildEntryList(client.connectionId, cars));
+    cars.forEach(car => sendTo(client, buildEntryListCar(car)));
+  } else if (type === OUTBOUND.REQUEST_TRACK_DATA) {
+    sendTo(client, buildTrackData(client.connectionId));
+  } else if (type === OUTBOUND.UNREGISTER_COMMAND_APPLICATION) {
+    console.log(`Connection ${client.connectionId} unregistered`);
+    clients.delete(key);
+  }
+});
+
+// Move the cars and send the updates each client asked for
+const tick = () => {
+  const now = Date.now();
+  const sessionTimeMs = now - startedAt;
+  if (options.stopAfter !== null && sessionTimeMs > options.stopAfter * 1000) {
+    return;
+  }
+
+  cars.forEach(car => {
+    const previousLap = Math.floor(car.distance);
+    car.distance = sessionTimeMs / car.lapTimeMs;
+    if (Math.floor(car.distance) > previousLap) {
+      const laptimeMs = car.lapTimeMs + Math.round(Math.random() * 1500);
+      const sector = Math.round(laptimeMs / 3);
+      car.lastLap = { laptimeMs, carIndex: car.carIndex, splits: [sector, sector, laptimeMs - 2 * sector] };
+      if (!car.bestLap.laptimeMs || laptimeMs < car.bestLap.laptimeMs) {
+        car.bestLap = car.lastLap;
+      }
+      if (!bestLap.laptimeMs || laptimeMs < bestLap.laptimeMs) {
+        bestLap = car.lastLap;
+        clients.forEach(client => sendTo(client, buildBroadcastingEvent(6, `Best lap by #${car.raceNumber}`, sessionTimeMs, car.carIndex)));
+      }
+    }
+  });
+  const standings = [...cars].sort((a, b) => b.distance - a.distance);
+
+  clients.forEach(client => {
+    if (now - client.lastUpdateAt < client.updateInterval) {
+      return;
+    }
+    client.lastUpdateAt = now;
+    sendTo(client, buildRealtimeUpdate(sessionTimeMs, bestLap));
+    standings.forEach((car, index) => sendTo(client, buildCarUpdate(car, index + 1)));
+  });
+};
+
+// The packets are checked with the app's own parser once, so a mistake here shows up right away
+[
+  buildRegistrationResult(1, true, ''),
+  buildRealtimeUpdate(0, {}),
+  buildCarUpdate(cars[0], 1),
+  buildEntryList(1, cars),
+  buildEntryListCar(cars[0]),
+  buildTrackData(1)
+].forEach(packet => parseMessage(packet));
+
+socket.bind(options.port, '127.0.0.1', () => {
+  console.log(`Fake ACC broadcasting listening on 127.0.0.1:${options.port}, password "${options.password}", ${cars.length} cars`);
+  setInterval(tick, 50);
+});
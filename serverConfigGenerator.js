@@ -0,0 +1,348 @@
+const fs = require('fs');
+const path = require('path');
+const { decodeAccText, encodeAccText } = require('./accFiles');
+
+// Track IDs the ACC dedicated server accepts
+const KNOWN_TRACKS = [
+  'barcelona', 'brands_hatch', 'cota', 'donington', 'hungaroring', 'imola', 'indianapolis',
+  'kyalami', 'laguna_seca', 'misano', 'monza', 'mount_panorama', 'nurburgring', 'nurburgring_24h',
+  'oulton_park', 'paul_ricard', 'red_bull_ring', 'silverstone', 'snetterton', 'spa', 'suzuka',
+  'valencia', 'watkins_glen', 'zandvoort', 'zolder'
+];
+
+const CAR_GROUPS = ['FreeForAll', 'GT3', 'GT4', 'GT2', 'GTC', 'TCX'];
+
+const DRIVER_CATEGORIES = { bronze: 0, silver: 1, gold: 2, platinum: 3 };
+
+const SESSION_TYPES = { practice: 'P', qualifying: 'Q', race: 'R', p: 'P', q: 'Q', r: 'R' };
+
+// Defaults of the dedicated server for settings the event doesn't define
+const DEFAULT_EVENT = {
+  preRaceWaitingTimeSeconds: 80,
+  sessionOverTimeSeconds: 120,
+  ambientTemp: 22,
+  cloudLevel: 0.1,
+  rain: 0,
+  weatherRandomness: 1,
+  postQualySeconds: 10,
+  postRaceSeconds: 15,
+  simracerWeatherConditions: 0,
+  isFixedConditionQualification: 0
+};
+
+const DEFAULT_SETTINGS = {
+  serverName: 'Attrition Event',
+  adminPassword: '',
+  carGroup: 'FreeForAll',
+  trackMedalsRequirement: 0,
+  safetyRatingRequirement: -1,
+  racecraftRatingRequirement: -1,
+  password: '',
+  spectatorPassword: '',
+  maxCarSlots: 30,
+  dumpLeaderboards: 1,
+  isRaceLocked: 1,
+  randomizeTrackWhenEmpty: 0,
+  centralEntryListPath: '',
+  allowAutoDQ: 1,
+  shortFormationLap: 0,
+  formationLapType: 3,
+  ignorePrematureDisconnects: 1
+};
+
+const DEFAULT_EVENT_RULES = {
+  qualifyStandingType: 1,
+  pitWindowLengthSec: -1,
+  driverStintTimeSec: -1,
+  mandatoryPitstopCount: 0,
+  maxTotalDrivingTime: -1,
+  maxDriversCount: 1,
+  isRefuellingAllowedInRace: true,
+  isRefuellingTimeFixed: false,
+  isMandatoryPitstopRefuellingRequired: false,
+  isMandatoryPitstopTyreChangeRequired: false,
+  isMandatoryPitstopSwapDriverRequired: false,
+  tyreSetCount: 50
+};
+
+// Files generated in the server's cfg folder
+const SERVER_CONFIG_FILES = ['entrylist.json', 'event.json', 'settings.json', 'eventRules.json'];
+
+// Function to build the URL of an event's server definition
+const getServerConfigUrl = (baseUrl, eventId) => {
+  return `${baseUrl}/events/${eventId}/server-config`;
+};
+
+// Function to fetch an event's server definition with the session of the signed-in admin
+const fetchServerConfigDefinition = async (baseUrl, eventId, { cookieString = '', signal } = {}) => {
+  const response = await fetch(getServerConfigUrl(baseUrl, eventId), {
+    method: 'GET',
+    headers: {
+      'User-Agent': 'Attrition Desktop App/1.0',
+      'Accept': 'application/json',
+      ...(cookieString ? { 'Cookie': cookieString } : {})
+    },
+    signal: signal ? AbortSignal.any([signal, AbortSignal.timeout(30000)]) : AbortSignal.timeout(30000)
+  });
+
+  const contentType = response.headers.get('content-type') || '';
+  if (response.status === 401 || response.status === 403 || contentType.includes('text/html')) {
+    throw new Error('Only league admins can generate server configuration, make sure you are signed in');
+  }
+  if (!response.ok) {
+    throw new Error(`Failed to fetch server configuration: HTTP ${response.status}: ${response.statusText}`);
+  }
+  return response.json();
+};
+
+// Function to pick the fields of an object that are set, so they can override defaults
+const pickDefined = (source, keys) => {
+  return Object.fromEntries(keys.filter(key => source && source[key] !== undefined).map(key => [key, source[key]]));
+};
+
+// Function to convert a driver from the event definition
+const renderDriver = (driver, label, problems) => {
+  const steamId = String(driver.steamId || driver.playerId || '').replace(/^S/i, '');
+  if (!/^\d{17}$/.test(steamId)) {
+    problems.errors.push(`${label} has no valid Steam ID`);
+  }
+  const category = typeof driver.category === 'number'
+    ? driver.category
+    : DRIVER_CATEGORIES[String(driver.category || '').toLowerCase()];
+  return {
+    firstName: String(driver.firstName || ''),
+    lastName: String(driver.lastName || ''),
+    shortName: String(driver.shortName || String(driver.lastName || '').slice(0, 3)).toUpperCase().slice(0, 3),
+    ...(category !== undefined ? { driverCategory: category } : {}),
+    playerID: `S${steamId}`
+  };
+};
+
+// Function to convert the entry list from the event definition
+const renderEntryList = (definition, problems) => {
+  const raceNumbers = new Set();
+  const entries = (definition.entries || []).map((entry, index) => {
+    const label = `Entry ${entry.raceNumber ?? index + 1}`;
+    const raceNumber = Number(entry.raceNumber);
+    if (!Number.isInteger(raceNumber) || raceNumber < 1 || raceNumber > 998) {
+      problems.errors.push(`${label} has an invalid race number`);
+    } else if (raceNumbers.has(raceNumber)) {
+      problems.errors.push(`Race number ${raceNumber} is used more than once`);
+    }
+    raceNumbers.add(raceNumber);
+
+    const carModel = entry.carModel === undefined || entry.carModel === null ? -1 : Number(entry.carModel);
+    if (!Number.isInteger(carModel)) {
+      problems.errors.push(`${label} has an invalid car model`);
+    }
+    const drivers = (entry.drivers || []).map((driver, driverIndex) => renderDriver(driver, `${label} driver ${driverIndex + 1}`, problems));
+    if (drivers.length === 0) {
+      problems.errors.push(`${label} has no drivers`);
+    }
+
+    return {
+      drivers,
+      raceNumber,
+      forcedCarModel: carModel,
+      overrideDriverInfo: 1,
+      defaultGridPosition: Number.isInteger(entry.gridPosition) ? entry.gridPosition : -1,
+      ballastKg: Number(entry.ballastKg) || 0,
+      restrictor: Number(entry.restrictor) || 0,
+      customCar: '',
+      overrideCarModelForCustomCar: 1,
+      isServerAdmin: entry.admin ? 1 : 0
+    };
+  });
+
+  if (entries.length === 0) {
+    problems.warnings.push('The event has no entries, the server will accept any driver');
+  }
+  return { entries, forceEntryList: entries.length > 0 ? 1 : 0, configVersion: 1 };
+};
+
+// Function to convert the track, weather and sessions from the event definition
+const renderEvent = (definition, existing, problems) => {
+  const track = String(definition.track || '').toLowerCase();
+  if (!track) {
+    problems.errors.push('The event has no track');
+  } else if (!KNOWN_TRACKS.includes(track.replace(/_\d{4}$/, ''))) {
+    problems.warnings.push(`Track "${track}" is not a known ACC track ID`);
+  }
+
+  const sessions = (definition.sessions || []).map((session, index) => {
+    const sessionType = SESSION_TYPES[String(session.type || '').toLowerCase()];
+    if (!sessionType) {
+      problems.errors.push(`Session ${index + 1} has an unknown type "${session.type}"`);
+    }
+    const durationMinutes = Number(session.durationMinutes);
+    if (!(durationMinutes > 0)) {
+      problems.errors.push(`Session ${index + 1} has no duration`);
+    }
+    return {
+      hourOfDay: Number.isInteger(session.hourOfDay) ? session.hourOfDay : 12,
+      dayOfWeekend: Number.isInteger(session.dayOfWeekend) ? session.dayOfWeekend : 3,
+      timeMultiplier: Number(session.timeMultiplier) || 1,
+      sessionType,
+      sessionDurationMinutes: durationMinutes
+    };
+  });
+  if (!sessions.some(session => session.sessionType === 'R')) {
+    problems.warnings.push('The event has no race session');
+  }
+
+  return {
+    ...DEFAULT_EVENT,
+    ...existing,
+    ...pickDefined(definition.weather, ['ambientTemp', 'cloudLevel', 'rain', 'weatherRandomness']),
+    ...pickDefined(definition, ['preRaceWaitingTimeSeconds', 'sessionOverTimeSeconds', 'postQualySeconds', 'postRaceSeconds']),
+    track,
+    sessions,
+    configVersion: 1
+  };
+};
+
+// Function to convert the server settings from the event definition.
+// Passwords already in the cfg folder are kept unless the event sets them.
+const renderSettings = (definition, existing, problems) => {
+  const server = definition.server || {};
+  const carGroup = definition.carGroup || server.carGroup;
+  if (carGroup && !CAR_GROUPS.includes(carGroup)) {
+    problems.warnings.push(`Car group "${carGroup}" is not a known ACC car group`);
+  }
+  const settings = {
+    ...DEFAULT_SETTINGS,
+    ...existing,
+    ...pickDefined(server, [
+      'password', 'adminPassword', 'spectatorPassword', 'maxCarSlots', 'trackMedalsRequirement',
+      'safetyRatingRequirement', 'racecraftRatingRequirement', 'formationLapType', 'shortFormationLap', 'isRaceLocked'
+    ]),
+    ...(server.name || definition.name ? { serverName: String(server.name || definition.name) } : {}),
+    ...(carGroup ? { carGroup } : {}),
+    configVersion: 1
+  };
+  const entryCount = (definition.entries || []).length;
+  if (entryCount > settings.maxCarSlots) {
+    problems.warnings.push(`The entry list has ${entryCount} cars but the server only has ${settings.maxCarSlots} slots`);
+  }
+  return settings;
+};
+
+// Function to convert the race rules from the event definition
+const renderEventRules = (definition, existing) => {
+  return {
+    ...DEFAULT_EVENT_RULES,
+    ...existing,
+    ...pickDefined(definition.rules, Object.keys(DEFAULT_EVENT_RULES))
+  };
+};
+
+// Function to read a config file from the cfg folder. Returns null when it doesn't exist,
+// otherwise its text and encoding, and its parsed contents unless it isn't valid JSON.
+const readExistingFile = (directory, fileName) => {
+  const filePath = path.join(directory, fileName);
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+  const decoded = decodeAccText(fs.readFileSync(filePath));
+  let data = null;
+  try {
+    data = JSON.parse(decoded.text);
+  } catch (error) {
+    console.warn(`Existing ${fileName} is not valid JSON, it will be replaced:`, error.message);
+  }
+  return { ...decoded, data };
+};
+
+// Function to render the dedicated server config files for an event definition.
+// Returns the files with their current and new contents, plus problems found along the way.
+// Files are only safe to write when errors is empty.
+const renderServerConfig = (definition, directory) => {
+  const problems = { errors: [], warnings: [] };
+  const existing = Object.fromEntries(SERVER_CONFIG_FILES.map(fileName => [fileName, readExistingFile(directory, fileName)]));
+  const existingData = (fileName) => (existing[fileName] && existing[fileName].data) || {};
+
+  const contents = {
+    'entrylist.json': renderEntryList(definition, problems),
+    'event.json': renderEvent(definition, existingData('event.json'), problems),
+    'settings.json': renderSettings(definition, existingData('settings.json'), problems),
+    'eventRules.json': renderEventRules(definition, existingData('eventRules.json'))
+  };
+
+  const files = SERVER_CONFIG_FILES.map(fileName => {
+    const current = existing[fileName];
+    const text = JSON.stringify(contents[fileName], null, 4);
+    const currentText = current ? current.text.replace(/\r\n/g, '\n') : null;
+    return {
+      fileName,
+      text,
+      currentText,
+      // Rewritten even when only the encoding differs, the server misreads hand-saved UTF-8 files
+      status: currentText === null
+        ? 'new'
+        : currentText.trim() === text && current.encoding === 'utf16le' ? 'unchanged' : 'changed'
+    };
+  });
+
+  return { files, ...problems };
+};
+
+// Function to compute a line diff between two texts, as lines prefixed with ' ', '-' or '+'
+const diffLines = (oldText, newText) => {
+  const oldLines = oldText ? oldText.split('\n') : [];
+  const newLines = newText.split('\n');
+  // Longest common subsequence table, config files are small enough for the quadratic version
+  const lengths = Array.from({ length: oldLines.length + 1 }, () => new Array(newLines.length + 1).fill(0));
+  for (let i = oldLines.length - 1; i >= 0; i--) {
+    for (let j = newLines.length - 1; j >= 0; j--) {
+      lengths[i][j] = oldLines[i] === newLines[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const diff = [];
+  let i = 0;
+  let j = 0;
+  while (i < oldLines.length && j < newLines.length) {
+    if (oldLines[i] === newLines[j]) {
+      diff.push(` ${oldLines[i++]}`);
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      diff.push(`-${oldLines[i++]}`);
+    } else {
+      diff.push(`+${newLines[j++]}`);
+    }
+  }
+  while (i < oldLines.length) {
+    diff.push(`-${oldLines[i++]}`);
+  }
+  while (j < newLines.length) {
+    diff.push(`+${newLines[j++]}`);
+  }
+  return diff;
+};
+
+// Function to write rendered files into the cfg folder as UTF-16LE, keeping a .bak copy of each file it replaces.
+// writeFile is the atomic writer used for the app's own configuration.
+const writeServerConfigFiles = (directory, files, writeFile) => {
+  fs.mkdirSync(directory, { recursive: true });
+  return files
+    .filter(file => file.status !== 'unchanged')
+    .map(file => {
+      const filePath = path.join(directory, file.fileName);
+      if (file.status === 'changed') {
+        fs.copyFileSync(filePath, `${filePath}.bak`);
+      }
+      writeFile(filePath, encodeAccText(file.text));
+      return { fileName: file.fileName, status: file.status };
+    });
+};
+
+module.exports = {
+  KNOWN_TRACKS,
+  SERVER_CONFIG_FILES,
+  fetchServerConfigDefinition,
+  renderServerConfig,
+  diffLines,
+  writeServerConfigFiles
+};
@@ -0,0 +1,8 @@
+// Preload script for the server config preview, which runs with context isolation and without Node.
+// The window shows config text from the server, so it can only read the preview and answer it.
+const { contextBridge, ipcRenderer } = require('electron');
+
+contextBridge.exposeInMainWorld('serverConfigPreview', {
+  getPreview: () => ipcRenderer.invoke('get-server-config-preview'),
+  respond: (confirmed) => ipcRenderer.invoke('respond-server-config-preview', confirmed === true)
+});
@@ -0,0 +1,73 @@
+// Preload script for the configuration and settings windows, which run with context isolation and
+// without Node. Each page only gets the methods it uses; the main process additionally checks
+// that every request comes from the window it belongs to.
+const { contextBridge, ipcRenderer } = require('electron');
+
+// Settings the settings window may change, see applySetting in main.js for what each one accepts
+const SETTING_KEYS = [
+  'url',
+  'liveryDirectory',
+  'minimizeToTray',
+  'launchAtLogin',
+  'updateChannel',
+  'logLevel',
+  'navigationAllowlist',
+  'notifications',
+  'liveTiming'
+];
+
+// Function to validate a server URL before it is sent to the main process
+const checkUrl = (url) => {
+  if (typeof url !== 'string' || url.length > 2048) {
+    throw new TypeError('url must be a string');
+  }
+  return url;
+};
+
+// Function to validate the name of a setting
+const checkSettingKey = (key) => {
+  if (!SETTING_KEYS.includes(key)) {
+    throw new TypeError(`Unknown setting: ${key}`);
+  }
+  return key;
+};
+
+// Function to validate a callback
+const checkCallback = (callback) => {
+  if (typeof callback !== 'function') {
+    throw new TypeError('callback must be a function');
+  }
+  return callback;
+};
+
+// Function to subscribe to a main process event, returns a function that unsubscribes
+const subscribe = (channel, callback) => {
+  const listener = (event, payload) => callback(payload);
+  ipcRenderer.on(channel, listener);
+  return () => ipcRenderer.removeListener(channel, listener);
+};
+
+if (window.location.pathname.endsWith('/config.html')) {
+  // First-run setup and new profiles
+  contextBridge.exposeInMainWorld('configPage', {
+    getSavedConfig: () => ipcRenderer.invoke('get-saved-config'),
+    getProfiles: () => ipcRenderer.invoke('get-profiles'),
+    getDocumentsFolderCandidates: () => ipcRenderer.invoke('get-documents-folder-candidates'),
+    selectDocumentsFolder: (saveToActiveProfile) => ipcRenderer.invoke('select-documents-folder', { saveToActiveProfile: saveToActiveProfile === true }),
+    createProfile: (profile) => ipcRenderer.invoke('create-profile', {
+      name: String(profile && profile.name),
+      url: checkUrl(profile && profile.url),
+      liveryDirectory: profile && typeof profile.liveryDirectory === 'string' ? profile.liveryDirectory : null
+    }),
+    saveConfig: (config) => ipcRenderer.invoke('save-config', config),
+    configSaved: (url) => ipcRenderer.invoke('config-saved', checkUrl(url))
+  });
+} else {
+  contextBridge.exposeInMainWorld('settings', {
+    getSettings: () => ipcRenderer.invoke('get-settings'),
+    updateSetting: (key, value) => ipcRenderer.invoke('update-setting', checkSettingKey(key), value),
+    checkServerUrl: (url) => ipcRenderer.invoke('check-server-url', checkUrl(url)),
+    selectLiveryDirectory: () => ipcRenderer.invoke('select-settings-livery-directory'),
+    onSettingsChanged: (callback) => subscribe('settings-changed', checkCallback(callback))
+  });
+}
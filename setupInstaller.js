@@ -0,0 +1,193 @@
+const fs = require('fs');
+const path = require('path');
+const unzipper = require('unzipper');
+const { decodeAccText } = require('./accFiles');
+const { createCancelledError } = require('./liveryDownloader');
+
+// Folder names ACC uses for each car in Setups, the same as the carName setup files carry
+const CAR_FOLDERS = [
+  'porsche_991_gt3_r', 'mercedes_amg_gt3', 'ferrari_488_gt3', 'audi_r8_lms', 'lamborghini_huracan_gt3',
+  'mclaren_650s_gt3', 'nissan_gt_r_gt3_2018', 'bmw_m6_gt3', 'bentley_continental_gt3_2018', 'porsche_991ii_gt3_cup',
+  'nissan_gt_r_gt3_2017', 'bentley_continental_gt3_2016', 'amr_v12_vantage_gt3', 'lamborghini_gallardo_rex', 'jaguar_g3',
+  'lexus_rc_f_gt3', 'lamborghini_huracan_gt3_evo', 'honda_nsx_gt3', 'lamborghini_huracan_st', 'audi_r8_lms_evo',
+  'amr_v8_vantage_gt3', 'honda_nsx_gt3_evo', 'mclaren_720s_gt3', 'porsche_991ii_gt3_r', 'ferrari_488_gt3_evo',
+  'mercedes_amg_gt3_evo', 'ferrari_488_challenge_evo', 'bmw_m2_cs_racing', 'porsche_992_gt3_cup', 'lamborghini_huracan_st_evo2',
+  'bmw_m4_gt3', 'audi_r8_lms_evo_ii', 'ferrari_296_gt3', 'lamborghini_huracan_gt3_evo2', 'porsche_992_gt3_r',
+  'mclaren_720s_gt3_evo', 'ford_mustang_gt3',
+  'alpine_a110_gt4', 'amr_v8_vantage_gt4', 'audi_r8_gt4', 'bmw_m4_gt4', 'chevrolet_camaro_gt4r', 'ginetta_g55_gt4',
+  'ktm_xbow_gt4', 'maserati_mc_gt4', 'mclaren_570s_gt4', 'mercedes_amg_gt4', 'porsche_718_cayman_gt4_mr',
+  'audi_r8_lms_gt2', 'ktm_xbow_gt2', 'maserati_mc20_gt2', 'mercedes_amg_gt2', 'porsche_911_gt2_rs_cs_evo', 'porsche_935'
+];
+
+// Folder names ACC uses for each track in Setups, by track ID without its season suffix.
+// Laguna Seca is the only one ACC spells with capitals.
+const TRACK_FOLDERS = {
+  barcelona: 'barcelona',
+  brands_hatch: 'brands_hatch',
+  cota: 'cota',
+  donington: 'donington',
+  hungaroring: 'hungaroring',
+  imola: 'imola',
+  indianapolis: 'indianapolis',
+  kyalami: 'kyalami',
+  laguna_seca: 'Laguna_Seca',
+  misano: 'misano',
+  monza: 'monza',
+  mount_panorama: 'mount_panorama',
+  nurburgring: 'nurburgring',
+  nurburgring_24h: 'nurburgring_24h',
+  oulton_park: 'oulton_park',
+  paul_ricard: 'paul_ricard',
+  red_bull_ring: 'red_bull_ring',
+  silverstone: 'silverstone',
+  snetterton: 'snetterton',
+  spa: 'spa',
+  suzuka: 'suzuka',
+  valencia: 'valencia',
+  watkins_glen: 'watkins_glen',
+  zandvoort: 'zandvoort',
+  zolder: 'zolder'
+};
+
+// Limits for a setup pack, setups are a few kilobytes each
+const MAX_SETUP_SIZE = 1024 * 1024;
+const MAX_SETUP_FILES = 1000;
+
+// Function to get the Setups folder from the configured Customs folder
+const getSetupsDirectory = (customsDir) => {
+  return path.join(path.dirname(customsDir), 'Setups');
+};
+
+// Function to get ACC's folder name for a car, or null when it isn't a known car
+const getCarFolder = (name) => {
+  const lower = String(name || '').toLowerCase();
+  return CAR_FOLDERS.includes(lower) ? lower : null;
+};
+
+// Function to get ACC's folder name for a track ID such as "spa" or "Spa_2019", or null when it isn't a known track
+const getTrackFolder = (track) => {
+  const normalized = String(track || '').toLowerCase().replace(/_\d{4}$/, '');
+  return TRACK_FOLDERS[normalized] || null;
+};
+
+// Function to find where a setup from a pack belongs.
+// The car comes from the setup's carName, or from a folder in the pack named after a car,
+// the track from a folder in the pack named after a track, e.g. "spa/race.json" or "bmw_m4_gt3/spa/race.json".
+// Returns { car, track, fileName } or { reason } when the setup can't be placed.
+const resolveSetupTarget = (entryPath, setup) => {
+  const segments = entryPath.split('/').filter(Boolean);
+  const fileName = segments.pop();
+  if (!/^[^\\/:*?"<>|\0]{1,200}\.json$/i.test(fileName) || fileName.startsWith('.')) {
+    return { reason: 'Not a setup file name' };
+  }
+  const car = getCarFolder(setup.carName) || segments.map(getCarFolder).find(Boolean);
+  if (!car) {
+    return { reason: setup.carName ? `Unknown car "${setup.carName}"` : 'The setup names no car' };
+  }
+  const track = segments.map(getTrackFolder).find(Boolean);
+  if (!track) {
+    return { reason: 'The pack does not place the setup in a track folder' };
+  }
+  return { car, track, fileName };
+};
+
+// Function to make a timestamp for backup file names, e.g. 20231014-201530
+const formatBackupTimestamp = (date) => {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+};
+
+// Function to install the setups of a setup pack into the Setups folder.
+// A setup that would replace a different file of the same name is installed after the existing file
+// is renamed to <name>.json.<timestamp>.bak, which ACC doesn't list. Files that aren't setups, or
+// can't be placed under a car and track, are skipped and reported.
+// Returns { installed: [{ car, track, fileName, status: 'new' | 'updated' | 'unchanged', backupFile }], skipped: [{ path, reason }] }
+const installSetupPack = async (zipPath, setupsDir, { signal } = {}) => {
+  const archive = await unzipper.Open.file(zipPath);
+  const entries = archive.files.filter(entry => entry.type === 'File');
+  if (entries.length > MAX_SETUP_FILES) {
+    throw new Error(`The setup pack has ${entries.length} files, at most ${MAX_SETUP_FILES} are allowed`);
+  }
+
+  const installed = [];
+  const skipped = [];
+  const timestamp = formatBackupTimestamp(new Date());
+
+  for (const entry of entries) {
+    if (signal && signal.aborted) {
+      throw createCancelledError();
+    }
+    const entryPath = entry.path.replace(/\\/g, '/');
+    if (!entryPath.toLowerCase().endsWith('.json')) {
+      skipped.push({ path: entryPath, reason: 'Not a setup file' });
+      continue;
+    }
+    if (entry.uncompressedSize > MAX_SETUP_SIZE) {
+      skipped.push({ path: entryPath, reason: 'Too large for a setup' });
+      continue;
+    }
+
+    const data = await entry.buffer();
+    let setup;
+    try {
+      setup = JSON.parse(decodeAccText(data).text);
+    } catch (error) {
+      skipped.push({ path: entryPath, reason: `Invalid JSON: ${error.message}` });
+      continue;
+    }
+    if (!setup || typeof setup !== 'object' || (!setup.basicSetup && !setup.advancedSetup)) {
+      skipped.push({ path: entryPath, reason: 'Not an ACC setup' });
+      continue;
+    }
+
+    const target = resolveSetupTarget(entryPath, setup);
+    if (target.reason) {
+      skipped.push({ path: entryPath, reason: target.reason });
+      continue;
+    }
+
+    const { car, track, fileName } = target;
+    const destDir = path.join(setupsDir, car, track);
+    const destPath = path.join(destDir, fileName);
+    fs.mkdirSync(destDir, { recursive: true });
+
+    let status = 'new';
+    let backupFile = null;
+    if (fs.existsSync(destPath)) {
+      if (fs.readFileSync(destPath).equals(data)) {
+        installed.push({ car, track, fileName, status: 'unchanged', backupFile });
+        continue;
+      }
+      backupFile = `${fileName}.${timestamp}.bak`;
+      fs.renameSync(destPath, path.join(destDir, backupFile));
+      status = 'updated';
+    }
+    fs.writeFileSync(destPath, data);
+    installed.push({ car, track, fileName, status, backupFile });
+  }
+
+  return { installed, skipped };
+};
+
+// Function to describe an installed setup pack for a dialog or log
+const formatSetupReport = ({ installed, skipped }) => {
+  const lines = [];
+  const backedUp = installed.filter(setup => setup.backupFile);
+  if (backedUp.length > 0) {
+    lines.push('Existing setups were kept as backups:');
+    backedUp.forEach(setup => lines.push(`  ${setup.car}/${setup.track}/${setup.backupFile}`));
+  }
+  if (skipped.length > 0) {
+    lines.push('Skipped files:');
+    skipped.forEach(file => lines.push(`  ${file.path}: ${file.reason}`));
+  }
+  return lines.join('\n');
+};
+
+module.exports = {
+  getSetupsDirectory,
+  getCarFolder,
+  getTrackFolder,
+  installSetupPack,
+  formatSetupReport
+};
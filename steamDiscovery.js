@@ -0,0 +1,241 @@
+const { app } = require('electron');
+const fs = require('fs');
+const path = require('path');
+
+// Steam app ID of Assetto Corsa Competizione
+const ACC_APP_ID = '805550';
+
+// Location of the ACC Documents folder inside a Proton prefix
+const PREFIX_DOCUMENTS_PATH = ['pfx', 'drive_c', 'users', 'steamuser', 'Documents', 'Assetto Corsa Competizione'];
+
+// Function to list the Steam installation roots to look in, with how Steam was installed
+const getSteamRoots = () => {
+  const homeDir = app.getPath('home');
+  return [
+    { source: 'native', root: path.join(homeDir, '.steam', 'steam') },
+    { source: 'native', root: path.join(homeDir, '.steam', 'root') },
+    { source: 'native', root: path.join(homeDir, '.local', 'share', 'Steam') },
+    { source: 'flatpak', root: path.join(homeDir, '.var', 'app', 'com.valvesoftware.Steam', '.local', 'share', 'Steam') },
+    { source: 'flatpak', root: path.join(homeDir, '.var', 'app', 'com.valvesoftware.Steam', 'data', 'Steam') },
+    { source: 'snap', root: path.join(homeDir, 'snap', 'steam', 'common', '.local', 'share', 'Steam') }
+  ];
+};
+
+// Function to parse Valve's KeyValues (VDF) text format into nested objects
+const parseVdf = (text) => {
+  let index = 0;
+
+  const skipWhitespaceAndComments = () => {
+    while (index < text.length) {
+      if (/\s/.test(text[index])) {
+        index++;
+      } else if (text.startsWith('//', index)) {
+        const lineEnd = text.indexOf('\n', index);
+        index = lineEnd === -1 ? text.length : lineEnd + 1;
+      } else {
+        break;
+      }
+    }
+  };
+
+  const readToken = () => {
+    skipWhitespaceAndComments();
+    if (index >= text.length) {
+      return null;
+    }
+
+    const char = text[index];
+    if (char === '{' || char === '}') {
+      index++;
+      return { type: char };
+    }
+
+    if (char === '"') {
+      index++;
+      let value = '';
+      while (index < text.length && text[index] !== '"') {
+        if (text[index] === '\\' && index + 1 < text.length) {
+          const escaped = text[index + 1];
+          value += { n: '\n', t: '\t', '\\': '\\', '"': '"' }[escaped] || escaped;
+          index += 2;
+        } else {
+          value += text[index++];
+        }
+      }
+      index++; // closing quote
+      return { type: 'string', value };
+    }
+
+    // Unquoted token
+    let value = '';
+    while (index < text.length && !/[\s{}"]/.test(text[index])) {
+      value += text[index++];
+    }
+    return { type: 'string', value };
+  };
+
+  const readObject = () => {
+    const result = {};
+    while (true) {
+      const keyToken = readToken();
+      if (!keyToken || keyToken.type === '}') {
+        return result;
+      }
+      if (keyToken.type !== 'string') {
+        throw new Error(`Unexpected "${keyToken.type}" in VDF at offset ${index}`);
+      }
+      const valueToken = readToken();
+      if (!valueToken) {
+        throw new Error(`Missing value for "${keyToken.value}" in VDF`);
+      }
+      result[keyToken.value] = valueToken.type === '{' ? readObject() : valueToken.value;
+    }
+  };
+
+  return readObject();
+};
+
+// Function to read a key case-insensitively, VDF keys aren't consistently cased
+const getKey = (object, key) => {
+  const match = Object.keys(object || {}).find(candidate => candidate.toLowerCase() === key.toLowerCase());
+  return match === undefined ? undefined : object[match];
+};
+
+// Function to list the library folders of a Steam root and whether each holds ACC
+const getSteamLibraries = (steamRoot) => {
+  const libraries = [{ path: steamRoot, hasAcc: false }];
+  const vdfPaths = [
+    path.join(steamRoot, 'steamapps', 'libraryfolders.vdf'),
+    path.join(steamRoot, 'config', 'libraryfolders.vdf')
+  ];
+
+  for (const vdfPath of vdfPaths) {
+    if (!fs.existsSync(vdfPath)) {
+      continue;
+    }
+    try {
+      const folders = getKey(parseVdf(fs.readFileSync(vdfPath, 'utf8')), 'libraryfolders') || {};
+      Object.entries(folders)
+        .filter(([key]) => /^\d+$/.test(key))
+        .forEach(([, value]) => {
+          // Newer files hold an object with path and apps, older ones just the path
+          const libraryPath = typeof value === 'string' ? value : getKey(value, 'path');
+          if (!libraryPath) {
+            return;
+          }
+          const apps = typeof value === 'object' ? getKey(value, 'apps') || {} : {};
+          const existing = libraries.find(library => path.resolve(library.path) === path.resolve(libraryPath));
+          const hasAcc = Object.prototype.hasOwnProperty.call(apps, ACC_APP_ID);
+          if (existing) {
+            existing.hasAcc = existing.hasAcc || hasAcc;
+          } else {
+            libraries.push({ path: libraryPath, hasAcc });
+          }
+        });
+      break;
+    } catch (error) {
+      console.warn('Failed to parse Steam library folders:', vdfPath, error.message);
+    }
+  }
+
+  // The app manifest is authoritative when the apps list is missing or stale
+  libraries.forEach(library => {
+    if (fs.existsSync(path.join(library.path, 'steamapps', `appmanifest_${ACC_APP_ID}.acf`))) {
+      library.hasAcc = true;
+    }
+  });
+
+  return libraries;
+};
+
+// Function to get a stable key for a folder so the same prefix reached via symlinks is listed once
+const getRealPath = (folder) => {
+  try {
+    return fs.realpathSync(folder);
+  } catch (error) {
+    return path.resolve(folder);
+  }
+};
+
+// Function to find ACC Documents folders inside Proton prefixes, best match first.
+// Only folders that already contain a Customs folder are returned.
+const findProtonDocumentsFolders = () => {
+  const candidates = [];
+  const seen = new Set();
+
+  const addCandidate = (documentsPath, details) => {
+    const customsPath = path.join(documentsPath, 'Customs');
+    if (!fs.existsSync(customsPath) || !fs.statSync(customsPath).isDirectory()) {
+      return;
+    }
+    const key = getRealPath(documentsPath);
+    if (seen.has(key)) {
+      return;
+    }
+    seen.add(key);
+    candidates.push({ documentsPath, customsPath, ...details });
+  };
+
+  // An explicit compat data path from the environment wins over anything we discover
+  if (process.env.STEAM_COMPAT_DATA_PATH) {
+    addCandidate(path.join(process.env.STEAM_COMPAT_DATA_PATH, ...PREFIX_DOCUMENTS_PATH), {
+      source: 'environment',
+      libraryPath: null,
+      hasAcc: true,
+      rank: 0
+    });
+  }
+
+  getSteamRoots()
+    .filter(({ root }) => fs.existsSync(root))
+    .forEach(({ source, root }) => {
+      getSteamLibraries(root).forEach(library => {
+        addCandidate(path.join(library.path, 'steamapps', 'compatdata', ACC_APP_ID, ...PREFIX_DOCUMENTS_PATH), {
+          source,
+          libraryPath: library.path,
+          hasAcc: library.hasAcc,
+          // Libraries that hold the game come first, native Steam before Flatpak and Snap
+          rank: (library.hasAcc ? 1 : 3) + (source === 'native' ? 0 : 1)
+        });
+      });
+    });
+
+  // Newest Customs folder first among equally ranked candidates
+  return candidates
+    .map(candidate => ({ ...candidate, modifiedAt: fs.statSync(candidate.customsPath).mtimeMs }))
+    .sort((a, b) => a.rank - b.rank || b.modifiedAt - a.modifiedAt)
+    .map(({ rank, modifiedAt, ...candidate }) => candidate);
+};
+
+// Function to find candidate ACC Documents folders for the current platform, best match first
+const findDocumentsFolderCandidates = () => {
+  if (process.platform === 'linux') {
+    return findProtonDocumentsFolders();
+  }
+
+  const documentsPath = path.join(app.getPath('documents'), 'Assetto Corsa Competizione');
+  const customsPath = path.join(documentsPath, 'Customs');
+  return fs.existsSync(customsPath)
+    ? [{ documentsPath, customsPath, source: 'documents', libraryPath: null, hasAcc: true }]
+    : [];
+};
+
+// Function to describe where a candidate folder was found
+const getCandidateLabel = (candidate) => {
+  const sourceLabel = {
+    native: 'Steam',
+    flatpak: 'Flatpak Steam',
+    snap: 'Snap Steam',
+    environment: 'STEAM_COMPAT_DATA_PATH',
+    documents: 'Documents'
+  }[candidate.source] || candidate.source;
+  return candidate.libraryPath ? `${sourceLabel} (${candidate.libraryPath})` : sourceLabel;
+};
+
+module.exports = {
+  ACC_APP_ID,
+  parseVdf,
+  getSteamLibraries,
+  findDocumentsFolderCandidates,
+  getCandidateLabel
+};
@@ -0,0 +1,115 @@
+// Number of events listed in the tray menu
+const MAX_TRAY_EVENTS = 5;
+
+// Function to build the URL listing the events the signed-in user is registered for
+const getRegisteredEventsUrl = (baseUrl) => {
+  return `${baseUrl}/events/registered`;
+};
+
+// Function to parse a date from the server, null when missing or invalid
+const parseDate = (value) => {
+  if (!value) {
+    return null;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Function to normalize an event from the server. Returns null for entries without a usable ID.
+// sessions holds the sessions that haven't started yet, soonest first; an event without
+// sessions has its start as the only one. The next session is the first of them.
+const normalizeEvent = (event, baseUrl, now = new Date()) => {
+  if (!event || typeof event !== 'object') {
+    return null;
+  }
+  const id = String(event.id ?? '');
+  if (!/^[A-Za-z0-9_-]{1,64}$/.test(id)) {
+    return null;
+  }
+
+  const startsAt = parseDate(event.startsAt);
+  let sessions = (Array.isArray(event.sessions) ? event.sessions : [])
+    .filter(session => session && typeof session === 'object')
+    .map(session => ({ name: String(session.name || 'Session').slice(0, 64), startsAt: parseDate(session.startsAt) }))
+    .filter(session => session.startsAt && session.startsAt > now)
+    .sort((a, b) => a.startsAt - b.startsAt);
+  if (sessions.length === 0 && startsAt && startsAt > now) {
+    sessions = [{ name: 'Start', startsAt }];
+  }
+
+  return {
+    id,
+    name: String(event.name || event.title || `Event ${id}`).slice(0, 100),
+    url: `${baseUrl}/events/${encodeURIComponent(id)}`,
+    startsAt,
+    sessions,
+    nextSession: sessions[0] || null
+  };
+};
+
+// Function to normalize a list of events, keeping those with a session still to come, soonest first
+const normalizeEvents = (events, baseUrl, limit = Infinity) => {
+  const now = new Date();
+  return events
+    .map(event => normalizeEvent(event, baseUrl, now))
+    .filter(event => event && event.nextSession)
+    .sort((a, b) => a.nextSession.startsAt - b.nextSession.startsAt)
+    .slice(0, limit);
+};
+
+// Function to fetch the upcoming events the user is registered for, soonest first.
+// The server answers with a JSON array of events, or an object with an events array:
+//   [{ "id": 123, "name": "GT3 Sprint", "startsAt": "...", "sessions": [{ "name": "Race", "startsAt": "..." }] }]
+// Throws with .unauthorized set when the session isn't signed in.
+const fetchUpcomingEvents = async (baseUrl, { cookieString = '', signal } = {}) => {
+  const response = await fetch(getRegisteredEventsUrl(baseUrl), {
+    method: 'GET',
+    headers: {
+      'User-Agent': 'Attrition Desktop App/1.0',
+      'Accept': 'application/json',
+      ...(cookieString ? { 'Cookie': cookieString } : {})
+    },
+    signal
+  });
+
+  const contentType = response.headers.get('content-type') || '';
+  // Signed-out sessions get a login page or an auth error instead of JSON
+  if (response.status === 401 || response.status === 403 || contentType.includes('text/html')) {
+    const error = new Error('Sign in to see your upcoming events');
+    error.unauthorized = true;
+    throw error;
+  }
+  if (!response.ok) {
+    throw new Error(`Failed to fetch events: HTTP ${response.status}: ${response.statusText}`);
+  }
+
+  const data = await response.json();
+  const events = Array.isArray(data) ? data : Array.isArray(data && data.events) ? data.events : null;
+  if (!events) {
+    throw new Error('Unexpected response when fetching events');
+  }
+
+  return normalizeEvents(events, baseUrl);
+};
+
+// Function to format the time until a date, e.g. "2d 4h", "3h 15m" or "12m"
+const formatTimeUntil = (date, now = new Date()) => {
+  const totalMinutes = Math.max(0, Math.floor((date - now) / 60000));
+  const days = Math.floor(totalMinutes / 1440);
+  const hours = Math.floor((totalMinutes % 1440) / 60);
+  const minutes = totalMinutes % 60;
+  if (days > 0) {
+    return `${days}d ${hours}h`;
+  }
+  if (hours > 0) {
+    return `${hours}h ${minutes}m`;
+  }
+  return `${minutes}m`;
+};
+
+module.exports = {
+  MAX_TRAY_EVENTS,
+  normalizeEvents,
+  fetchUpcomingEvents,
+  formatTimeUntil
+};
@@ -0,0 +1,298 @@
+const { app } = require('electron');
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { downloadFileWithRetry } = require('./liveryDownloader');
+
+const RELEASES_URL = 'https://api.github.com/repos/blumlaut/attrition-desktop/releases';
+
+// Release channels: stable only offers full releases, beta also offers pre-releases
+const UPDATE_CHANNELS = ['stable', 'beta'];
+
+// Release asset installed on each platform. Other platforms are sent to the release page.
+const PLATFORM_ASSETS = {
+  win32: /\.exe$/i,
+  linux: /\.appimage$/i
+};
+
+// Checksum files a release may carry for assets GitHub has no digest for
+const CHECKSUM_ASSET_PATTERN = /^sha256sums(\.txt)?$/i;
+
+// Function to parse a version like "1.2.3" or "v1.3.0-beta.2", returns null when it isn't one
+const parseVersion = (version) => {
+  const match = String(version || '').trim().match(/^v?(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/);
+  if (!match) {
+    return null;
+  }
+  return {
+    major: Number(match[1]),
+    minor: Number(match[2]),
+    patch: Number(match[3]),
+    prerelease: match[4] ? match[4].split('.') : []
+  };
+};
+
+// Function to compare two pre-release identifiers by semver rules: numeric ones by value and below text ones
+const comparePrereleaseIdentifiers = (a, b) => {
+  const aNumeric = /^\d+$/.test(a);
+  const bNumeric = /^\d+$/.test(b);
+  if (aNumeric && bNumeric) {
+    return Math.sign(Number(a) - Number(b));
+  }
+  if (aNumeric !== bNumeric) {
+    return aNumeric ? -1 : 1;
+  }
+  return a < b ? -1 : a > b ? 1 : 0;
+};
+
+// Function to compare two versions by semver precedence.
+// Returns 1 when version1 is newer, -1 when version2 is newer and 0 when they are the same.
+// A pre-release comes before its release, e.g. 1.2.0-beta.1 < 1.2.0.
+const compareVersions = (version1, version2) => {
+  const v1 = parseVersion(version1);
+  const v2 = parseVersion(version2);
+  if (!v1 || !v2) {
+    throw new Error(`Cannot compare versions "${version1}" and "${version2}"`);
+  }
+  for (const part of ['major', 'minor', 'patch']) {
+    if (v1[part] !== v2[part]) {
+      return v1[part] > v2[part] ? 1 : -1;
+    }
+  }
+  if (v1.prerelease.length === 0 || v2.prerelease.length === 0) {
+    return Math.sign(v2.prerelease.length - v1.prerelease.length);
+  }
+  for (let i = 0; i < Math.max(v1.prerelease.length, v2.prerelease.length); i++) {
+    if (v1.prerelease[i] === undefined) {
+      return -1;
+    }
+    if (v2.prerelease[i] === undefined) {
+      return 1;
+    }
+    const result = comparePrereleaseIdentifiers(v1.prerelease[i], v2.prerelease[i]);
+    if (result !== 0) {
+      return result;
+    }
+  }
+  return 0;
+};
+
+// Function to get the folder downloaded updates are kept in until they are installed
+const getUpdateDirectory = () => {
+  return path.join(app.getPath('userData'), 'updates');
+};
+
+// Function to get the path of the persisted update state
+const getUpdateStatePath = () => {
+  return path.join(app.getPath('userData'), 'update-state.json');
+};
+
+// Function to read the persisted update state.
+// etag and releases cache GitHub's last answer, skippedVersion is the version the user chose to skip
+// and downloaded the installer waiting to be installed on quit, { version, filePath }.
+const readUpdateState = () => {
+  const state = { etag: null, releases: [], checkedAt: null, skippedVersion: null, downloaded: null };
+  try {
+    const statePath = getUpdateStatePath();
+    if (fs.existsSync(statePath)) {
+      const data = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+      if (data && typeof data === 'object' && !Array.isArray(data)) {
+        return { ...state, ...data };
+      }
+    }
+  } catch (error) {
+    console.error('Error reading update state:', error);
+  }
+  return state;
+};
+
+// Function to persist the update state
+const writeUpdateState = (state) => {
+  try {
+    fs.writeFileSync(getUpdateStatePath(), JSON.stringify(state, null, 2));
+  } catch (error) {
+    console.error('Error writing update state:', error);
+  }
+};
+
+// Function to keep the parts of a GitHub release the updater uses
+const summarizeRelease = (release) => ({
+  tagName: String(release.tag_name || ''),
+  name: String(release.name || release.tag_name || ''),
+  prerelease: Boolean(release.prerelease),
+  draft: Boolean(release.draft),
+  url: String(release.html_url || ''),
+  notes: String(release.body || ''),
+  publishedAt: release.published_at || null,
+  assets: (Array.isArray(release.assets) ? release.assets : []).map(asset => ({
+    name: String(asset.name || ''),
+    size: Number(asset.size) || 0,
+    url: String(asset.browser_download_url || ''),
+    digest: typeof asset.digest === 'string' ? asset.digest : null
+  }))
+});
+
+// Function to fetch the releases, reusing the cached list when GitHub answers that it hasn't changed.
+// Conditional requests answered with 304 don't count against GitHub's rate limit.
+// Updates state with the new ETag and releases; returns the releases.
+const fetchReleases = async (state, { signal } = {}) => {
+  const response = await fetch(RELEASES_URL, {
+    headers: {
+      'User-Agent': 'Attrition Desktop App/1.0',
+      'Accept': 'application/vnd.github+json',
+      ...(state.etag && state.releases.length > 0 ? { 'If-None-Match': state.etag } : {})
+    },
+    signal
+  });
+
+  if (response.status === 304) {
+    console.log('Releases unchanged since the last check');
+    state.checkedAt = new Date().toISOString();
+    return state.releases;
+  }
+  if ((response.status === 403 || response.status === 429) && response.headers.get('x-ratelimit-remaining') === '0') {
+    const reset = Number(response.headers.get('x-ratelimit-reset'));
+    const resetAt = reset ? new Date(reset * 1000).toLocaleTimeString() : 'later';
+    throw new Error(`GitHub's rate limit was reached, try again after ${resetAt}`);
+  }
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+
+  const releases = await response.json();
+  if (!Array.isArray(releases)) {
+    throw new Error('Unexpected answer from GitHub');
+  }
+  state.etag = response.headers.get('etag');
+  state.releases = releases.map(summarizeRelease);
+  state.checkedAt = new Date().toISOString();
+  return state.releases;
+};
+
+// Function to find the newest release offered on a channel, returns { version, release } or null
+const findLatestRelease = (releases, channel) => {
+  let latest = null;
+  releases
+    .filter(release => !release.draft && (channel === 'beta' || !release.prerelease))
+    .forEach(release => {
+      const version = release.tagName.replace(/^v/, '');
+      if (!parseVersion(version)) {
+        return;
+      }
+      // A stable channel never offers a version with a pre-release tag, even if it wasn't flagged as one
+      if (channel !== 'beta' && parseVersion(version).prerelease.length > 0) {
+        return;
+      }
+      if (!latest || compareVersions(version, latest.version) > 0) {
+        latest = { version, release };
+      }
+    });
+  return latest;
+};
+
+// Function to pick the installer of a release for a platform, or null when it has none
+const selectReleaseAsset = (release, platform = process.platform) => {
+  const pattern = PLATFORM_ASSETS[platform];
+  if (!pattern) {
+    return null;
+  }
+  return release.assets.find(asset => pattern.test(asset.name)) || null;
+};
+
+// Function to get the expected SHA-256 hash of a release asset. GitHub publishes a digest for
+// assets uploaded since mid 2025, older releases carry a SHA256SUMS file instead.
+const getAssetChecksum = async (release, asset, { signal } = {}) => {
+  if (asset.digest && asset.digest.startsWith('sha256:')) {
+    return asset.digest.slice('sha256:'.length).toLowerCase();
+  }
+  const checksumAsset = release.assets.find(candidate => CHECKSUM_ASSET_PATTERN.test(candidate.name));
+  if (!checksumAsset) {
+    return null;
+  }
+  const response = await fetch(checksumAsset.url, {
+    headers: { 'User-Agent': 'Attrition Desktop App/1.0' },
+    signal
+  });
+  if (!response.ok) {
+    throw new Error(`Failed to download ${checksumAsset.name}: HTTP ${response.status}`);
+  }
+  // Lines of "<hash>  <file name>", as written by sha256sum. GitHub replaces spaces in asset names with dots.
+  const line = (await response.text())
+    .split(/\r?\n/)
+    .map(text => text.trim().match(/^([0-9a-f]{64})\s+\*?(.+)$/i))
+    .find(match => match && match[2].replace(/ /g, '.') === asset.name);
+  return line ? line[1].toLowerCase() : null;
+};
+
+// Function to calculate the SHA-256 hash of a file
+const hashFile = (filePath) => {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    const stream = fs.createReadStream(filePath);
+    stream.on('data', chunk => hash.update(chunk));
+    stream.on('error', reject);
+    stream.on('end', () => resolve(hash.digest('hex')));
+  });
+};
+
+// Function to download a release's installer into the updates folder and verify its checksum.
+// Releases without a published checksum are refused. Returns the installer's path.
+const downloadUpdate = async (release, asset, { signal, onProgress } = {}) => {
+  const expected = await getAssetChecksum(release, asset, { signal });
+  if (!expected) {
+    throw new Error(`Release ${release.tagName} publishes no checksum for ${asset.name}`);
+  }
+
+  const updateDir = getUpdateDirectory();
+  fs.rmSync(updateDir, { recursive: true, force: true });
+  fs.mkdirSync(updateDir, { recursive: true });
+  const filePath = path.join(updateDir, path.basename(asset.name));
+  const downloadPath = `${filePath}.download`;
+
+  await downloadFileWithRetry(asset.url, downloadPath, { signal, onProgress });
+  const actual = await hashFile(downloadPath);
+  if (actual !== expected) {
+    fs.rmSync(downloadPath, { force: true });
+    throw new Error(`The downloaded ${asset.name} does not match its checksum`);
+  }
+  fs.renameSync(downloadPath, filePath);
+  return filePath;
+};
+
+// Function to start installing a downloaded update while the app quits.
+// Windows runs the NSIS installer silently, which restarts the app when done.
+// An AppImage is replaced in place and used from the next launch.
+// Returns false when the platform or the way the app was started can't be updated this way.
+const installUpdate = (filePath, platform = process.platform) => {
+  if (platform === 'win32') {
+    const installer = spawn(filePath, ['/S', '--force-run'], { detached: true, stdio: 'ignore' });
+    installer.on('error', error => console.error('Error starting the update installer:', error));
+    installer.unref();
+    return true;
+  }
+  if (platform === 'linux' && process.env.APPIMAGE) {
+    // Writing next to the running AppImage and renaming keeps the old one intact until the last moment
+    const target = process.env.APPIMAGE;
+    const tempPath = `${target}.update`;
+    fs.copyFileSync(filePath, tempPath);
+    fs.chmodSync(tempPath, 0o755);
+    fs.renameSync(tempPath, target);
+    fs.rmSync(filePath, { force: true });
+    return true;
+  }
+  return false;
+};
+
+module.exports = {
+  UPDATE_CHANNELS,
+  parseVersion,
+  compareVersions,
+  readUpdateState,
+  writeUpdateState,
+  fetchReleases,
+  findLatestRelease,
+  selectReleaseAsset,
+  downloadUpdate,
+  installUpdate
+};
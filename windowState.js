@@ -0,0 +1,225 @@
+const { app, screen } = require('electron');
+const fs = require('fs');
+const path = require('path');
+
+// Size of the main window the first time it opens for a server
+const DEFAULT_BOUNDS = { width: 1200, height: 800 };
+
+// Zoom factors View → Zoom In and Zoom Out step through, the same steps as Chrome
+const ZOOM_FACTORS = [0.25, 0.33, 0.5, 0.67, 0.75, 0.8, 0.9, 1, 1.1, 1.25, 1.5, 1.75, 2, 2.5, 3, 4, 5];
+
+// A restored window keeps its position when this much of its title bar is on a display,
+// enough to drag it. Otherwise it is moved onto a display.
+const MIN_VISIBLE_TITLE_WIDTH = 100;
+const TITLE_BAR_HEIGHT = 30;
+
+// Moving and resizing fire many events, the state is saved once they settle
+const SAVE_DELAY = 500;
+
+// Function to get the path of the persisted window states
+const getWindowStatePath = () => {
+  return path.join(app.getPath('userData'), 'window-state.json');
+};
+
+// Function to get the key a server's window state is stored under, its origin
+const getServerKey = (url) => {
+  try {
+    return new URL(url).origin;
+  } catch (error) {
+    return String(url);
+  }
+};
+
+// Function to read the window states of all servers
+const readWindowStates = () => {
+  try {
+    const statePath = getWindowStatePath();
+    if (fs.existsSync(statePath)) {
+      const data = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+      if (data && typeof data === 'object' && !Array.isArray(data)) {
+        return data;
+      }
+    }
+  } catch (error) {
+    console.error('Error reading window state:', error);
+  }
+  return {};
+};
+
+// Function to persist the window states of all servers
+const writeWindowStates = (states) => {
+  try {
+    fs.writeFileSync(getWindowStatePath(), JSON.stringify(states, null, 2));
+  } catch (error) {
+    console.error('Error writing window state:', error);
+  }
+};
+
+// Function to check that saved bounds are numbers a window can use
+const isValidBounds = (bounds) => {
+  return Boolean(bounds) && ['x', 'y', 'width', 'height'].every(key => Number.isFinite(bounds[key])) &&
+    bounds.width > 0 && bounds.height > 0;
+};
+
+// Function to get the main window state saved for a server.
+// Returns { bounds, isMaximized, isFullScreen, displayId, zoomFactor }; bounds is null until the window was saved once.
+const getWindowState = (url) => {
+  const saved = readWindowStates()[getServerKey(url)] || {};
+  return {
+    bounds: isValidBounds(saved.bounds) ? saved.bounds : null,
+    isMaximized: saved.isMaximized === true,
+    isFullScreen: saved.isFullScreen === true,
+    displayId: saved.displayId !== undefined ? saved.displayId : null,
+    zoomFactor: ZOOM_FACTORS.includes(saved.zoomFactor) ? saved.zoomFactor : 1
+  };
+};
+
+// Function to change the saved window state of a server
+const updateWindowState = (url, changes) => {
+  const states = readWindowStates();
+  const key = getServerKey(url);
+  states[key] = { ...getWindowState(url), ...changes };
+  writeWindowStates(states);
+};
+
+// Function to get the overlapping area of two rectangles
+const getIntersectionArea = (a, b) => {
+  const width = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+  const height = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+  return width > 0 && height > 0 ? width * height : 0;
+};
+
+// Function to fit bounds onto the connected displays, given as [{ id, workArea }].
+// Bounds whose title bar is on a display are kept, so windows spanning several monitors stay as they were.
+// Others, e.g. from a monitor that is no longer connected, are moved onto the display they were on,
+// the display they overlap most, or the first display, and shrunk to fit it.
+const clampBounds = (bounds, displays, displayId = null) => {
+  if (displays.length === 0) {
+    return bounds;
+  }
+  const titleBar = { x: bounds.x, y: bounds.y, width: bounds.width, height: TITLE_BAR_HEIGHT };
+  const titleVisible = displays.some(display => getIntersectionArea(titleBar, display.workArea) >= MIN_VISIBLE_TITLE_WIDTH * Math.min(TITLE_BAR_HEIGHT, bounds.height));
+  if (titleVisible) {
+    return bounds;
+  }
+
+  const target = displays.find(display => display.id === displayId) ||
+    displays.reduce((best, display) => getIntersectionArea(bounds, display.workArea) > getIntersectionArea(bounds, best.workArea) ? display : best, displays[0]);
+  const area = target.workArea;
+  const width = Math.min(bounds.width, area.width);
+  const height = Math.min(bounds.height, area.height);
+  return {
+    x: Math.min(Math.max(bounds.x, area.x), area.x + area.width - width),
+    y: Math.min(Math.max(bounds.y, area.y), area.y + area.height - height),
+    width,
+    height
+  };
+};
+
+// Function to get the bounds to open the main window with for a saved state, fitted to the connected displays
+const getRestoredBounds = (windowState) => {
+  if (!windowState.bounds) {
+    return DEFAULT_BOUNDS;
+  }
+  // The primary display comes first, so it is the fallback when no display matches
+  const primary = screen.getPrimaryDisplay();
+  const displays = [primary, ...screen.getAllDisplays().filter(display => display.id !== primary.id)];
+  return clampBounds(windowState.bounds, displays, windowState.displayId);
+};
+
+// Function to get the next zoom factor in a direction, 'in' or 'out'
+const stepZoomFactor = (zoomFactor, direction) => {
+  if (direction === 'in') {
+    return ZOOM_FACTORS.find(factor => factor > zoomFactor + 0.001) || ZOOM_FACTORS[ZOOM_FACTORS.length - 1];
+  }
+  return [...ZOOM_FACTORS].reverse().find(factor => factor < zoomFactor - 0.001) || ZOOM_FACTORS[0];
+};
+
+// Function to maximize or full screen a window as in a saved state. Maximizing shows the window,
+// so a hidden window, e.g. one started in the tray, gets its state once it is shown.
+const applyWindowMode = (window, windowState) => {
+  if (!windowState.isMaximized && !windowState.isFullScreen) {
+    return;
+  }
+  const apply = () => {
+    if (windowState.isFullScreen) {
+      window.setFullScreen(true);
+    } else {
+      window.maximize();
+    }
+  };
+  if (window.isVisible()) {
+    apply();
+  } else {
+    window.once('show', apply);
+  }
+};
+
+// Function to save a window's bounds, maximized and full screen state and display whenever they change,
+// under the server it shows. The bounds saved are the window's normal bounds, so a maximized window
+// restores to its previous size when it is unmaximized after a restart.
+// Returns { switchServer(url) }, which moves the window to another server's saved state.
+const trackWindowState = (window, url) => {
+  let currentUrl = url;
+  let saveTimer = null;
+
+  const save = () => {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    if (window.isDestroyed() || window.isMinimized()) {
+      return;
+    }
+    const bounds = window.getNormalBounds();
+    updateWindowState(currentUrl, {
+      bounds,
+      isMaximized: window.isMaximized(),
+      isFullScreen: window.isFullScreen(),
+      // The display the window is on now, a maximized window's normal bounds may be on another one
+      displayId: screen.getDisplayMatching(window.getBounds()).id
+    });
+  };
+
+  const scheduleSave = () => {
+    clearTimeout(saveTimer);
+    saveTimer = setTimeout(save, SAVE_DELAY);
+  };
+
+  ['move', 'resize'].forEach(event => window.on(event, scheduleSave));
+  ['maximize', 'unmaximize', 'enter-full-screen', 'leave-full-screen', 'close'].forEach(event => window.on(event, save));
+  window.on('closed', () => clearTimeout(saveTimer));
+
+  // Function to give the window the size, position, state and zoom saved for another server.
+  // Changes still waiting to be saved belong to the server shown before.
+  const switchServer = (newUrl) => {
+    if (window.isDestroyed() || getServerKey(newUrl) === getServerKey(currentUrl)) {
+      currentUrl = newUrl;
+      return;
+    }
+    if (saveTimer) {
+      save();
+    }
+    currentUrl = newUrl;
+    const windowState = getWindowState(newUrl);
+    if (window.isFullScreen()) {
+      window.setFullScreen(false);
+    }
+    if (window.isMaximized()) {
+      window.unmaximize();
+    }
+    window.setBounds(getRestoredBounds(windowState));
+    applyWindowMode(window, windowState);
+    window.webContents.setZoomFactor(windowState.zoomFactor);
+  };
+
+  return { switchServer };
+};
+
+module.exports = {
+  getWindowState,
+  updateWindowState,
+  clampBounds,
+  getRestoredBounds,
+  stepZoomFactor,
+  applyWindowMode,
+  trackWindowState
+};